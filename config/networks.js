@@ -0,0 +1,46 @@
+/**
+ * Мережеві профілі Extended: все, що має змінюватись разом при переході
+ * mainnet ↔ testnet ↔ локальний mock, в одному місці.
+ *
+ * Вибір — EXTENDED_NETWORK (mainnet за замовчуванням). chainId підпису береться
+ * тільки з профілю: testnet-підпис не можна випадково відправити в mainnet.
+ * URL можна перевизначити (EXTENDED_BASE_URL / EXTENDED_WS_URL), напр. mock на іншому порту.
+ */
+export const NETWORK_PROFILES = {
+  mainnet: {
+    label: 'Mainnet',
+    baseURL: 'https://api.starknet.extended.exchange/api/v1',
+    wsURL: 'wss://api.starknet.extended.exchange/stream.extended.exchange/v1',
+    chainId: 'SN_MAIN',
+    defaultSymbols: ['BTC-USD', 'ETH-USD', 'SOL-USD']
+  },
+  testnet: {
+    label: 'Testnet (Sepolia)',
+    baseURL: 'https://api.starknet.sepolia.extended.exchange/api/v1',
+    wsURL: 'wss://starknet.sepolia.extended.exchange/stream.extended.exchange/v1',
+    chainId: 'SN_SEPOLIA',
+    defaultSymbols: ['BTC-USD', 'ETH-USD']
+  },
+  local: {
+    label: 'Local mock',
+    baseURL: 'http://127.0.0.1:8787/api/v1',
+    wsURL: 'ws://127.0.0.1:8787/stream.extended.exchange/v1',
+    chainId: 'SN_SEPOLIA',
+    defaultSymbols: ['BTC-USD', 'ETH-USD', 'SOL-USD']
+  }
+};
+
+/**
+ * @param {string} [name] — mainnet | testnet | local
+ * @returns {{ name: string, label, baseURL, wsURL, chainId, defaultSymbols }}
+ */
+export function resolveNetwork(name = 'mainnet') {
+  const key = name.toLowerCase();
+  const profile = NETWORK_PROFILES[key];
+  if (!profile) {
+    throw new Error(`EXTENDED_NETWORK must be one of ${Object.keys(NETWORK_PROFILES).join(', ')}, got "${name}"`);
+  }
+  return { name: key, ...profile };
+}
+
+export default NETWORK_PROFILES;
@@ -1,6 +1,10 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { CANDLE_INTERVALS_MS } from '../utils/helpers.js';
+import { getSigningDomain } from '../utils/stark-order-hash.js';
+import { resolveNetwork } from './networks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,12 +22,22 @@ if (result.error) {
   console.log(`[settings] ✅ Загружены ключи: ${Object.keys(result.parsed).join(', ')}`);
 }
 
-// Валідація обов'язкових змінних
+// Біржа: extended (реальна) | simulated (in-memory)
+const exchangeName = (process.env.EXCHANGE || 'extended').toLowerCase();
+
+// Мережевий профіль Extended: URL, chain підпису, markets за замовчуванням (config/networks.js)
+const network = resolveNetwork(process.env.EXTENDED_NETWORK || 'mainnet');
+
+// Валідація обов'язкових змінних (ключі Extended потрібні тільки для extended)
+// Private / public key у env потрібні тільки без keystore і без окремого signer процесу
+const plaintextStarkKey = (process.env.STARK_SIGNER_MODE || 'local').toLowerCase() === 'local' &&
+  !process.env.EXTENDED_KEYSTORE_FILE;
 const requiredEnvVars = [
-  'EXTENDED_API_KEY',
-  'EXTENDED_STARK_PRIVATE_KEY',
-  'EXTENDED_STARK_PUBLIC_KEY',
-  'EXTENDED_VAULT_ID',
+  ...(exchangeName === 'extended' ? [
+    'EXTENDED_API_KEY',
+    ...(plaintextStarkKey ? ['EXTENDED_STARK_PRIVATE_KEY', 'EXTENDED_STARK_PUBLIC_KEY'] : []),
+    'EXTENDED_VAULT_ID'
+  ] : []),
   'TELEGRAM_BOT_TOKEN',
   'TELEGRAM_CHANNEL_ID'
 ];
@@ -36,30 +50,216 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
+/**
+ * Парсить 'BTC-USD:60000,ETH-USD:3000' → { 'BTC-USD': 60000, 'ETH-USD': 3000 }
+ */
+function parseSymbolNumberMap(value) {
+  const result = {};
+  for (const pair of value.split(',')) {
+    const [symbol, num] = pair.split(':').map(s => s.trim());
+    if (symbol && num) result[symbol] = parseFloat(num);
+  }
+  return result;
+}
+
+/**
+ * Парсить 'BTC-USD:50,ETH-USD:max20,SOL-USD:max' → leverage по markets:
+ *   число    → { mode: 'FIXED', value }  — рівно стільки
+ *   maxN     → { mode: 'MAX', value: N }  — максимум market, але не більше N
+ *   max      → { mode: 'MAX', value: 100 }
+ */
+function parseMarketLeverage(value) {
+  const result = {};
+  for (const pair of value.split(',')) {
+    const [symbol, spec] = pair.split(':').map(s => s.trim());
+    if (!symbol || !spec) continue;
+
+    const maxMatch = spec.toLowerCase().match(/^max(\d+)?$/);
+    result[symbol] = maxMatch
+      ? { mode: 'MAX', value: maxMatch[1] ? parseInt(maxMatch[1]) : 100 }
+      : { mode: 'FIXED', value: parseInt(spec) };
+  }
+  return result;
+}
+
+// Поля профілю каналу → ключ config.risk, який вони перевизначають
+const CHANNEL_RISK_FIELDS = {
+  riskPercent: 'percentage',
+  takeProfitPercent: 'takeProfitPercent',
+  stopLossPercent: 'stopLossPercent',
+  stopMode: 'stopMode',
+  takeProfitAtrMultiple: 'takeProfitAtrMultiple',
+  stopLossAtrMultiple: 'stopLossAtrMultiple',
+  leverage: 'leverage'
+};
+const CHANNEL_FIELDS = ['id', 'chatId', 'enabled', 'parsers', 'allowedSymbols', 'maxOpenPositions', 'marketLeverage', ...Object.keys(CHANNEL_RISK_FIELDS)];
+
+/**
+ * Профіль каналу сигналів: не задані поля — глобальні значення (risk, trading, signals).
+ * risk каналу — повна копія config.risk з перевизначеннями, її читають risk / leverage сервіси.
+ */
+function buildSignalChannel(raw, { risk, trading, signals }) {
+  const unknown = Object.keys(raw).filter(key => !CHANNEL_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Signal channel ${raw.id || '?'}: unknown field(s) ${unknown.join(', ')}`);
+  }
+
+  const channelRisk = { ...risk };
+  for (const [field, riskKey] of Object.entries(CHANNEL_RISK_FIELDS)) {
+    if (raw[field] === undefined) continue;
+    channelRisk[riskKey] = field === 'stopMode' ? String(raw[field]).toUpperCase() : Number(raw[field]);
+  }
+  if (raw.marketLeverage !== undefined) {
+    channelRisk.marketLeverage = parseMarketLeverage(String(raw.marketLeverage));
+  }
+
+  return {
+    id: String(raw.id || ''),
+    chatId: String(raw.chatId || ''),
+    enabled: raw.enabled !== false,
+    parsers: raw.parsers || signals.parsers,
+    allowedSymbols: raw.allowedSymbols || trading.allowedSymbols,
+    maxOpenPositions: raw.maxOpenPositions ?? trading.maxOpenPositions,
+    risk: channelRisk
+  };
+}
+
+/**
+ * Канали сигналів з SIGNAL_CHANNELS_FILE (JSON масив профілів):
+ *   [{ "id": "alpha", "chatId": "-1001234567890", "parsers": ["json"], "allowedSymbols": ["BTC-USD"],
+ *      "riskPercent": 0.5, "takeProfitPercent": 0.8, "stopLossPercent": 0.4, "leverage": 10,
+ *      "marketLeverage": "BTC-USD:max20", "maxOpenPositions": 1, "enabled": true }]
+ * Без файлу — один канал 'default' = TELEGRAM_CHANNEL_ID з глобальними налаштуваннями.
+ */
+function loadSignalChannels(file, defaults) {
+  if (!file) {
+    return [buildSignalChannel({ id: 'default', chatId: process.env.TELEGRAM_CHANNEL_ID }, defaults)];
+  }
+
+  const filePath = path.resolve(__dirname, '..', file);
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read SIGNAL_CHANNELS_FILE ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('SIGNAL_CHANNELS_FILE must contain a non-empty JSON array of channel profiles');
+  }
+
+  return list.map(raw => buildSignalChannel(raw, defaults));
+}
+
 export const config = {
+  // Активний мережевий профіль + які його параметри перевизначені з env
+  network: {
+    ...network,
+    overrides: ['EXTENDED_BASE_URL', 'EXTENDED_WS_URL', 'ALLOWED_SYMBOLS'].filter(name => process.env[name])
+  },
+
+  // Вибір біржі (ExchangeAdapter)
+  exchange: {
+    name: exchangeName,
+    // Параметри SimulatedExchange (EXCHANGE=simulated)
+    simulated: {
+      startBalance: parseFloat(process.env.SIM_START_BALANCE || '1000'),
+      prices: parseSymbolNumberMap(process.env.SIM_PRICES || 'BTC-USD:60000,ETH-USD:3000,SOL-USD:150'),
+      spreadPercent: parseFloat(process.env.SIM_SPREAD_PERCENT || '0.01'),
+      volatilityPercent: parseFloat(process.env.SIM_VOLATILITY_PERCENT || '0.05'), // за тік
+      tickMs: parseInt(process.env.SIM_TICK_MS || '1000'),
+      // Funding: ставка за період і період нарахування
+      fundingRate: parseFloat(process.env.SIM_FUNDING_RATE || '0.0001'),
+      fundingIntervalMs: parseInt(process.env.SIM_FUNDING_INTERVAL_MS || String(60 * 60 * 1000)),
+      // Стакан: notional (USD) на кожному рівні, рівні через spread
+      bookLevelNotional: parseFloat(process.env.SIM_BOOK_LEVEL_NOTIONAL || '50000')
+    }
+  },
+
   // Extended.exchange API
   extended: {
     apiKey: process.env.EXTENDED_API_KEY,
-    starkPrivateKey: process.env.EXTENDED_STARK_PRIVATE_KEY,
+    // Тільки local: у remote ключ живе лише в signer процесі
+    starkPrivateKey: plaintextStarkKey ? process.env.EXTENDED_STARK_PRIVATE_KEY : null,
     starkPublicKey: process.env.EXTENDED_STARK_PUBLIC_KEY,
     vaultId: process.env.EXTENDED_VAULT_ID,
-    baseURL: process.env.EXTENDED_BASE_URL || 'https://api.starknet.extended.exchange/api/v1',
-    wsURL: process.env.EXTENDED_WS_URL || 'wss://api.starknet.extended.exchange/stream.extended.exchange/v1',
-    userAgent: 'ExtendedTradingBot/1.0'
+    baseURL: process.env.EXTENDED_BASE_URL || network.baseURL,
+    wsURL: process.env.EXTENDED_WS_URL || network.wsURL,
+    userAgent: 'ExtendedTradingBot/1.0',
+    // HTTP: retry + backoff + rate limit (Extended: 1000 запитів / хв)
+    httpTimeoutMs: parseInt(process.env.EXTENDED_HTTP_TIMEOUT_MS || '10000'),
+    httpMaxRetries: parseInt(process.env.EXTENDED_HTTP_MAX_RETRIES || '3'),
+    httpRetryBaseMs: parseInt(process.env.EXTENDED_HTTP_RETRY_BASE_MS || '500'),
+    httpRetryMaxMs: parseInt(process.env.EXTENDED_HTTP_RETRY_MAX_MS || '8000'),
+    rateLimitPerMinute: parseInt(process.env.EXTENDED_RATE_LIMIT_PER_MINUTE || '1000'),
+    rateLimitBurst: parseInt(process.env.EXTENDED_RATE_LIMIT_BURST || '20'),
+    // Як часто перезавантажувати /info/markets (статуси, ліміти, leverage)
+    marketsRefreshMs: parseInt(process.env.EXTENDED_MARKETS_REFRESH_MS || '300000'),
+    // WebSocket stream (order book top, positions, orders, fills).
+    // Коли stream лежить — бот працює через REST polling як раніше.
+    wsEnabled: process.env.EXTENDED_WS_ENABLED !== 'false',
+    wsReconnectBaseMs: parseInt(process.env.EXTENDED_WS_RECONNECT_BASE_MS || '1000'),
+    wsReconnectMaxMs: parseInt(process.env.EXTENDED_WS_RECONNECT_MAX_MS || '30000'),
+    // Book top старше цього вважається протухлим → fallback на REST
+    wsStaleMs: parseInt(process.env.EXTENDED_WS_STALE_MS || '10000'),
+    // Немає повідомлень / ping довше цього → перепідключення
+    wsHeartbeatTimeoutMs: parseInt(process.env.EXTENDED_WS_HEARTBEAT_TIMEOUT_MS || '45000'),
+    // SNIP-12 domain підпису ордерів (Starknet perpetuals): chainId тільки з профілю мережі
+    signingDomain: getSigningDomain(network.chainId)
+  },
+
+  // Де живе Stark private key:
+  //   local  — у процесі бота: EXTENDED_KEYSTORE_FILE (зашифрований) або EXTENDED_STARK_PRIVATE_KEY
+  //   remote — окремий процес scripts/signer-daemon.js, запити через Unix socket
+  signer: {
+    mode: (process.env.STARK_SIGNER_MODE || 'local').toLowerCase(),
+    keystoreFile: process.env.EXTENDED_KEYSTORE_FILE
+      ? path.resolve(__dirname, '..', process.env.EXTENDED_KEYSTORE_FILE)
+      : null,
+    // Без passphrase в env — запит у терміналі при старті
+    keystorePassphrase: process.env.EXTENDED_KEYSTORE_PASSPHRASE || null,
+    socketPath: path.resolve(__dirname, '..', process.env.STARK_SIGNER_SOCKET || 'data/signer.sock'),
+    timeoutMs: parseInt(process.env.STARK_SIGNER_TIMEOUT_MS || '5000')
   },
 
   // Telegram
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
-    channelId: process.env.TELEGRAM_CHANNEL_ID
+    // Канал звітів бота (і єдине джерело сигналів, якщо SIGNAL_CHANNELS_FILE не задано)
+    channelId: process.env.TELEGRAM_CHANNEL_ID,
+    // Telegram user id, яким дозволені адмін-команди в приваті з ботом (/kill, /rearm, /status)
+    adminIds: (process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(s => s.trim()).filter(Boolean)
+  },
+
+  // Розбір сигналів (services/signal-parsers): які формати пробувати і мінімальна впевненість
+  signals: {
+    // Імена парсерів через кому (json, labeled-text); порожньо — всі в порядку priority
+    parsers: (process.env.SIGNAL_PARSERS || '').split(',').map(s => s.trim()).filter(Boolean),
+    // Нижче — відмова: 1 — явний direction, 0.8 — виведений з типу сигналу
+    minConfidence: parseFloat(process.env.SIGNAL_MIN_CONFIDENCE || '0.75'),
+    // Сигнал старший за це (від часу провайдера, інакше від поста) — відхиляється; 0 = без ліміту
+    maxAgeMs: parseInt(process.env.SIGNAL_MAX_AGE_MS || '60000')
+    // channels — профілі каналів-джерел (SIGNAL_CHANNELS_FILE), заповнюються після config
+  },
+
+  // Дедуплікація сигналів: seen-set переживає рестарт
+  signalDedup: {
+    stateFile: path.resolve(__dirname, '..', process.env.SIGNAL_SEEN_FILE || 'data/signals-seen.json'),
+    // Скільки пам'ятати сигнал (репост / повторна доставка пізніше — новий сигнал)
+    windowMs: parseInt(process.env.SIGNAL_DEDUP_WINDOW_MS || String(24 * 60 * 60 * 1000))
   },
 
   // Risk Management
   risk: {
     percentage: parseFloat(process.env.RISK_PERCENTAGE || '2.5'),
     leverage: parseInt(process.env.LEVERAGE || '20'),
+    // Leverage по markets (перекриває LEVERAGE): 'BTC-USD:50,ETH-USD:max20'
+    marketLeverage: parseMarketLeverage(process.env.MARKET_LEVERAGE || ''),
     takeProfitPercent: parseFloat(process.env.TAKE_PROFIT_PERCENT || '0.5'),
     stopLossPercent: parseFloat(process.env.STOP_LOSS_PERCENT || '0.3'),
+    // Як задаються відстані TP/SL: PERCENT (від entry) | ATR (кратні ATR з config.volatility)
+    stopMode: (process.env.RISK_STOP_MODE || 'PERCENT').toUpperCase(),
+    stopLossAtrMultiple: parseFloat(process.env.STOP_LOSS_ATR_MULTIPLE || '1.5'),
+    takeProfitAtrMultiple: parseFloat(process.env.TAKE_PROFIT_ATR_MULTIPLE || '2.5'),
     // Buffer для LIMIT TP/SL ордерів (відсотки від trigger)
     tpSlLimitBuffer: parseFloat(process.env.TPSL_LIMIT_BUFFER || '0.05') // 0.05%
   },
@@ -67,12 +267,100 @@ export const config = {
   // Trading Settings
   trading: {
     // Символи на Extended у форматі: BTC-USD, ETH-USD (з ДЕФІСОМ!)
-    allowedSymbols: (process.env.ALLOWED_SYMBOLS || 'BTC-USD,ETH-USD,SOL-USD').split(',').map(s => s.trim()),
+    allowedSymbols: process.env.ALLOWED_SYMBOLS
+      ? process.env.ALLOWED_SYMBOLS.split(',').map(s => s.trim())
+      : network.defaultSymbols,
     maxDailyTrades: parseInt(process.env.MAX_DAILY_TRADES || '20'),
     maxOpenPositions: parseInt(process.env.MAX_OPEN_POSITIONS || '3'),
     dryRun: process.env.DRY_RUN === 'true'
   },
 
+  // Entry policy: скільки чекати fill, скільки разів переставляти entry
+  entryPolicy: {
+    // Максимальний час від першого entry ордера до fill
+    maxTimeToFillMs: parseInt(process.env.ENTRY_MAX_TIME_TO_FILL_MS || '60000'),
+    // Скільки разів cancel-and-replace по свіжому book top (кроки = maxTimeToFill / (attempts + 1))
+    repriceAttempts: parseInt(process.env.ENTRY_REPRICE_ATTEMPTS || '2'),
+    // Максимальний несприятливий зсув ціни від ціни сигналу (%), далі — відмова
+    maxDriftPercent: parseFloat(process.env.ENTRY_MAX_DRIFT_PERCENT || '0.3'),
+    // Що робити після останньої спроби: ABANDON (скасувати) | CROSS (перетнути спред)
+    finalAction: (process.env.ENTRY_FINAL_ACTION || 'ABANDON').toUpperCase(),
+    // Буфер для CROSS від best bid/ask (%)
+    crossBufferPercent: parseFloat(process.env.ENTRY_CROSS_BUFFER_PERCENT || '0.1'),
+    // Як часто перевіряти pending entry
+    checkIntervalMs: parseInt(process.env.ENTRY_CHECK_INTERVAL_MS || '5000'),
+    // Entry ордер підписується з expiry = дедлайн політики + цей запас: після рестарту
+    // (pending entries в пам'яті) біржа сама зніме незаповнений ліміт
+    expiryMarginMs: parseInt(process.env.ENTRY_EXPIRY_MARGIN_MS || '30000')
+  },
+
+  // Kill switch: стан у файлі, автоматичні тригери від risk rules (0 — правило вимкнено)
+  killSwitch: {
+    stateFile: path.resolve(__dirname, '..', process.env.KILL_SWITCH_STATE_FILE || 'data/kill-switch.json'),
+    maxDailyLossPercent: parseFloat(process.env.KILL_SWITCH_MAX_DAILY_LOSS_PERCENT || '10'),
+    maxConsecutiveLosses: parseInt(process.env.KILL_SWITCH_MAX_CONSECUTIVE_LOSSES || '0')
+  },
+
+  // Nonce підписів: лічильник per account + ledger nonce → ордер
+  nonce: {
+    stateFile: path.resolve(__dirname, '..', process.env.NONCE_STATE_FILE || 'data/nonces.json'),
+    ledgerMaxEntries: parseInt(process.env.NONCE_LEDGER_MAX_ENTRIES || '5000')
+  },
+
+  // Liquidity gate перед entry: видима глибина і оцінка slippage для розрахованої qty
+  liquidity: {
+    enabled: process.env.LIQUIDITY_GATE_ENABLED !== 'false',
+    // Скільки рівнів стакану вважати "видимою глибиною"
+    depthLevels: parseInt(process.env.LIQUIDITY_DEPTH_LEVELS || '20'),
+    // Максимальна частка видимої глибини нашого боку, яку може з'їсти ордер (%)
+    maxDepthSharePercent: parseFloat(process.env.LIQUIDITY_MAX_DEPTH_SHARE_PERCENT || '25'),
+    // Максимальний очікуваний slippage від best bid/ask (%)
+    maxSlippagePercent: parseFloat(process.env.LIQUIDITY_MAX_SLIPPAGE_PERCENT || '0.1'),
+    // При перевищенні: DOWNSIZE (зменшити qty до допустимої) | REJECT
+    onBreach: (process.env.LIQUIDITY_ON_BREACH || 'DOWNSIZE').toUpperCase()
+  },
+
+  // Моніторинг маржі: margin ratio = використана маржа / equity (100% — ліквідація)
+  margin: {
+    warningRatioPercent: parseFloat(process.env.MARGIN_WARNING_RATIO_PERCENT || '50'),
+    criticalRatioPercent: parseFloat(process.env.MARGIN_CRITICAL_RATIO_PERCENT || '75'),
+    // Повтор алерту на тому ж рівні не частіше ніж раз на
+    alertRepeatMs: parseInt(process.env.MARGIN_ALERT_REPEAT_MS || String(15 * 60 * 1000)),
+    // Автоматичний de-risk: при ratio ≥ порогу зменшити найбільшу позицію (0 — вимкнено)
+    deRiskRatioPercent: parseFloat(process.env.MARGIN_DERISK_RATIO_PERCENT || '0'),
+    deRiskReducePercent: parseFloat(process.env.MARGIN_DERISK_REDUCE_PERCENT || '50'),
+    // Пауза між de-risk діями, щоб біржа встигла перерахувати маржу
+    deRiskCooldownMs: parseInt(process.env.MARGIN_DERISK_COOLDOWN_MS || '60000')
+  },
+
+  // Волатильність: свічки для ATR / realized vol (RISK_STOP_MODE=ATR)
+  volatility: {
+    // PT1M | PT5M | PT15M | PT30M | PT1H | PT2H | PT4H | P1D
+    candleInterval: process.env.VOLATILITY_CANDLE_INTERVAL || 'PT15M',
+    // trades | mark-prices | index-prices
+    candleType: process.env.VOLATILITY_CANDLE_TYPE || 'trades',
+    candleLimit: parseInt(process.env.VOLATILITY_CANDLE_LIMIT || '100'),
+    atrPeriod: parseInt(process.env.ATR_PERIOD || '14')
+  },
+
+  // Funding: фільтр сигналів і облік нарахувань по позиціях
+  funding: {
+    // Відхиляти сигнал, якщо його напрямок ПЛАТИТЬ funding вище порогу (% за період, 0 — вимкнено)
+    maxAdverseRatePercent: parseFloat(process.env.FUNDING_MAX_ADVERSE_RATE_PERCENT || '0'),
+    // Яку ставку порівнювати: predicted (наступне нарахування) | current (останнє)
+    rateSource: (process.env.FUNDING_RATE_SOURCE || 'predicted').toLowerCase(),
+    // Як часто підтягувати funding нарахування по відкритих позиціях
+    syncIntervalMs: parseInt(process.env.FUNDING_SYNC_INTERVAL_MS || String(10 * 60 * 1000))
+  },
+
+  // Прибирання осиротілих TP/SL та залишків entry після закриття позицій
+  orderCleanup: {
+    // Періодичний sweep відкритих ордерів по allowedSymbols (0 — вимкнено)
+    sweepIntervalMs: parseInt(process.env.ORDER_SWEEP_INTERVAL_MS || '300000'),
+    // Скільки останніх закритих позицій враховувати в sweep
+    closedLookback: parseInt(process.env.ORDER_SWEEP_CLOSED_LOOKBACK || '50')
+  },
+
   // Trading Hours (UTC)
   tradingHours: {
     enabled: process.env.TRADING_HOURS_ENABLED === 'true',
@@ -85,6 +373,10 @@ export const config = {
   extendedConst: {
     // Maker fee (все ордери — entry, TP, SL — теперь LIMIT GTT)
     makerFee: '0.00000',        // 0% maker rebate
+    // Taker fee — для reduce-only IOC закриття (kill switch)
+    takerFee: '0.00025',        // 0.025%
+    // Межа ціни IOC закриття від best bid/ask: SELL → bestBid × (1 − x), BUY → bestAsk × (1 + x)
+    closeSlippage: 0.01,        // 1%
     // Буфер entry LIMIT ордера від best bid/ask.
     // BUY  → price = bestAsk + buffer   (чуть выше ask → гарантия fill как maker)
     // SELL → price = bestBid - buffer   (чуть ниже bid)
@@ -95,6 +387,9 @@ export const config = {
   }
 };
 
+// Профілі каналів будуються поверх уже розібраних risk / trading / signals
+config.signals.channels = loadSignalChannels(process.env.SIGNAL_CHANNELS_FILE, config);
+
 // Валідація конфігурації
 if (config.risk.percentage <= 0 || config.risk.percentage > 100) {
   throw new Error('RISK_PERCENTAGE must be between 0 and 100');
@@ -104,6 +399,12 @@ if (config.risk.leverage <= 0 || config.risk.leverage > 100) {
   throw new Error('LEVERAGE must be between 1 and 100');
 }
 
+for (const [symbol, { value }] of Object.entries(config.risk.marketLeverage)) {
+  if (!(value > 0 && value <= 100)) {
+    throw new Error(`MARKET_LEVERAGE for ${symbol} must be between 1 and 100 (or maxN)`);
+  }
+}
+
 if (config.trading.maxDailyTrades <= 0) {
   throw new Error('MAX_DAILY_TRADES must be greater than 0');
 }
@@ -112,6 +413,117 @@ if (config.trading.maxOpenPositions <= 0) {
   throw new Error('MAX_OPEN_POSITIONS must be greater than 0');
 }
 
+if (!['ABANDON', 'CROSS'].includes(config.entryPolicy.finalAction)) {
+  throw new Error('ENTRY_FINAL_ACTION must be ABANDON or CROSS');
+}
+
+if (config.entryPolicy.maxTimeToFillMs <= 0 || config.entryPolicy.repriceAttempts < 0) {
+  throw new Error('ENTRY_MAX_TIME_TO_FILL_MS must be > 0 and ENTRY_REPRICE_ATTEMPTS >= 0');
+}
+
+if (!(config.entryPolicy.expiryMarginMs >= 0)) {
+  throw new Error('ENTRY_EXPIRY_MARGIN_MS must be >= 0');
+}
+
+if (!['PERCENT', 'ATR'].includes(config.risk.stopMode)) {
+  throw new Error('RISK_STOP_MODE must be PERCENT or ATR');
+}
+
+if (config.risk.stopMode === 'ATR' && (config.risk.stopLossAtrMultiple <= 0 || config.risk.takeProfitAtrMultiple <= 0)) {
+  throw new Error('STOP_LOSS_ATR_MULTIPLE and TAKE_PROFIT_ATR_MULTIPLE must be > 0');
+}
+
+if (!CANDLE_INTERVALS_MS[config.volatility.candleInterval]) {
+  throw new Error(`VOLATILITY_CANDLE_INTERVAL must be one of ${Object.keys(CANDLE_INTERVALS_MS).join(', ')}`);
+}
+
+if (config.volatility.candleLimit <= config.volatility.atrPeriod) {
+  throw new Error('VOLATILITY_CANDLE_LIMIT must be greater than ATR_PERIOD');
+}
+
+if (config.margin.warningRatioPercent >= config.margin.criticalRatioPercent) {
+  throw new Error('MARGIN_WARNING_RATIO_PERCENT must be below MARGIN_CRITICAL_RATIO_PERCENT');
+}
+
+if (config.margin.deRiskRatioPercent > 0 && (config.margin.deRiskReducePercent <= 0 || config.margin.deRiskReducePercent > 100)) {
+  throw new Error('MARGIN_DERISK_REDUCE_PERCENT must be in (0, 100]');
+}
+
+if (!['DOWNSIZE', 'REJECT'].includes(config.liquidity.onBreach)) {
+  throw new Error('LIQUIDITY_ON_BREACH must be DOWNSIZE or REJECT');
+}
+
+if (!['predicted', 'current'].includes(config.funding.rateSource)) {
+  throw new Error('FUNDING_RATE_SOURCE must be predicted or current');
+}
+
+if (!['local', 'remote'].includes(config.signer.mode)) {
+  throw new Error('STARK_SIGNER_MODE must be local or remote');
+}
+
+// remote: секрети ключа не повинні бути доступні процесу, що парсить Telegram
+// (daemon читає свій файл, SIGNER_ENV_FILE, за замовчуванням .env.signer)
+if (config.signer.mode === 'remote') {
+  const leaked = ['EXTENDED_STARK_PRIVATE_KEY', 'EXTENDED_KEYSTORE_PASSPHRASE'].filter(name => process.env[name]);
+  if (leaked.length > 0) {
+    throw new Error(`STARK_SIGNER_MODE=remote, but ${leaked.join(', ')} is set in the bot environment; move it to the signer env file`);
+  }
+}
+
+if (!Number.isInteger(config.nonce.ledgerMaxEntries) || config.nonce.ledgerMaxEntries < 1) {
+  throw new Error('NONCE_LEDGER_MAX_ENTRIES must be a positive integer');
+}
+
+if (!(config.signals.minConfidence >= 0 && config.signals.minConfidence <= 1)) {
+  throw new Error('SIGNAL_MIN_CONFIDENCE must be between 0 and 1');
+}
+
+if (!(config.signals.maxAgeMs >= 0)) {
+  throw new Error('SIGNAL_MAX_AGE_MS must be >= 0');
+}
+
+if (!(config.signalDedup.windowMs > 0)) {
+  throw new Error('SIGNAL_DEDUP_WINDOW_MS must be > 0');
+}
+
+const channelIds = new Set();
+const channelChats = new Set();
+for (const channel of config.signals.channels) {
+  const name = `Signal channel ${channel.id || '?'}`;
+
+  if (!channel.id || !channel.chatId) {
+    throw new Error(`${name}: id and chatId are required`);
+  }
+  if (channelIds.has(channel.id) || channelChats.has(channel.chatId)) {
+    throw new Error(`${name}: duplicate id or chatId ${channel.chatId}`);
+  }
+  channelIds.add(channel.id);
+  channelChats.add(channel.chatId);
+
+  const foreignSymbols = channel.allowedSymbols.filter(symbol => !config.trading.allowedSymbols.includes(symbol));
+  if (foreignSymbols.length > 0) {
+    throw new Error(`${name}: ${foreignSymbols.join(', ')} not in ALLOWED_SYMBOLS (streams and sweeps only cover those)`);
+  }
+  if (!(channel.risk.percentage > 0 && channel.risk.percentage <= 100)) {
+    throw new Error(`${name}: riskPercent must be between 0 and 100`);
+  }
+  if (!(channel.risk.leverage > 0 && channel.risk.leverage <= 100)) {
+    throw new Error(`${name}: leverage must be between 1 and 100`);
+  }
+  if (!['PERCENT', 'ATR'].includes(channel.risk.stopMode)) {
+    throw new Error(`${name}: stopMode must be PERCENT or ATR`);
+  }
+  if (channel.risk.stopMode === 'PERCENT' && !(channel.risk.takeProfitPercent > 0 && channel.risk.stopLossPercent > 0)) {
+    throw new Error(`${name}: takeProfitPercent and stopLossPercent must be > 0`);
+  }
+  if (channel.risk.stopMode === 'ATR' && !(channel.risk.takeProfitAtrMultiple > 0 && channel.risk.stopLossAtrMultiple > 0)) {
+    throw new Error(`${name}: takeProfitAtrMultiple and stopLossAtrMultiple must be > 0`);
+  }
+  if (!Number.isInteger(channel.maxOpenPositions) || channel.maxOpenPositions < 1) {
+    throw new Error(`${name}: maxOpenPositions must be a positive integer`);
+  }
+}
+
 if (config.tradingHours.startHour < 0 || config.tradingHours.startHour > 23) {
   throw new Error('TRADING_START_HOUR must be between 0 and 23');
 }
@@ -0,0 +1,66 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSigningDomain } from '../utils/stark-order-hash.js';
+import { resolveNetwork } from './networks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Окремий процес підпису (scripts/signer-daemon.js) не читає config/settings.js:
+// йому не потрібні (і не повинні бути доступні) Telegram / API ключі бота.
+// Свій env файл (не .env бота): ключ і passphrase не лежать там, де їх читає бот
+dotenv.config({ path: path.resolve(__dirname, '..', process.env.SIGNER_ENV_FILE || '.env.signer') });
+
+/**
+ * 'BTC-USD, ETH-USD' → ['BTC-USD', 'ETH-USD']
+ */
+function parseList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+const network = resolveNetwork(process.env.EXTENDED_NETWORK || 'mainnet');
+
+export const signerConfig = {
+  network,
+  socketPath: path.resolve(__dirname, '..', process.env.STARK_SIGNER_SOCKET || 'data/signer.sock'),
+
+  // Ключ: зашифрований keystore (рекомендовано) або plaintext з env
+  keystoreFile: process.env.EXTENDED_KEYSTORE_FILE
+    ? path.resolve(__dirname, '..', process.env.EXTENDED_KEYSTORE_FILE)
+    : null,
+  keystorePassphrase: process.env.EXTENDED_KEYSTORE_PASSPHRASE || null,
+  privateKey: process.env.EXTENDED_STARK_PRIVATE_KEY || null,
+  vaultId: process.env.EXTENDED_VAULT_ID,
+  signingDomain: getSigningDomain(network.chainId),
+
+  // Policy: все поза нею — відмова в підписі
+  policy: {
+    allowedMarkets: parseList(process.env.SIGNER_ALLOWED_MARKETS),
+    maxOrderNotional: parseFloat(process.env.SIGNER_MAX_ORDER_NOTIONAL || '10000'),
+    maxOrdersPerMinute: parseInt(process.env.SIGNER_MAX_ORDERS_PER_MINUTE || '30')
+  }
+};
+
+// Валідація конфігурації
+if (!signerConfig.keystoreFile && !signerConfig.privateKey) {
+  throw new Error('Signer needs EXTENDED_KEYSTORE_FILE or EXTENDED_STARK_PRIVATE_KEY');
+}
+
+if (!signerConfig.vaultId) {
+  throw new Error('Missing required environment variable: EXTENDED_VAULT_ID');
+}
+
+if (signerConfig.policy.allowedMarkets.length === 0) {
+  throw new Error('SIGNER_ALLOWED_MARKETS must list at least one market');
+}
+
+if (!(signerConfig.policy.maxOrderNotional > 0)) {
+  throw new Error('SIGNER_MAX_ORDER_NOTIONAL must be > 0');
+}
+
+if (!Number.isInteger(signerConfig.policy.maxOrdersPerMinute) || signerConfig.policy.maxOrdersPerMinute < 1) {
+  throw new Error('SIGNER_MAX_ORDERS_PER_MINUTE must be a positive integer');
+}
+
+export default signerConfig;
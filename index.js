@@ -3,12 +3,17 @@
 
 import { config } from './config/settings.js';
 import logger from './utils/logger.js';
-import extendedService from './services/extended.service.js';
+import exchange from './services/exchange.service.js';
 import telegramService from './services/telegram.service.js';
 import positionService from './services/position.service.js';
 import riskService from './services/risk.service.js';
+import liquidityService from './services/liquidity.service.js';
+import volatilityService from './services/volatility.service.js';
+import leverageService from './services/leverage.service.js';
+import killSwitchService from './services/kill-switch.service.js';
+import signalDedupService, { SignalOutcome } from './services/signal-dedup.service.js';
 import { isTradingHoursActive, getTradingHoursInfo } from './services/time.service.js';
-import { isSymbolAllowed, getCurrentDate } from './utils/helpers.js';
+import { isSymbolAllowed, getCurrentDate, signalLatencyBreakdown, summarizeSignalLatency, formatLatency } from './utils/helpers.js';
 
 
 // Статистика
@@ -18,13 +23,34 @@ const statistics = {
   loseTrades: 0,
   totalProfit: 0,
   startBalance: 0,
+  dayStartBalance: 0,    // equity на початок UTC дня (база daily loss, з маржею відкритих позицій)
   currentBalance: 0,
   dailyTrades: 0,
   signalsIgnored: 0,
+  signalsDuplicate: 0,
+  signalsStale: 0,
+  latencies: [],         // breakdown затримки угод, відкритих за день
   totalSignals: 0,
+  signalsBySource: {},   // id каналу → { signals, ignored, duplicates } за день
   lastResetDate: getCurrentDate()
 };
 
+/**
+ * Профіль каналу, з якого прийшов сигнал (config.signals.channels)
+ */
+function getSignalChannel(source) {
+  const channel = config.signals.channels.find(c => c.id === source);
+  if (!channel) throw new Error(`Unknown signal source ${source}`);
+  return channel;
+}
+
+/**
+ * Лічильники сигналів каналу для daily report
+ */
+function sourceStatistics(source) {
+  return statistics.signalsBySource[source] ||= { signals: 0, ignored: 0, duplicates: 0 };
+}
+
 /**
  * Ініціалізація бота
  */
@@ -34,25 +60,75 @@ async function initialize() {
     logger.info('  Extended.exchange Futures Trading Bot');
     logger.info('='.repeat(60));
 
-    // Підключення до Extended API
-    await extendedService.connect();
+    // Підключення до біржі (ExchangeAdapter: extended | simulated)
+    await exchange.connect();
     
+    // Поточний leverage акаунта → кеш (setLeverage тільки при зміні)
+    await leverageService.load();
+
     // Отримуємо початковий баланс
-    statistics.startBalance = await extendedService.getBalance();
+    statistics.startBalance = await exchange.getBalance();
+    statistics.dayStartBalance = statistics.startBalance; // якщо equity недоступна
+    await recordDayStartBalance();
     statistics.currentBalance = statistics.startBalance;
     
+    logger.info(`[INIT] Exchange: ${exchange.name}`);
+    logger.info(`[INIT] Network: ${config.network.label} (${config.network.chainId})`);
+    if (config.network.overrides.length > 0) {
+      logger.warn(`[INIT] ⚠️ Network profile overridden by ${config.network.overrides.join(', ')}`);
+    }
     logger.info(`[INIT] Starting balance: ${statistics.startBalance}`);
     logger.info(`[INIT] Dry Run mode: ${config.trading.dryRun ? 'ENABLED' : 'DISABLED'}`);
     logger.info(`[INIT] Allowed symbols: ${config.trading.allowedSymbols.join(', ')}`);
+    logger.info(`[INIT] Signal parsers: ${telegramService.parsers.names().join(', ')} (min confidence ${config.signals.minConfidence})`);
+    for (const channel of config.signals.channels) {
+      const { risk } = channel;
+      logger.info(
+        `[INIT] Signal channel ${channel.id} (${channel.chatId}): ${channel.enabled ? 'enabled' : 'DISABLED'}, ` +
+        `parsers ${channel.parsers.join(', ') || 'all'}, symbols ${channel.allowedSymbols.join(', ')}, ` +
+        `risk ${risk.percentage}%, leverage ${risk.leverage}x, ` +
+        `TP/SL ${risk.stopMode === 'ATR' ? `${risk.takeProfitAtrMultiple}/${risk.stopLossAtrMultiple}×ATR` : `${risk.takeProfitPercent}%/${risk.stopLossPercent}%`}, ` +
+        `max ${channel.maxOpenPositions} positions`
+      );
+    }
     logger.info(`[INIT] Risk: ${config.risk.percentage}%, Leverage: ${config.risk.leverage}x`);
-    logger.info(`[INIT] TP: ${config.risk.takeProfitPercent}% | SL: ${config.risk.stopLossPercent}%`);
+    for (const [symbol, { mode, value }] of Object.entries(config.risk.marketLeverage)) {
+      logger.info(`[INIT] Leverage ${symbol}: ${mode === 'MAX' ? `max up to ${value}x` : `${value}x`}`);
+    }
+    if (config.risk.stopMode === 'ATR') {
+      logger.info(`[INIT] TP: ${config.risk.takeProfitAtrMultiple}×ATR | SL: ${config.risk.stopLossAtrMultiple}×ATR (ATR(${config.volatility.atrPeriod}) on ${config.volatility.candleInterval})`);
+    } else {
+      logger.info(`[INIT] TP: ${config.risk.takeProfitPercent}% | SL: ${config.risk.stopLossPercent}%`);
+    }
     logger.info(`[INIT] TP/SL type: LIMIT orders (maker fees)`);
     logger.info(`[INIT] Trading hours: ${config.tradingHours.startHour}:00-${config.tradingHours.endHour}:00 UTC`);
 
+    // Зміни статусу / лімітів markets (з періодичного оновлення MarketRegistry)
+    exchange.on('marketChanged', handleMarketChanged);
+
+    // Entry lifecycle: позиція відкривається тільки після fill
+    positionService.onEntryFilled(handleEntryFilled);
+    positionService.onEntryFailed(handleEntryFailed);
+
+    // Kill switch: стан з файлу (переживає рестарт) + зміни від scripts/kill-switch.js
+    killSwitchService.on('engaged', handleKillSwitchEngaged);
+    killSwitchService.on('rearmed', handleKillSwitchRearmed);
+    killSwitchService.watch();
+    positionService.onPositionClosed(handlePositionClosedRisk);
+
+    if (killSwitchService.isEngaged()) {
+      const state = killSwitchService.getState();
+      logger.warn(`[INIT] ⚠️ Kill switch is ENGAGED (${state.reason}), signals blocked until re-armed`);
+    }
+
     // Реєструємо обробник сигналів
     telegramService.onSignal(handleSignal);
+    telegramService.onAdminCommand(handleAdminCommand);
+
+    // Real-time дані (Extended: WebSocket stream): book top + позиції/ордери/fills
+    exchange.startStream(config.trading.allowedSymbols);
 
-    // Запускаємо моніторинг позицій
+    // Запускаємо моніторинг позицій (fallback, коли stream лежить)
     positionService.startMonitoring(30000); // Кожні 30 секунд
 
     // Повідомлення про запуск
@@ -60,9 +136,13 @@ async function initialize() {
       await telegramService.sendMessage(
         config.telegram.channelId,
         `🤖 <b>EXTENDED TRADING BOT STARTED</b>\n\n` +
+        `Exchange: ${exchange.name}\n` +
+        `Network: ${config.network.label}${config.network.overrides.length > 0 ? ` (overrides: ${config.network.overrides.join(', ')})` : ''}\n` +
         `Balance: ${statistics.startBalance.toFixed(2)}\n` +
         `Mode: ${config.trading.dryRun ? 'DRY RUN' : 'LIVE TRADING'}\n` +
-        `TP/SL: LIMIT orders (maker fees)\n` +
+        `TP/SL: LIMIT orders (maker fees), ${config.risk.stopMode === 'ATR' ? `${config.risk.takeProfitAtrMultiple}/${config.risk.stopLossAtrMultiple}×ATR` : `${config.risk.takeProfitPercent}%/${config.risk.stopLossPercent}%`}\n` +
+        `Signal channels: ${config.signals.channels.map(c => c.enabled ? c.id : `${c.id} (disabled)`).join(', ')}\n` +
+        `Kill switch: ${killSwitchService.isEngaged() ? '🛑 ENGAGED' : 'armed'}\n` +
         `Trading hours: ${config.tradingHours.startHour}:00-${config.tradingHours.endHour}:00 UTC`
       );
     }
@@ -71,6 +151,7 @@ async function initialize() {
     
     // Щоденний звіт
     scheduleDailyReport();
+    scheduleDailyReset();
     
   } catch (error) {
     logger.error(`[INIT] Initialization failed: ${error.message}`);
@@ -87,23 +168,35 @@ async function initialize() {
  */
 async function handleSignal(signal) {
   try {
+    const { symbol, direction, source } = signal;
+
+    // Повторна доставка / редагування / репост: не обробляємо вдруге
+    const original = signalDedupService.check(signal);
+    if (original) {
+      await reportDuplicateSignal(signal, original);
+      return;
+    }
+
     statistics.totalSignals++;
     
-    const { symbol, direction, timestamp } = signal;
+    const channel = getSignalChannel(source);
+    sourceStatistics(source).signals++;
     
-    logger.info(`[SIGNAL] Processing: ${symbol} ${direction}`);
+    logger.info(`[SIGNAL] Processing: ${symbol} ${direction} from ${source}`);
 
     // Валідація сигналу
-    const validation = await validateSignal(signal);
+    const validation = await validateSignal(signal, channel);
     
     if (!validation.valid) {
       logger.warn(`[SIGNAL] Validation failed: ${validation.reason}`);
+      sourceStatistics(source).ignored++;
+      signalDedupService.recordOutcome(signal, { status: SignalOutcome.IGNORED, reason: validation.reason });
       
       try {
         if (!config.trading.dryRun) {
           await telegramService.sendMessage(
             config.telegram.channelId,
-            telegramService.formatSignalIgnoredMessage(symbol, direction, validation.reason, validation.info)
+            telegramService.formatSignalIgnoredMessage(symbol, direction, validation.reason, { ...validation.info, source })
           );
         }
       } catch (telegramError) {
@@ -113,16 +206,23 @@ async function handleSignal(signal) {
       if (validation.reason.includes('trading hours')) {
         statistics.signalsIgnored++;
       }
+      if (validation.reason.startsWith('Stale signal')) {
+        statistics.signalsStale++;
+      }
       
       return;
     }
 
+    signal.latency.validatedAt = Date.now();
+
     // Відкриваємо позицію
-    await openPosition(signal);
+    const outcome = await openPosition(signal, channel);
+    signalDedupService.recordOutcome(signal, outcome);
     
   } catch (error) {
     logger.error(`[SIGNAL] Error handling signal: ${error.message}`);
     logger.error(`[SIGNAL] Stack: ${error.stack}`);
+    signalDedupService.recordOutcome(signal, { status: SignalOutcome.ERROR, reason: error.message });
     
     try {
       if (!config.trading.dryRun) {
@@ -131,6 +231,7 @@ async function handleSignal(signal) {
           `❌ <b>ERROR PROCESSING SIGNAL</b>\n\n` +
           `Symbol: ${signal?.symbol || 'UNKNOWN'}\n` +
           `Direction: ${signal?.direction || 'UNKNOWN'}\n` +
+          `Source: ${signal?.source || 'UNKNOWN'}\n` +
           `Error: ${error.message}`
         );
       }
@@ -140,21 +241,100 @@ async function handleSignal(signal) {
   }
 }
 
+/**
+ * Дублікат сигналу → SIGNAL IGNORED з результатом обробки оригіналу
+ */
+async function reportDuplicateSignal(signal, original) {
+  const { symbol, direction, source } = signal;
+  const kind = signal.edited ? 'Edited signal' : 'Duplicate signal';
+  const reason = `${kind}, first seen ${new Date(original.firstSeenAt).toISOString()} ` +
+    `(outcome: ${signalDedupService.describeOutcome(original.outcome)})`;
+
+  logger.warn(`[SIGNAL] ${symbol} ${direction} from ${source} ignored: ${reason}`);
+  statistics.signalsDuplicate++;
+  sourceStatistics(source).duplicates++;
+
+  try {
+    if (!config.trading.dryRun) {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatSignalIgnoredMessage(symbol, direction, reason, { source })
+      );
+    }
+  } catch (telegramError) {
+    logger.error(`[SIGNAL] Error sending duplicate message: ${telegramError.message}`);
+  }
+}
+
+/**
+ * Сповіщення про зміну статусу / лімітів market, на якому торгуємо
+ */
+async function handleMarketChanged({ symbol, changes, market }) {
+  if (!config.trading.allowedSymbols.includes(symbol)) return;
+
+  const lines = Object.entries(changes)
+    .map(([field, { from, to }]) => `${field}: ${from} → ${to}`)
+    .join('\n');
+
+  logger.warn(`[MARKETS] ${symbol} changed (tradable: ${market.isTradable})`);
+
+  // Біржа могла перерахувати leverage акаунта під новий maxLeverage
+  if (changes.maxLeverage) {
+    leverageService.invalidate(symbol);
+  }
+
+  try {
+    if (!config.trading.dryRun) {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        `⚠️ <b>MARKET CHANGED</b>\n\n` +
+        `<b>Symbol:</b> ${symbol}\n` +
+        `${lines}`
+      );
+    }
+  } catch (telegramError) {
+    logger.error(`[MARKETS] Error sending market change message: ${telegramError.message}`);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════
 // VALIDATION
 // ═══════════════════════════════════════════════════════════════
 
 /**
  * Валідація сигналу перед відкриттям позиції
+ * @param {Object} signal
+ * @param {Object} channel — профіль каналу-джерела (symbols, ліміт позицій, leverage)
  */
-async function validateSignal(signal) {
+async function validateSignal(signal, channel) {
   const { symbol, direction } = signal;
 
-  // 1. Символ в списку
-  if (!isSymbolAllowed(symbol, config.trading.allowedSymbols.join(','))) {
+  // 0. Kill switch
+  if (killSwitchService.isEngaged()) {
     return {
       valid: false,
-      reason: `Symbol ${symbol} not in allowed list (${config.trading.allowedSymbols.join(', ')})`,
+      reason: `Kill switch engaged: ${killSwitchService.getState().reason}`,
+      info: {}
+    };
+  }
+
+  // 0a. Вік сигналу: доставлений із запізненням (простій polling тощо) — ринок уже інший
+  if (config.signals.maxAgeMs > 0 && signal.latency?.originAt) {
+    const ageMs = Date.now() - signal.latency.originAt;
+    if (ageMs > config.signals.maxAgeMs) {
+      return {
+        valid: false,
+        reason: `Stale signal: ${formatLatency(ageMs)} old by ${signal.latency.originSource} time (max ${formatLatency(config.signals.maxAgeMs)})`,
+        info: {}
+      };
+    }
+  }
+
+  // 1. Символ в списку каналу
+  if (!isSymbolAllowed(symbol, channel.allowedSymbols.join(','))) {
+    return {
+      valid: false,
+      reason: `Symbol ${symbol} not in allowed list of ${channel.id} (${channel.allowedSymbols.join(', ')})`,
       info: {}
     };
   }
@@ -200,8 +380,17 @@ async function validateSignal(signal) {
     };
   }
 
-  // 6. Макс угод на день
-  if (statistics.dailyTrades >= config.trading.maxDailyTrades) {
+  // 5a. Макс позицій з цього каналу
+  if (positionService.getOpenPositionsCount(channel.id) >= channel.maxOpenPositions) {
+    return {
+      valid: false,
+      reason: `Maximum open positions for ${channel.id} (${channel.maxOpenPositions}) reached`,
+      info: {}
+    };
+  }
+
+  // 6. Макс угод на день: угода рахується на fill, pending entry ще можуть заповнитись
+  if (statistics.dailyTrades + positionService.getPendingEntriesCount() >= config.trading.maxDailyTrades) {
     return {
       valid: false,
       reason: `Maximum daily trades (${config.trading.maxDailyTrades}) reached`,
@@ -211,7 +400,7 @@ async function validateSignal(signal) {
 
   // 7. Баланс
   try {
-    const balance = await extendedService.getBalance();
+    const balance = await exchange.getBalance();
     statistics.currentBalance = balance;
     
     if (balance <= 0) {
@@ -229,10 +418,10 @@ async function validateSignal(signal) {
     };
   }
 
-  // 8. Market aktive та існує
+  // 8. Market aktive та існує (з кешу MarketRegistry)
   try {
-    const marketInfo = await extendedService.getMarketInfo(symbol);
-    if (marketInfo.status !== 'Trading') {
+    const marketInfo = await exchange.getMarketInfo(symbol);
+    if (!marketInfo.isTradable) {
       return {
         valid: false,
         reason: `Market ${symbol} is not trading (status: ${marketInfo.status})`,
@@ -240,11 +429,12 @@ async function validateSignal(signal) {
       };
     }
 
-    // Перевірка leverage ≤ maxLeverage
-    if (config.risk.leverage > marketInfo.maxLeverage) {
+    // Leverage market (FIXED ≤ maxLeverage, MAX — обрізається до maxLeverage)
+    const { leverage, reason } = leverageService.resolve(symbol, marketInfo, channel.risk);
+    if (leverage === null) {
       return {
         valid: false,
-        reason: `Leverage ${config.risk.leverage}x exceeds max for ${symbol} (${marketInfo.maxLeverage}x)`,
+        reason,
         info: {}
       };
     }
@@ -256,6 +446,30 @@ async function validateSignal(signal) {
     };
   }
 
+  // 9. Funding: напрямок сигналу платить funding вище порогу
+  if (config.funding.maxAdverseRatePercent > 0) {
+    try {
+      const funding = await exchange.getFundingRate(symbol);
+      const rate = config.funding.rateSource === 'current' ? funding.currentRate : funding.predictedRate;
+      // rate > 0 → LONG платить; rate < 0 → SHORT платить
+      const adverseRatePercent = (direction === 'LONG' ? rate : -rate) * 100;
+
+      if (adverseRatePercent > config.funding.maxAdverseRatePercent) {
+        return {
+          valid: false,
+          reason: `${direction} pays ${config.funding.rateSource} funding ${adverseRatePercent.toFixed(4)}% (max ${config.funding.maxAdverseRatePercent}%)`,
+          info: {}
+        };
+      }
+    } catch (error) {
+      return {
+        valid: false,
+        reason: `Error checking funding rate: ${error.message}`,
+        info: {}
+      };
+    }
+  }
+
   return { valid: true };
 }
 
@@ -272,32 +486,54 @@ async function validateSignal(signal) {
  * - SL:    LIMIT чуть ниже trigger (LONG) / чуть выше (SHORT)
  * 
  * Один запит createOrderWithTPSL, 3 окремих Stark підписи всередині.
+ *
+ * @returns {Promise<{ status: string, reason?: string, orderId?: string }>} результат для дедуплікації
  */
-async function openPosition(signal) {
-  const { symbol, direction, timestamp } = signal;
+async function openPosition(signal, channel) {
+  const { symbol, direction, timestamp, source } = signal;
+  const { risk } = channel;
   
   try {
-    logger.info(`[TRADE] Opening position: ${symbol} ${direction}`);
+    logger.info(`[TRADE] Opening position: ${symbol} ${direction} (${source})`);
 
     // 1. Баланс
-    const balance = await extendedService.getBalance();
+    const balance = await exchange.getBalance();
     statistics.currentBalance = balance;
 
     // 2. Ціна + order book top (нужно bestBid/bestAsk для IOC buffer)
-    const priceData = await extendedService.getCurrentPrice(symbol);
+    //    Свіжий top зі stream, інакше — REST
+    const priceData = exchange.getCachedBookTop(symbol) || await exchange.getCurrentPrice(symbol);
     const currentPrice = priceData.lastPrice;
     
-    // 3. Market info (для round precision, min qty, etc.)
-    const marketInfo = await extendedService.getMarketInfo(symbol);
+    // 3. Market info (для round precision, min qty, etc.) — з кешу, без HTTP
+    const marketInfo = await exchange.getMarketInfo(symbol);
 
-    // 4. Розрахунок параметрів позиції (qty, margin, TP/SL)
+    // 3a. ATR режим: відстані TP/SL від волатильності market (свічки з біржі)
+    const volatility = risk.stopMode === 'ATR'
+      ? await volatilityService.getVolatility(symbol)
+      : null;
+
+    // 3b. Leverage market (розмір позиції рахується під нього)
+    const { leverage, reason: leverageError } = leverageService.resolve(symbol, marketInfo, risk);
+    if (leverage === null) throw new Error(leverageError);
+
+    // 4. Розрахунок параметрів позиції (qty, margin, TP/SL) за risk профілем каналу
     const positionParams = riskService.calculatePositionParameters(
       balance,
       currentPrice,
       direction,
-      marketInfo
+      marketInfo,
+      volatility,
+      leverage,
+      risk
     );
 
+    // 4a. Liquidity gate: чи витримає видима глибина розраховану qty
+    if (config.liquidity.enabled) {
+      const rejection = await applyLiquidityGate(symbol, direction, positionParams, marketInfo, source);
+      if (rejection) return { status: SignalOutcome.IGNORED, reason: rejection };
+    }
+
     // 5. Перевірка маржі
     if (!riskService.hasSufficientBalance(balance, positionParams.requiredMargin)) {
       throw new Error(
@@ -327,24 +563,26 @@ async function openPosition(signal) {
         stopLoss: positionParams.stopLoss,
         orderId: 'DRY_RUN_' + Date.now(),
         externalId: 'DRY_RUN_EXT_' + Date.now(),
+        source,
+        latency: signal.latency,
         timestamp
       });
 
       statistics.totalTrades++;
       statistics.dailyTrades++;
       
-      return;
+      return { status: SignalOutcome.DRY_RUN };
     }
 
     // ─── LIVE TRADING ────────────────────────────────────────
     const side = direction === 'LONG' ? 'BUY' : 'SELL';
 
-    // 1. Встановлюємо leverage
-    await extendedService.setLeverage(symbol, config.risk.leverage);
+    // 1. Leverage: PATCH тільки якщо на акаунті інший
+    await leverageService.ensure(symbol, marketInfo, risk);
 
     // 2. Відкриваємо позицію: entry + TP + SL за один запит
     //    Всі три — LIMIT GTT, maker fee 0%. Всередині: 3 Stark підписи.
-    const orderResult = await extendedService.createOrderWithTPSL({
+    const orderResult = await exchange.createOrderWithTPSL({
       symbol,
       side,
       quantity: positionParams.quantity,
@@ -353,9 +591,10 @@ async function openPosition(signal) {
       tp: positionParams.takeProfit,          // { triggerPrice, limitPrice }
       sl: positionParams.stopLoss             // { triggerPrice, limitPrice }
     });
+    signal.latency.acceptedAt = Date.now();
 
-    // 3. Додаємо позицію до моніторингу
-    positionService.addOpenPosition({
+    // 3. Entry — resting LIMIT: позиція стане "open" тільки після fill
+    positionService.addPendingEntry({
       symbol,
       direction,
       entryPrice: positionParams.entryPrice,
@@ -364,35 +603,233 @@ async function openPosition(signal) {
       stopLoss: positionParams.stopLoss,
       orderId: orderResult.orderId,
       externalId: orderResult.externalId,
+      leverage: positionParams.leverage,
+      riskAmount: positionParams.riskAmount,
+      balance,
+      source,
+      latency: signal.latency,
       timestamp
     });
 
-    // 4. Статистика
-    statistics.totalTrades++;
-    statistics.dailyTrades++;
+    logger.info(`[TRADE] ✅ Entry order placed: ${symbol} ${direction} | Order: ${orderResult.orderId}, waiting for fill`);
 
-    // 5. Telegram
+    // 4. Одразу перевіряємо статус (entry часто заповнюється миттєво);
+    //    далі — stream 'order' події або checkPendingEntries у циклі моніторингу
+    try {
+      await positionService.refreshPendingEntry(symbol);
+    } catch (error) {
+      logger.warn(`[TRADE] Entry status check failed, will retry in monitoring: ${error.message}`);
+    }
+
+    return { status: SignalOutcome.ORDER_PLACED, orderId: orderResult.orderId };
+
+  } catch (error) {
+    logger.error(`[TRADE] Error opening position: ${error.message}`);
+    // Біржа відхилила entry через leverage → кеш не відповідає акаунту
+    if (/leverage/i.test(error.message)) {
+      leverageService.invalidate(symbol);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Pre-trade liquidity gate: стакан на depthLevels рівнів → OK | DOWNSIZE | REJECT.
+ * DOWNSIZE змінює positionParams на місці (qty, margin, risk пропорційно).
+ * @returns {Promise<string|null>} причина відхилення сигналу або null
+ */
+async function applyLiquidityGate(symbol, direction, positionParams, marketInfo, source) {
+  const side = direction === 'LONG' ? 'BUY' : 'SELL';
+  const book = await exchange.getOrderBook(symbol, config.liquidity.depthLevels);
+  const check = liquidityService.checkLiquidity({
+    book,
+    side,
+    quantity: positionParams.quantity,
+    marketInfo
+  });
+
+  if (check.action === 'OK') return null;
+
+  if (check.action === 'DOWNSIZE') {
+    const ratio = check.quantity / positionParams.quantity;
+    logger.warn(`[LIQUIDITY] ${symbol}: ${check.reason} → downsizing ${positionParams.quantity} → ${check.quantity}`);
+
+    positionParams.quantity = check.quantity;
+    positionParams.positionSize = check.quantity * positionParams.entryPrice;
+    positionParams.requiredMargin = positionParams.positionSize / positionParams.leverage;
+    positionParams.riskAmount = positionParams.riskAmount * ratio;
+    return null;
+  }
+
+  logger.warn(`[LIQUIDITY] ${symbol}: rejecting signal — ${check.reason}`);
+  statistics.signalsIgnored++;
+  sourceStatistics(source).ignored++;
+
+  if (!config.trading.dryRun) {
+    try {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatSignalIgnoredMessage(symbol, direction, check.reason, { source })
+      );
+    } catch (telegramError) {
+      logger.error(`[LIQUIDITY] Telegram send error: ${telegramError.message}`);
+    }
+  }
+
+  return check.reason;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ENTRY LIFECYCLE
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Entry заповнився → позиція відкрита з реальною ціною і qty
+ */
+async function handleEntryFilled(position) {
+  logger.info(`[TRADE] ✅ Position opened: ${position.symbol} ${position.direction} ${position.quantity} @ ${position.entryPrice}`);
+
+  // Угода — тільки заповнений entry (переставлений / скасований / прострочений ліміт не витрачає)
+  statistics.totalTrades++;
+  statistics.dailyTrades++;
+
+  const latency = position.latency ? signalLatencyBreakdown(position.latency) : null;
+  if (latency) {
+    statistics.latencies.push(latency);
+    logger.info(`[LATENCY] ${position.symbol}: ${Object.entries(latency.stages).map(([stage, ms]) => `${stage} ${formatLatency(ms)}`).join(', ')}, total ${formatLatency(latency.total)}`);
+  }
+
+  if (config.trading.dryRun) return;
+
+  try {
     await telegramService.sendMessage(
       config.telegram.channelId,
       telegramService.formatPositionOpenedMessage({
-        symbol,
-        direction,
-        entryPrice: positionParams.entryPrice,
-        quantity: positionParams.quantity,
-        leverage: positionParams.leverage,
-        takeProfit: positionParams.takeProfit,
-        stopLoss: positionParams.stopLoss,
-        riskAmount: positionParams.riskAmount,
-        balance,
-        timestamp
+        symbol: position.symbol,
+        direction: position.direction,
+        entryPrice: position.entryPrice,
+        quantity: position.quantity,
+        leverage: position.leverage,
+        takeProfit: position.takeProfit,
+        stopLoss: position.stopLoss,
+        riskAmount: position.riskAmount,
+        balance: position.balance,
+        source: position.source,
+        latency,
+        timestamp: position.timestamp
       })
     );
+  } catch (telegramError) {
+    logger.error(`[TRADE] Error sending position opened message: ${telegramError.message}`);
+  }
+}
+
+/**
+ * Entry скасований / прострочений без fills → позиції немає
+ */
+async function handleEntryFailed(entry) {
+  logger.warn(`[TRADE] Entry ${entry.symbol} ${entry.direction} ${entry.status}: no fills`);
 
-    logger.info(`[TRADE] ✅ Position opened: ${symbol} ${direction} | Order: ${orderResult.orderId}`);
+  // Entry policy вже повідомила про ABANDON з причиною
+  if (config.trading.dryRun || entry.abandonReason) return;
+
+  try {
+    await telegramService.sendMessage(
+      config.telegram.channelId,
+      `⚪️ <b>ENTRY NOT FILLED</b>\n\n` +
+      `<b>Symbol:</b> ${entry.symbol}\n` +
+      `<b>Direction:</b> ${entry.direction}\n` +
+      `<b>Status:</b> ${entry.status}\n` +
+      `<b>Order:</b> ${entry.orderId}`
+    );
+  } catch (telegramError) {
+    logger.error(`[TRADE] Error sending entry failed message: ${telegramError.message}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// KILL SWITCH
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Kill switch увімкнено (скрипт, SIGUSR2, /kill, risk rules) → flatten акаунта
+ */
+async function handleKillSwitchEngaged(state) {
+  let result = { closed: [], errors: [] };
 
+  try {
+    result = await positionService.flattenAll();
+    logger.warn(`[KILL] Flatten done: ${result.closed.length} closed, ${result.errors.length} error(s)`);
   } catch (error) {
-    logger.error(`[TRADE] Error opening position: ${error.message}`);
-    throw error;
+    logger.error(`[KILL] Flatten failed: ${error.message}`);
+    result.errors.push({ symbol: 'ALL', message: error.message });
+  }
+
+  if (config.trading.dryRun) return;
+
+  try {
+    await telegramService.sendMessage(
+      config.telegram.channelId,
+      telegramService.formatKillSwitchMessage(state, result)
+    );
+  } catch (telegramError) {
+    logger.error(`[KILL] Error sending kill switch message: ${telegramError.message}`);
+  }
+}
+
+async function handleKillSwitchRearmed(state) {
+  if (config.trading.dryRun) return;
+
+  try {
+    await telegramService.sendMessage(
+      config.telegram.channelId,
+      `🟢 <b>KILL SWITCH RE-ARMED</b>\n\n` +
+      `<b>By:</b> ${state.rearmedBy}\n` +
+      `New signals are accepted again.`
+    );
+  } catch (telegramError) {
+    logger.error(`[KILL] Error sending re-arm message: ${telegramError.message}`);
+  }
+}
+
+/**
+ * Risk rules після кожного закриття позиції
+ */
+async function handlePositionClosedRisk() {
+  const reason = killSwitchService.evaluateRiskRules({
+    closedPositions: positionService.closedPositions,
+    dayStartBalance: statistics.dayStartBalance
+  });
+
+  if (reason) {
+    killSwitchService.engage(reason, 'risk');
+  }
+}
+
+/**
+ * Адмін-команди з Telegram → текст відповіді
+ */
+async function handleAdminCommand({ command, args, userId }) {
+  switch (command) {
+    case 'kill':
+      return killSwitchService.engage(args || 'Manual kill from Telegram', `telegram:${userId}`)
+        ? '🛑 Kill switch engaged, flattening account...'
+        : `Kill switch already engaged: ${killSwitchService.getState().reason}`;
+
+    case 'rearm':
+      return killSwitchService.rearm(`telegram:${userId}`)
+        ? '🟢 Kill switch re-armed'
+        : 'Kill switch is not engaged';
+
+    case 'status': {
+      const state = killSwitchService.getState();
+      return `<b>Kill switch:</b> ${state.engaged ? `🛑 ENGAGED (${state.reason})` : 'armed'}\n` +
+        `<b>Open positions:</b> ${positionService.getOpenPositionsCount()}\n` +
+        `<b>Trades today:</b> ${statistics.dailyTrades}`;
+    }
+
+    default:
+      return `Unknown command /${command}. Available: /kill [reason], /rearm, /status`;
   }
 }
 
@@ -400,6 +837,20 @@ async function openPosition(signal) {
 // DAILY REPORT
 // ═══════════════════════════════════════════════════════════════
 
+/**
+ * Обнулення денної статистики рівно о 00:00 UTC — до того, як закриття нового дня
+ * потрапить у closedPositions (інакше reset з close path стер би перше закриття дня)
+ */
+function scheduleDailyReset() {
+  const nextMidnight = new Date();
+  nextMidnight.setUTCHours(24, 0, 0, 0);
+
+  setTimeout(async () => {
+    await resetDailyStatisticsIfNeeded();
+    scheduleDailyReset();
+  }, nextMidnight - Date.now());
+}
+
 function scheduleDailyReport() {
   const now = new Date();
   const reportTime = new Date();
@@ -419,19 +870,47 @@ function scheduleDailyReport() {
   logger.info(`[REPORT] Daily report scheduled for ${reportTime.toISOString()}`);
 }
 
+/**
+ * Новий UTC день → обнуляємо денну статистику і запам'ятовуємо баланс на його початок
+ */
+async function resetDailyStatisticsIfNeeded() {
+  const currentDate = getCurrentDate();
+  if (currentDate === statistics.lastResetDate) return;
+
+  statistics.dailyTrades = 0;
+  statistics.signalsIgnored = 0;
+  statistics.signalsDuplicate = 0;
+  statistics.signalsStale = 0;
+  statistics.latencies = [];
+  statistics.signalsBySource = {};
+  statistics.lastResetDate = currentDate;
+  positionService.resetDailyStatistics();
+
+  logger.info(`[REPORT] New day ${currentDate}`);
+  await recordDayStartBalance();
+}
+
+/**
+ * База daily loss — equity акаунта (getBalance = availableForTrade без маржі відкритих позицій)
+ */
+async function recordDayStartBalance() {
+  try {
+    const { equity } = await exchange.getAccountHealth();
+    statistics.dayStartBalance = equity;
+    logger.info(`[REPORT] Day start equity: ${equity}`);
+  } catch (error) {
+    // Без свіжої equity — база попереднього дня, краще ніж вимкнений daily loss
+    logger.error(`[REPORT] Day start equity unavailable, keeping ${statistics.dayStartBalance}: ${error.message}`);
+  }
+}
+
 async function sendDailyReport() {
   try {
     const currentDate = getCurrentDate();
-    
-    if (currentDate !== statistics.lastResetDate) {
-      statistics.dailyTrades = 0;
-      statistics.signalsIgnored = 0;
-      statistics.lastResetDate = currentDate;
-      positionService.resetDailyStatistics();
-    }
+    await resetDailyStatisticsIfNeeded();
 
     const posStats = positionService.getStatistics();
-    const currentBalance = await extendedService.getBalance();
+    const currentBalance = await exchange.getBalance();
     const startBalance = statistics.startBalance;
     const totalPnl = currentBalance - startBalance;
     const roi = startBalance > 0 ? (totalPnl / startBalance) * 100 : 0;
@@ -444,13 +923,25 @@ async function sendDailyReport() {
       },
       totalSignals: statistics.totalSignals,
       signalsIgnored: statistics.signalsIgnored,
+      signalsDuplicate: statistics.signalsDuplicate,
+      signalsStale: statistics.signalsStale,
+      latency: summarizeSignalLatency(statistics.latencies),
       totalTrades: posStats.totalTrades,
       winTrades: posStats.winTrades,
       loseTrades: posStats.loseTrades,
       totalPnl: totalPnl,
+      tradesGrossPnl: posStats.totalGrossPnl,
+      tradesNetPnl: posStats.totalPnl,
+      totalFees: posStats.totalFees,
+      totalFunding: posStats.totalFunding,
       roi: roi,
       startBalance: startBalance,
-      currentBalance: currentBalance
+      currentBalance: currentBalance,
+      // Канал → сигнали за день + закриті угоди (для порівняння провайдерів)
+      bySource: Object.fromEntries(config.signals.channels.map(channel => [channel.id, {
+        ...(statistics.signalsBySource[channel.id] || { signals: 0, ignored: 0, duplicates: 0 }),
+        ...(posStats.bySource[channel.id] || { totalTrades: 0, winTrades: 0, totalPnl: 0, totalFees: 0 })
+      }]))
     };
 
     if (!config.trading.dryRun) {
@@ -474,6 +965,7 @@ process.on('SIGINT', async () => {
   logger.info('\n[SHUTDOWN] Received SIGINT, shutting down gracefully...');
   
   positionService.stopMonitoring();
+  exchange.stopStream();
   
   if (!config.trading.dryRun) {
     try {
@@ -491,9 +983,15 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
+// Kill switch без зупинки процесу: kill -USR2 <pid>
+process.on('SIGUSR2', () => {
+  killSwitchService.engage('SIGUSR2 received', 'signal');
+});
+
 process.on('SIGTERM', async () => {
   logger.info('\n[SHUTDOWN] Received SIGTERM, shutting down gracefully...');
   positionService.stopMonitoring();
+  exchange.stopStream();
   process.exit(0);
 });
 
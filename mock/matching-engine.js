@@ -0,0 +1,603 @@
+import { EventEmitter } from 'events';
+
+const ACTIVE_STATUSES = ['NEW', 'PARTIALLY_FILLED', 'UNTRIGGERED', 'TRIGGERED'];
+
+/**
+ * MatchingEngine — стан mock біржі у wire-форматі Extended API.
+ *
+ * Модель:
+ *   - book = lastPrice ± spread/2 (нескінченна ліквідність на top)
+ *   - LIMIT: fill по book top, якщо перетинає; інакше висить до перетину або expiry
+ *   - takeProfit / stopLoss з POST /user/order: дочірні reduce-only ордери,
+ *     активуються після fill entry, trigger по last price → LIMIT
+ *   - одна net позиція на market, ізольована маржа = notional / leverage
+ *
+ * Події (для WebSocket /account і /orderbooks):
+ *   'order' (order), 'trade' (trade), 'position' (position), 'balance' (balance),
+ *   'price' (market, { lastPrice, bidPrice, askPrice })
+ */
+export class MatchingEngine extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.markets     — сирі markets у форматі /info/markets
+   * @param {Object<string, number>} options.prices — стартові ціни
+   * @param {number} [options.startBalance=10000]
+   * @param {number} [options.spreadPercent=0.01]
+   * @param {number} [options.takerFee=0.00025]
+   * @param {number} [options.makerFee=0]
+   */
+  constructor({ markets, prices, startBalance = 10000, spreadPercent = 0.01, takerFee = 0.00025, makerFee = 0 }) {
+    super();
+    this.markets = markets;
+    this.prices = new Map(Object.entries(prices));
+    this.startBalance = startBalance;
+    this.spreadPercent = spreadPercent;
+    this.takerFee = takerFee;
+    this.makerFee = makerFee;
+    this.fundingRates = new Map();        // market → поточна predicted ставка
+    this.candleSeeds = new Map();         // `${market}:${interval}` → свічки з /__mock/candles
+    this.priceHistory = new Map(Array.from(this.prices, ([market, price]) => [market, [{ T: Date.now(), price }]]));
+    this.reset();
+  }
+
+  reset() {
+    this.balance = this.startBalance;     // realised cash
+    this.orders = new Map();              // id → order
+    this.positions = new Map();           // market → position
+    this.closedPositions = [];
+    this.trades = [];
+    this.fundingHistory = [];             // { m, T, f } — як /info/{market}/funding
+    this.fundingPayments = [];            // як /user/funding/history
+    this.leverage = new Map();            // market → leverage
+    this.nextId = 1000;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // MARKET DATA
+  // ═══════════════════════════════════════════════════════════
+
+  getMarket(market) {
+    return this.markets.find(m => m.name === market) || null;
+  }
+
+  getStats(market) {
+    const lastPrice = this.prices.get(market);
+    const halfSpread = lastPrice * (this.spreadPercent / 100) / 2;
+
+    return {
+      lastPrice: String(lastPrice),
+      bidPrice: String(lastPrice - halfSpread),
+      askPrice: String(lastPrice + halfSpread),
+      markPrice: String(lastPrice),
+      indexPrice: String(lastPrice),
+      fundingRate: String(this.fundingRates.get(market) ?? 0),
+      nextFundingRate: String(Math.ceil(Date.now() / 3600000) * 3600000)
+    };
+  }
+
+  /**
+   * Свічки як /info/candles/{market}/{type}: новіші першими.
+   * Засіяні через /__mock/candles віддаються як є, інакше — агрегація
+   * історії setPrice по інтервалу (порожні інтервали = попередній close).
+   */
+  getCandles(market, intervalMs, limit, interval) {
+    const seeded = this.candleSeeds.get(`${market}:${interval}`);
+    if (seeded) return seeded.slice(-limit).reverse();
+
+    const history = this.priceHistory.get(market);
+    const currentOpen = Math.floor(Date.now() / intervalMs) * intervalMs;
+    const candles = [];
+    let prevClose = history[0].price;
+
+    for (let i = limit - 1; i >= 0; i--) {
+      const openTime = currentOpen - i * intervalMs;
+      const prices = history.filter(p => p.T >= openTime && p.T < openTime + intervalMs).map(p => p.price);
+      const open = prices.length ? prices[0] : prevClose;
+      const close = prices.length ? prices[prices.length - 1] : prevClose;
+
+      candles.push({
+        o: String(open),
+        h: String(Math.max(open, ...prices)),
+        l: String(Math.min(open, ...prices)),
+        c: String(close),
+        v: '0',
+        T: openTime
+      });
+      prevClose = close;
+    }
+
+    return candles.reverse();
+  }
+
+  seedCandles(market, interval, candles) {
+    this.candleSeeds.set(`${market}:${interval}`, candles);
+  }
+
+  /**
+   * Нараховує funding по market (викликається /__mock/funding).
+   * fundingFee > 0 — акаунт заплатив (rate > 0 → платить LONG).
+   */
+  applyFunding(market, rate) {
+    const paidTime = Date.now();
+    this.fundingRates.set(market, rate);
+    this.fundingHistory.push({ m: market, T: paidTime, f: String(rate) });
+
+    const position = this.positions.get(market);
+    if (!position) return null;
+
+    const markPrice = this.prices.get(market);
+    const value = position.size * markPrice;
+    const fundingFee = (position.side === 'LONG' ? 1 : -1) * value * rate;
+
+    this.balance -= fundingFee;
+    const payment = {
+      id: this.nextId++,
+      accountId: 1,
+      market,
+      side: position.side,
+      size: String(position.size),
+      value: String(value),
+      markPrice: String(markPrice),
+      fundingFee: String(fundingFee),
+      fundingRate: String(rate),
+      paidTime
+    };
+    this.fundingPayments.push(payment);
+    this.emit('balance', this.getBalance());
+    return payment;
+  }
+
+  /**
+   * Встановлює ціну і проганяє matching (викликається PricePath або /__mock/price)
+   */
+  setPrice(market, price) {
+    if (!this.prices.has(market)) {
+      throw new Error(`Unknown market ${market}`);
+    }
+
+    this.prices.set(market, price);
+    const history = this.priceHistory.get(market);
+    history.push({ T: Date.now(), price });
+    if (history.length > 10000) history.shift();
+    this.emit('price', market, this.getStats(market));
+    this._matchMarket(market);
+
+    const position = this.positions.get(market);
+    if (position) {
+      this.emit('position', this._positionView(position));
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // ACCOUNT
+  // ═══════════════════════════════════════════════════════════
+
+  getBalance() {
+    let usedMargin = 0;
+    let unrealisedPnl = 0;
+
+    for (const position of this.positions.values()) {
+      const view = this._positionView(position);
+      usedMargin += parseFloat(view.value) / position.leverage;
+      unrealisedPnl += parseFloat(view.unrealisedPnl);
+    }
+
+    const equity = this.balance + unrealisedPnl;
+
+    return {
+      collateralName: 'USD',
+      balance: String(this.balance),
+      equity: String(equity),
+      availableForTrade: String(equity - usedMargin),
+      availableForWithdrawal: String(Math.max(0, equity - usedMargin)),
+      unrealisedPnl: String(unrealisedPnl),
+      initialMargin: String(usedMargin),
+      marginRatio: String(equity > 0 ? usedMargin / equity : 0),
+      updatedTime: Date.now()
+    };
+  }
+
+  getLeverage(market) {
+    const config = this.getMarket(market);
+    return this.leverage.get(market) || Math.min(10, parseInt(config?.tradingConfig?.maxLeverage || '10'));
+  }
+
+  setLeverage(market, leverage) {
+    const max = parseInt(this.getMarket(market)?.tradingConfig?.maxLeverage || '50');
+    if (leverage < 1 || leverage > max) {
+      throw new MockApiError(400, 'INVALID_LEVERAGE', `Leverage must be between 1 and ${max}`);
+    }
+    this.leverage.set(market, leverage);
+    return { market, leverage: String(leverage) };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // ORDERS
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * POST /user/order — entry + опційні takeProfit / stopLoss
+   */
+  placeOrder(request) {
+    const market = this.getMarket(request.market);
+    if (!market) {
+      throw new MockApiError(404, 'MARKET_NOT_FOUND', `Market ${request.market} not found`);
+    }
+    for (const field of ['id', 'side', 'qty', 'price', 'settlement']) {
+      if (request[field] === undefined || request[field] === null) {
+        throw new MockApiError(400, 'VALIDATION_ERROR', `Missing field: ${field}`);
+      }
+    }
+    if (this.findByExternalId(request.id)) {
+      throw new MockApiError(409, 'DUPLICATE_ORDER', `Order with externalId ${request.id} already exists`);
+    }
+
+    const qty = parseFloat(request.qty);
+    if (qty < parseFloat(market.tradingConfig.minOrderSize)) {
+      throw new MockApiError(400, 'INVALID_QTY', `Quantity ${qty} below minOrderSize ${market.tradingConfig.minOrderSize}`);
+    }
+
+    if (request.tpSlType === 'POSITION') {
+      return this._placePositionTpSl(request, qty);
+    }
+
+    const closeSide = request.side === 'BUY' ? 'SELL' : 'BUY';
+    const entry = this._addOrder({
+      externalId: request.id,
+      market: request.market,
+      type: request.type || 'LIMIT',
+      side: request.side,
+      price: parseFloat(request.price),
+      qty,
+      reduceOnly: Boolean(request.reduceOnly),
+      timeInForce: request.timeInForce || 'GTT',
+      expiryEpochMillis: request.expiryEpochMillis || null
+    });
+
+    for (const key of ['takeProfit', 'stopLoss']) {
+      const leg = request[key];
+      if (!leg) continue;
+
+      const triggerPrice = parseFloat(leg.triggerPrice);
+      // LONG TP / SHORT SL → trigger при рості; LONG SL / SHORT TP → при падінні
+      const up = (request.side === 'BUY') === (key === 'takeProfit');
+
+      // Як у Extended: вкладені TP/SL (tpSlType ORDER) — дочірні ордери без власного externalId,
+      // прив'язані до entry через parentId
+      this._addOrder({
+        externalId: null,
+        parentId: entry.id,
+        market: request.market,
+        type: 'TPSL',
+        tpSlType: 'ORDER',
+        [key]: { triggerPrice: leg.triggerPrice, price: leg.price },
+        side: closeSide,
+        price: parseFloat(leg.price),
+        triggerPrice,
+        triggerDirection: up ? 'UP' : 'DOWN',
+        qty,
+        reduceOnly: true,
+        status: 'UNTRIGGERED',
+        timeInForce: 'GTT',
+        // expiryEpochMillis запиту — expiry entry; TP/SL підписані з власним (довгим) expiry
+        expiryEpochMillis: null
+      });
+    }
+
+    this._tryFill(entry, false);
+
+    if (entry.timeInForce === 'IOC' && ACTIVE_STATUSES.includes(entry.status)) {
+      this._setStatus(entry, entry.filledQty > 0 ? 'CANCELLED' : 'EXPIRED');
+    }
+
+    return { id: entry.id, externalId: entry.externalId };
+  }
+
+  /**
+   * tpSlType POSITION: TP та/або SL на вже відкриту позицію (без entry).
+   * request.side — закриваюча сторона. Один leg → externalId = request.id.
+   */
+  _placePositionTpSl(request, qty) {
+    const position = this.positions.get(request.market);
+    const positionSide = request.side === 'BUY' ? 'SHORT' : 'LONG';
+    if (!position || position.side !== positionSide) {
+      throw new MockApiError(400, 'NO_POSITION', `No ${positionSide} position on ${request.market}`);
+    }
+
+    const legs = [['takeProfit', 'tp'], ['stopLoss', 'sl']].filter(([key]) => request[key]);
+    let first = null;
+
+    for (const [key, suffix] of legs) {
+      const leg = request[key];
+      const up = (positionSide === 'LONG') === (key === 'takeProfit');
+
+      const order = this._addOrder({
+        externalId: legs.length === 1 ? request.id : `${request.id}-${suffix}`,
+        parentId: null,
+        market: request.market,
+        type: 'TPSL',
+        tpSlType: 'POSITION',
+        [key]: { triggerPrice: leg.triggerPrice, price: leg.price },
+        side: request.side,
+        price: parseFloat(leg.price),
+        triggerPrice: parseFloat(leg.triggerPrice),
+        triggerDirection: up ? 'UP' : 'DOWN',
+        qty,
+        reduceOnly: true,
+        status: 'UNTRIGGERED',
+        timeInForce: 'GTT',
+        expiryEpochMillis: request.expiryEpochMillis || null
+      });
+      first ||= order;
+    }
+
+    return { id: first.id, externalId: first.externalId };
+  }
+
+  /**
+   * @param {string[]|null} markets — null → всі markets
+   * @returns {Object[]} скасовані ордери
+   */
+  massCancel(markets) {
+    const cancelled = this.getOpenOrders()
+      .filter(order => !markets || markets.includes(order.market));
+    cancelled.forEach(order => this._setStatus(order, 'CANCELLED'));
+    return cancelled;
+  }
+
+  cancelOrder(id) {
+    const order = this.orders.get(Number(id));
+    if (!order) {
+      throw new MockApiError(404, 'ORDER_NOT_FOUND', `Order ${id} not found`);
+    }
+    if (ACTIVE_STATUSES.includes(order.status)) {
+      this._setStatus(order, 'CANCELLED');
+    }
+    return order;
+  }
+
+  findByExternalId(externalId) {
+    for (const order of this.orders.values()) {
+      if (order.externalId === externalId) return order;
+    }
+    return null;
+  }
+
+  getOpenOrders(market = null) {
+    return Array.from(this.orders.values())
+      .filter(o => ACTIVE_STATUSES.includes(o.status) && (!market || o.market === market));
+  }
+
+  getPositions(market = null) {
+    return Array.from(this.positions.values())
+      .filter(p => !market || p.market === market)
+      .map(p => this._positionView(p));
+  }
+
+  getTrades(market = null) {
+    return this.trades
+      .filter(t => !market || t.market === market)
+      .slice()
+      .reverse();
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // MATCHING
+  // ═══════════════════════════════════════════════════════════
+
+  _addOrder(fields) {
+    const now = Date.now();
+    const order = {
+      id: this.nextId++,
+      accountId: 1,
+      status: 'NEW',
+      filledQty: 0,
+      averagePrice: null,
+      reduceOnly: false,
+      parentId: null,
+      triggerPrice: null,
+      createdTime: now,
+      updatedTime: now,
+      ...fields
+    };
+    this.orders.set(order.id, order);
+    this.emit('order', this._orderView(order));
+    return order;
+  }
+
+  _setStatus(order, status) {
+    order.status = status;
+    order.updatedTime = Date.now();
+    this.emit('order', this._orderView(order));
+  }
+
+  _matchMarket(market) {
+    const lastPrice = this.prices.get(market);
+    const now = Date.now();
+
+    for (const order of Array.from(this.orders.values())) {
+      if (order.market !== market || !ACTIVE_STATUSES.includes(order.status)) continue;
+
+      if (order.expiryEpochMillis && now > order.expiryEpochMillis) {
+        this._setStatus(order, 'EXPIRED');
+        continue;
+      }
+
+      if (order.status === 'UNTRIGGERED') {
+        const parent = order.parentId ? this.orders.get(order.parentId) : null;
+        if (parent && parent.filledQty === 0) {
+          if (!ACTIVE_STATUSES.includes(parent.status)) this._setStatus(order, 'CANCELLED');
+          continue;
+        }
+
+        const hit = order.triggerDirection === 'UP' ? lastPrice >= order.triggerPrice : lastPrice <= order.triggerPrice;
+        if (!hit) continue;
+        this._setStatus(order, 'TRIGGERED');
+      }
+
+      this._tryFill(order, true);
+    }
+  }
+
+  _tryFill(order, resting) {
+    const stats = this.getStats(order.market);
+    const bid = parseFloat(stats.bidPrice);
+    const ask = parseFloat(stats.askPrice);
+
+    let fillPrice = null;
+    if (order.side === 'BUY' && ask <= order.price) fillPrice = ask;
+    if (order.side === 'SELL' && bid >= order.price) fillPrice = bid;
+    if (fillPrice === null) return;
+
+    let qty = order.qty - order.filledQty;
+
+    if (order.reduceOnly) {
+      const position = this.positions.get(order.market);
+      const positionSide = order.side === 'BUY' ? 'SHORT' : 'LONG';
+      if (!position || position.side !== positionSide) {
+        this._setStatus(order, 'CANCELLED');
+        return;
+      }
+      qty = Math.min(qty, position.size);
+    }
+
+    // Ордер, що висів у книзі, — maker; той, що одразу перетнув, — taker
+    const feeRate = resting ? this.makerFee : this.takerFee;
+    this._fill(order, qty, fillPrice, feeRate, !resting);
+  }
+
+  _fill(order, qty, price, feeRate, isTaker) {
+    const value = qty * price;
+    const fee = value * feeRate;
+
+    const trade = {
+      id: this.nextId++,
+      accountId: 1,
+      market: order.market,
+      orderId: order.id,
+      side: order.side,
+      price: String(price),
+      qty: String(qty),
+      value: String(value),
+      fee: String(fee),
+      isTaker,
+      tradeType: 'TRADE',
+      createdTime: Date.now()
+    };
+    this.trades.push(trade);
+    this.balance -= fee;
+
+    const prevCost = (order.averagePrice || 0) * order.filledQty;
+    order.filledQty += qty;
+    order.averagePrice = (prevCost + value) / order.filledQty;
+    this._setStatus(order, order.filledQty >= order.qty - 1e-12 ? 'FILLED' : 'PARTIALLY_FILLED');
+
+    this.emit('trade', trade);
+    this._applyToPosition(order.market, order.side, qty, price);
+    this.emit('balance', this.getBalance());
+  }
+
+  _applyToPosition(market, orderSide, qty, price) {
+    const side = orderSide === 'BUY' ? 'LONG' : 'SHORT';
+    const position = this.positions.get(market);
+    const now = Date.now();
+
+    if (!position || position.side === side) {
+      const size = (position?.size || 0) + qty;
+      const openPrice = position ? (position.openPrice * position.size + price * qty) / size : price;
+
+      const updated = {
+        id: position?.id || this.nextId++,
+        market,
+        side,
+        size,
+        openPrice,
+        realisedPnl: position?.realisedPnl || 0,
+        leverage: this.getLeverage(market),
+        createdTime: position?.createdTime || now,
+        updatedTime: now
+      };
+      this.positions.set(market, updated);
+      this.emit('position', this._positionView(updated));
+      return;
+    }
+
+    const closedQty = Math.min(qty, position.size);
+    const pnl = position.side === 'LONG'
+      ? (price - position.openPrice) * closedQty
+      : (position.openPrice - price) * closedQty;
+
+    this.balance += pnl;
+    position.realisedPnl += pnl;
+    position.size -= closedQty;
+    position.updatedTime = now;
+
+    if (position.size <= 1e-12) {
+      this.positions.delete(market);
+      const closed = { ...this._positionView(position), size: '0', status: 'CLOSED' };
+      this.closedPositions.push(closed);
+      this.emit('position', closed);
+    } else {
+      this.emit('position', this._positionView(position));
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // WIRE VIEWS
+  // ═══════════════════════════════════════════════════════════
+
+  _orderView(order) {
+    return {
+      ...order,
+      price: String(order.price),
+      qty: String(order.qty),
+      filledQty: String(order.filledQty),
+      averagePrice: order.averagePrice === null ? null : String(order.averagePrice),
+      triggerPrice: order.triggerPrice === null ? null : String(order.triggerPrice)
+    };
+  }
+
+  _positionView(position) {
+    const markPrice = this.prices.get(position.market);
+    const unrealisedPnl = position.side === 'LONG'
+      ? (markPrice - position.openPrice) * position.size
+      : (position.openPrice - markPrice) * position.size;
+
+    // Ізольована маржа: ліквідація, коли збиток = маржа
+    const marginPerUnit = position.openPrice / position.leverage;
+    const liquidationPrice = position.side === 'LONG'
+      ? position.openPrice - marginPerUnit
+      : position.openPrice + marginPerUnit;
+
+    return {
+      id: position.id,
+      accountId: 1,
+      market: position.market,
+      side: position.side,
+      leverage: String(position.leverage),
+      size: String(position.size),
+      value: String(position.size * markPrice),
+      openPrice: String(position.openPrice),
+      markPrice: String(markPrice),
+      liquidationPrice: String(liquidationPrice),
+      unrealisedPnl: String(unrealisedPnl),
+      realisedPnl: String(position.realisedPnl),
+      status: 'OPENED',
+      createdTime: position.createdTime,
+      updatedTime: position.updatedTime
+    };
+  }
+}
+
+/**
+ * Помилка API у форматі Extended: { status: 'ERROR', error: { code, message } }
+ */
+export class MockApiError extends Error {
+  constructor(httpStatus, code, message) {
+    super(message);
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+export default MatchingEngine;
@@ -0,0 +1,78 @@
+import fs from 'fs';
+
+/**
+ * PricePath — джерело цін для mock біржі.
+ *
+ * Два режими на market:
+ *   - script: точки [[offsetMs, price], ...] від старту, лінійна інтерполяція,
+ *             після останньої точки ціна тримається (або з початку, якщо loop)
+ *   - random walk: ±volatilityPercent за тік від стартової ціни
+ *
+ * Формат файлу сценарію (MOCK_PRICE_SCRIPT):
+ *   {
+ *     "loop": false,
+ *     "markets": {
+ *       "BTC-USD": [[0, 60000], [30000, 60400], [60000, 59800]]
+ *     }
+ *   }
+ */
+export class PricePath {
+  /**
+   * @param {Object} options
+   * @param {Object<string, number[][]>} [options.script] — market → [[offsetMs, price], ...]
+   * @param {boolean} [options.loop=false]
+   * @param {number} [options.volatilityPercent=0.02]
+   */
+  constructor({ script = {}, loop = false, volatilityPercent = 0.02 } = {}) {
+    this.script = script;
+    this.loop = loop;
+    this.volatilityPercent = volatilityPercent;
+    this.startedAt = Date.now();
+  }
+
+  static fromFile(filePath, options = {}) {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new PricePath({ ...options, script: parsed.markets || {}, loop: Boolean(parsed.loop) });
+  }
+
+  restart() {
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Наступна ціна для market
+   */
+  next(market, currentPrice) {
+    const points = this.script[market];
+    if (points?.length) {
+      return this._scripted(points);
+    }
+
+    const change = (Math.random() * 2 - 1) * (this.volatilityPercent / 100);
+    return currentPrice * (1 + change);
+  }
+
+  _scripted(points) {
+    const duration = points[points.length - 1][0];
+    let elapsed = Date.now() - this.startedAt;
+
+    if (this.loop && duration > 0) {
+      elapsed %= duration;
+    }
+
+    if (elapsed <= points[0][0]) return points[0][1];
+
+    for (let i = 1; i < points.length; i++) {
+      const [t1, p1] = points[i];
+      if (elapsed <= t1) {
+        const [t0, p0] = points[i - 1];
+        const ratio = t1 === t0 ? 1 : (elapsed - t0) / (t1 - t0);
+        return p0 + (p1 - p0) * ratio;
+      }
+    }
+
+    return points[points.length - 1][1];
+  }
+}
+
+export default PricePath;
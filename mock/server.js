@@ -0,0 +1,389 @@
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+import { MatchingEngine, MockApiError } from './matching-engine.js';
+import { PricePath } from './price-path.js';
+import { CANDLE_INTERVALS_MS } from '../utils/helpers.js';
+
+/**
+ * Локальний mock Extended API для end-to-end прогонів без реальної біржі.
+ *
+ * REST (префікс /api/v1 опційний):
+ *   GET    /info/markets                  GET    /user/balance
+ *                                          GET    /user/account/info
+ *   GET    /info/markets/:m/stats         GET    /user/leverage
+ *   GET    /info/markets/:m/orderbook     PATCH  /user/leverage
+ *   POST   /user/order                    GET    /user/orders
+ *   DELETE /user/order?id= | /user/order/:id
+ *   POST   /user/order/massCancel
+ *   GET    /user/orders/external/:id      GET    /user/positions
+ *   GET    /user/trades                   GET    /user/funding/history
+ *   GET    /info/:m/funding               GET    /info/candles/:m/:type
+ *
+ * WebSocket (префікс /stream.extended.exchange/v1 опційний):
+ *   /account, /orderbooks/:m
+ *
+ * Керування сценарієм:
+ *   POST /__mock/price   { market, price }  — встановити ціну і прогнати matching
+ *   POST /__mock/funding { market, rate }   — нарахувати funding по market
+ *   POST /__mock/candles { market, interval, candles: [{ o, h, l, c, v, T }] } — свічки від старих до нових
+ *   POST /__mock/reset                      — скинути рахунок / ордери / позиції
+ *   GET  /__mock/state                      — весь стан engine
+ *
+ * Запуск: npm run mock   (бот: EXTENDED_NETWORK=local; інший порт — EXTENDED_BASE_URL / EXTENDED_WS_URL)
+ * /user/account/info віддає l2Key / l2Vault з MOCK_L2_KEY / MOCK_L2_VAULT
+ * (або EXTENDED_STARK_PUBLIC_KEY / EXTENDED_VAULT_ID), щоб стартова перевірка ключів бота проходила.
+ */
+
+export const DEFAULT_MARKETS = [
+  mockMarket('BTC-USD', { minOrderSize: '0.0001', minOrderSizeChange: '0.0001', minPriceChange: '1', maxLeverage: '50' }, 2),
+  mockMarket('ETH-USD', { minOrderSize: '0.01', minOrderSizeChange: '0.01', minPriceChange: '0.1', maxLeverage: '50' }, 3),
+  mockMarket('SOL-USD', { minOrderSize: '0.1', minOrderSizeChange: '0.1', minPriceChange: '0.01', maxLeverage: '25' }, 4)
+];
+
+export const DEFAULT_PRICES = { 'BTC-USD': 60000, 'ETH-USD': 3000, 'SOL-USD': 150 };
+
+function mockMarket(name, tradingConfig, syntheticId) {
+  return {
+    name,
+    assetName: name.split('-')[0],
+    collateralAssetName: 'USD',
+    active: true,
+    status: 'ACTIVE',
+    tradingConfig: {
+      maxMarketOrderValue: '1000000',
+      maxLimitOrderValue: '5000000',
+      maxPositionValue: '10000000',
+      ...tradingConfig
+    },
+    l2Config: {
+      type: 'STARKX',
+      collateralId: '0x1',
+      collateralResolution: 1000000,
+      syntheticId: `0x${syntheticId.toString(16)}`,
+      syntheticResolution: 1000000
+    }
+  };
+}
+
+function sendJson(res, httpStatus, body) {
+  res.writeHead(httpStatus, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function ok(res, data) {
+  sendJson(res, 200, { status: 'OK', data });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (e) {
+        reject(new MockApiError(400, 'INVALID_JSON', e.message));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Стартує mock сервер.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0]          — 0 = випадковий вільний порт
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string} [options.apiKey]          — якщо задано, /user/* вимагає саме цей X-Api-Key
+ * @param {Object[]} [options.markets]
+ * @param {Object<string, number>} [options.prices]
+ * @param {number} [options.startBalance]
+ * @param {PricePath} [options.pricePath]
+ * @param {number} [options.tickMs=1000]     — 0 = ціни змінюються тільки через /__mock/price
+ * @param {string} [options.l2Key='0x0']     — Stark public key акаунта в /user/account/info
+ * @param {number|string} [options.l2Vault=1] — vault (position id) акаунта
+ * @returns {Promise<{ engine, server, baseURL, wsURL, close }>}
+ */
+export async function startMockServer(options = {}) {
+  const {
+    port = 0,
+    host = '127.0.0.1',
+    apiKey = null,
+    markets = DEFAULT_MARKETS,
+    prices = DEFAULT_PRICES,
+    startBalance = 10000,
+    pricePath = new PricePath(),
+    tickMs = 1000,
+    l2Key = '0x0',
+    l2Vault = 1
+  } = options;
+
+  const engine = new MatchingEngine({ markets, prices, startBalance });
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      await route(req, res);
+    } catch (error) {
+      if (error instanceof MockApiError) {
+        sendJson(res, error.httpStatus, { status: 'ERROR', error: { code: error.code, message: error.message } });
+      } else {
+        sendJson(res, 500, { status: 'ERROR', error: { code: 'INTERNAL', message: error.message } });
+      }
+    }
+  });
+
+  async function route(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const path = url.pathname.replace(/^\/api\/v1/, '');
+    const query = url.searchParams;
+    const method = req.method;
+    let match;
+
+    // ─── Mock control ───
+    if (path === '/__mock/price' && method === 'POST') {
+      const { market, price } = await readBody(req);
+      engine.setPrice(market, parseFloat(price));
+      return ok(res, engine.getStats(market));
+    }
+    if (path === '/__mock/funding' && method === 'POST') {
+      const { market, rate } = await readBody(req);
+      requireMarket(market);
+      return ok(res, engine.applyFunding(market, parseFloat(rate)));
+    }
+    if (path === '/__mock/candles' && method === 'POST') {
+      const { market, interval, candles } = await readBody(req);
+      requireMarket(market);
+      engine.seedCandles(market, interval, candles);
+      return ok(res, { count: candles.length });
+    }
+    if (path === '/__mock/reset' && method === 'POST') {
+      engine.reset();
+      pricePath.restart();
+      return ok(res, {});
+    }
+    if (path === '/__mock/state' && method === 'GET') {
+      return ok(res, {
+        balance: engine.getBalance(),
+        prices: Object.fromEntries(engine.prices),
+        orders: Array.from(engine.orders.values()).map(o => engine._orderView(o)),
+        positions: engine.getPositions(),
+        closedPositions: engine.closedPositions,
+        trades: engine.trades
+      });
+    }
+
+    // ─── Public ───
+    if (path === '/info/markets' && method === 'GET') {
+      const filter = query.getAll('market');
+      return ok(res, filter.length ? markets.filter(m => filter.includes(m.name)) : markets);
+    }
+    if ((match = path.match(/^\/info\/markets\/([^/]+)\/stats$/)) && method === 'GET') {
+      requireMarket(match[1]);
+      return ok(res, engine.getStats(match[1]));
+    }
+    if ((match = path.match(/^\/info\/([^/]+)\/funding$/)) && method === 'GET') {
+      requireMarket(match[1]);
+      const startTime = parseInt(query.get('startTime') || '0');
+      const endTime = parseInt(query.get('endTime') || String(Date.now()));
+      return ok(res, engine.fundingHistory.filter(f => f.m === match[1] && f.T >= startTime && f.T <= endTime));
+    }
+    if ((match = path.match(/^\/info\/candles\/([^/]+)\/(trades|mark-prices|index-prices)$/)) && method === 'GET') {
+      requireMarket(match[1]);
+      const interval = query.get('interval') || 'PT1M';
+      const intervalMs = CANDLE_INTERVALS_MS[interval];
+      if (!intervalMs) throw new MockApiError(400, 'INVALID_INTERVAL', `Unsupported interval ${interval}`);
+      return ok(res, engine.getCandles(match[1], intervalMs, parseInt(query.get('limit') || '100'), interval));
+    }
+    if ((match = path.match(/^\/info\/markets\/([^/]+)\/orderbook$/)) && method === 'GET') {
+      requireMarket(match[1]);
+      const stats = engine.getStats(match[1]);
+      return ok(res, {
+        market: match[1],
+        bid: [{ price: stats.bidPrice, qty: '1000000' }],
+        ask: [{ price: stats.askPrice, qty: '1000000' }]
+      });
+    }
+
+    // ─── Private ───
+    if (path.startsWith('/user/')) {
+      const key = req.headers['x-api-key'];
+      if (!key || (apiKey && key !== apiKey)) {
+        throw new MockApiError(401, 'UNAUTHORIZED', 'Invalid or missing X-Api-Key');
+      }
+    }
+
+    if (path === '/user/account/info' && method === 'GET') {
+      return ok(res, { id: 1, description: 'Mock account', accountIndex: 0, status: 'ACTIVE', l2Key, l2Vault: String(l2Vault) });
+    }
+    if (path === '/user/balance' && method === 'GET') {
+      return ok(res, engine.getBalance());
+    }
+    if (path === '/user/leverage' && method === 'GET') {
+      const filter = query.getAll('market');
+      const list = markets
+        .filter(m => !filter.length || filter.includes(m.name))
+        .map(m => ({ market: m.name, leverage: String(engine.getLeverage(m.name)) }));
+      return ok(res, list);
+    }
+    if (path === '/user/leverage' && method === 'PATCH') {
+      const body = await readBody(req);
+      requireMarket(body.market);
+      return ok(res, engine.setLeverage(body.market, parseFloat(body.leverage)));
+    }
+    if (path === '/user/order' && method === 'POST') {
+      return ok(res, engine.placeOrder(await readBody(req)));
+    }
+    if (path === '/user/order' && method === 'DELETE') {
+      return ok(res, engine._orderView(engine.cancelOrder(query.get('id'))));
+    }
+    if (path === '/user/order/massCancel' && method === 'POST') {
+      const body = await readBody(req);
+      return ok(res, engine.massCancel(body.cancelAll ? null : body.markets).map(o => engine._orderView(o)));
+    }
+    if ((match = path.match(/^\/user\/order\/(\d+)$/)) && method === 'DELETE') {
+      return ok(res, engine._orderView(engine.cancelOrder(match[1])));
+    }
+    if ((match = path.match(/^\/user\/orders\/external\/([^/]+)$/)) && method === 'GET') {
+      const order = engine.findByExternalId(decodeURIComponent(match[1]));
+      if (!order) throw new MockApiError(404, 'ORDER_NOT_FOUND', `Order ${match[1]} not found`);
+      return ok(res, [engine._orderView(order)]);
+    }
+    if (path === '/user/orders' && method === 'GET') {
+      return ok(res, engine.getOpenOrders(query.get('market')).map(o => engine._orderView(o)));
+    }
+    if (path === '/user/positions' && method === 'GET') {
+      return ok(res, engine.getPositions(query.get('market')));
+    }
+    if (path === '/user/funding/history' && method === 'GET') {
+      const market = query.get('market');
+      const fromTime = parseInt(query.get('fromTime') || '0');
+      return ok(res, engine.fundingPayments.filter(p => (!market || p.market === market) && p.paidTime >= fromTime));
+    }
+    if (path === '/user/trades' && method === 'GET') {
+      // Новіші першими; cursor — id останнього trade попередньої сторінки
+      const limit = parseInt(query.get('limit') || '50');
+      const cursor = query.get('cursor');
+      const page = engine.getTrades(query.get('market'))
+        .filter(t => !cursor || t.id < parseInt(cursor))
+        .slice(0, limit);
+      return sendJson(res, 200, {
+        status: 'OK',
+        data: page,
+        pagination: { cursor: page.length ? page[page.length - 1].id : null, count: page.length }
+      });
+    }
+
+    throw new MockApiError(404, 'NOT_FOUND', `${method} ${path} is not mocked`);
+  }
+
+  function requireMarket(market) {
+    if (!engine.getMarket(market)) {
+      throw new MockApiError(404, 'MARKET_NOT_FOUND', `Market ${market} not found`);
+    }
+  }
+
+  // ─── WebSocket streams ───
+  const wss = new WebSocketServer({ server });
+  let seq = 0;
+
+  wss.on('connection', (ws, req) => {
+    const path = new URL(req.url, 'http://localhost').pathname.replace(/^\/stream\.extended\.exchange\/v1/, '');
+    const send = (type, data) => ws.send(JSON.stringify({ type, data, ts: Date.now(), seq: ++seq }));
+
+    if (path === '/account') {
+      if (!req.headers['x-api-key']) {
+        ws.close(4001, 'Unauthorized');
+        return;
+      }
+
+      send('POSITION', { positions: engine.getPositions() });
+      send('BALANCE', { balance: engine.getBalance() });
+
+      const listeners = {
+        order: order => send('ORDER', { orders: [order] }),
+        trade: trade => send('TRADE', { trades: [trade] }),
+        position: position => send('POSITION', { positions: [position] }),
+        balance: balance => send('BALANCE', { balance })
+      };
+      subscribe(ws, listeners);
+      return;
+    }
+
+    const match = path.match(/^\/orderbooks\/([^/]+)$/);
+    if (match && engine.getMarket(match[1])) {
+      const market = match[1];
+      const sendTop = stats => send('SNAPSHOT', {
+        m: market,
+        b: [{ p: stats.bidPrice, q: '1000000' }],
+        a: [{ p: stats.askPrice, q: '1000000' }]
+      });
+
+      sendTop(engine.getStats(market));
+      subscribe(ws, { price: (m, stats) => { if (m === market) sendTop(stats); } });
+      return;
+    }
+
+    ws.close(4004, 'Unknown stream');
+  });
+
+  function subscribe(ws, listeners) {
+    for (const [event, fn] of Object.entries(listeners)) engine.on(event, fn);
+    ws.on('close', () => {
+      for (const [event, fn] of Object.entries(listeners)) engine.off(event, fn);
+    });
+  }
+
+  // ─── Price ticks ───
+  const tickTimer = tickMs > 0
+    ? setInterval(() => {
+      for (const [market, price] of engine.prices.entries()) {
+        engine.setPrice(market, pricePath.next(market, price));
+      }
+    }, tickMs)
+    : null;
+
+  await new Promise(resolve => server.listen(port, host, resolve));
+  const address = server.address();
+
+  return {
+    engine,
+    server,
+    baseURL: `http://${host}:${address.port}/api/v1`,
+    wsURL: `ws://${host}:${address.port}/stream.extended.exchange/v1`,
+    close: () => new Promise(resolve => {
+      clearInterval(tickTimer);
+      for (const client of wss.clients) client.terminate();
+      wss.close();
+      server.close(() => resolve());
+    })
+  };
+}
+
+// ─── CLI ───
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const pricePath = process.env.MOCK_PRICE_SCRIPT
+    ? PricePath.fromFile(process.env.MOCK_PRICE_SCRIPT)
+    : new PricePath({ volatilityPercent: parseFloat(process.env.MOCK_VOLATILITY_PERCENT || '0.02') });
+
+  const mock = await startMockServer({
+    port: parseInt(process.env.MOCK_PORT || '8787'),
+    host: process.env.MOCK_HOST || '127.0.0.1',
+    startBalance: parseFloat(process.env.MOCK_START_BALANCE || '10000'),
+    tickMs: parseInt(process.env.MOCK_TICK_MS || '1000'),
+    l2Key: process.env.MOCK_L2_KEY || process.env.EXTENDED_STARK_PUBLIC_KEY,
+    l2Vault: process.env.MOCK_L2_VAULT || process.env.EXTENDED_VAULT_ID,
+    pricePath
+  });
+
+  console.log(`[MOCK] Extended mock API:    ${mock.baseURL}`);
+  console.log(`[MOCK] Extended mock stream: ${mock.wsURL}`);
+
+  const shutdown = async () => {
+    await mock.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -1,13 +1,13 @@
-// .env загружается автоматически в config/settings.js (через extended.service.js)
-import extendedService from '../services/extended.service.js';
+// .env загружается автоматически в config/settings.js (через exchange.service.js)
+import exchange from '../services/exchange.service.js';
 import logger from '../utils/logger.js';
 
 async function checkBalance() {
   try {
-    logger.info('Checking Extended.exchange balance...');
+    logger.info(`Checking ${exchange.name} balance...`);
     
-    await extendedService.connect();
-    const balance = await extendedService.getBalance();
+    await exchange.connect();
+    const balance = await exchange.getBalance();
     
     console.log('\n' + '='.repeat(50));
     console.log(`💰 Balance: ${balance.toFixed(2)}`);
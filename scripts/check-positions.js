@@ -1,13 +1,13 @@
-// .env загружается автоматически в config/settings.js (через extended.service.js)
-import extendedService from '../services/extended.service.js';
+// .env загружается автоматически в config/settings.js (через exchange.service.js)
+import exchange from '../services/exchange.service.js';
 import logger from '../utils/logger.js';
 
 async function checkPositions() {
   try {
-    logger.info('Checking Extended.exchange positions...');
+    logger.info(`Checking ${exchange.name} positions...`);
     
-    await extendedService.connect();
-    const positions = await extendedService.getPositions();
+    await exchange.connect();
+    const positions = await exchange.getPositions();
     
     console.log('\n' + '='.repeat(50));
     
@@ -0,0 +1,45 @@
+// Фікстури форматів сигналів — офлайн, без .env і Telegram.
+// Падає (exit 1), якщо зміна в services/signal-parsers/ змінила розбір хоч одного прикладу.
+//
+//   fixtures — приклади кожного парсера (поле fixtures модуля), тільки цим парсером
+//   registry — повний прогін реєстру: порядок priority, неоднозначність, поріг confidence
+import { SignalParserRegistry } from '../services/signal-parsers/registry.js';
+
+const failures = [];
+const check = (condition, message) => {
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) failures.push(message);
+};
+
+// ─── Фікстури парсерів ───
+const registry = new SignalParserRegistry();
+for (const { parser, fixture, passed, detail } of registry.runFixtures()) {
+  check(passed, `${parser} / ${fixture}: ${detail}`);
+}
+
+// ─── Реєстр ───
+const mixed = registry.parse('{"symbol":"BTCUSDT","direction":"SHORT"}\nDirection: LONG');
+check(mixed.ok && mixed.parser === 'json' && mixed.fields.direction === 'SHORT', 'json (priority 10) wins over labeled-text');
+
+const fallback = registry.parse('Chart: {see image}\nSymbol: ETHUSDT\nDirection: LONG');
+check(fallback.ok && fallback.parser === 'labeled-text' && fallback.attempts.length === 1, `invalid JSON falls through to labeled-text: ${fallback.attempts[0]?.reason}`);
+
+const conflict = registry.parse('{"symbol":"BTCUSDT","direction":"LONG","signalType":"SHORT_SQUEEZE"}\nSymbol: BTCUSDT\nDirection: LONG');
+check(!conflict.ok && conflict.ambiguous, `ambiguous JSON stops the chain: ${conflict.reason}`);
+
+const unknown = registry.parse('BTC looks bullish today');
+check(!unknown.ok && unknown.reason === 'no parser recognised the message format', 'free text is rejected, not traded as LONG');
+
+const strict = new SignalParserRegistry({ minConfidence: 0.9 });
+const derived = strict.parse('Symbol: BTCUSDT\nType: Long Flush');
+check(!derived.ok && derived.reason.includes('confidence 0.8 below 0.9'), `minConfidence rejects derived direction: ${derived.reason}`);
+
+const textOnly = new SignalParserRegistry({ enabled: ['labeled-text'] });
+check(textOnly.parse('{"symbol":"BTCUSDT","direction":"LONG"}').ok === false, 'enabled list restricts parsers');
+
+if (failures.length > 0) {
+  console.log(`\n❌ ${failures.length} signal parser check(s) failed`);
+  process.exit(1);
+}
+
+console.log('\n✅ Signal parser fixtures passed');
@@ -0,0 +1,76 @@
+// Golden vectors hash / підпису ордерів Extended — офлайн, без .env і мережі.
+// Падає (exit 1), якщо зміна в utils/stark-order-hash.js змінила хоч один hash чи підпис.
+//
+//   typeHashes    — starknetKeccak рядків типів SNIP-12 = константи контракту
+//   messageHashes — готові поля Order → message hash (еталон crypto lib Extended)
+//   orders        — qty / price / fee + l2Config → amounts, expiration, hash, підпис
+import { readFileSync } from 'fs';
+import * as starknet from '@scure/starknet';
+import {
+  ORDER_TYPE,
+  ORDER_TYPE_HASH,
+  DOMAIN_TYPE,
+  DOMAIN_TYPE_HASH,
+  typeHash,
+  buildOrderStruct,
+  hashOrderMessage
+} from '../utils/stark-order-hash.js';
+
+const vectors = JSON.parse(readFileSync(new URL('./stark-vectors.json', import.meta.url), 'utf8'));
+
+const hex = (value) => '0x' + BigInt(value).toString(16);
+const failures = [];
+const check = (condition, message) => {
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) failures.push(message);
+};
+
+// ─── Type hashes ───
+const moduleTypes = { Order: [ORDER_TYPE, ORDER_TYPE_HASH], StarknetDomain: [DOMAIN_TYPE, DOMAIN_TYPE_HASH] };
+for (const vector of vectors.typeHashes) {
+  const [type, constant] = moduleTypes[vector.name];
+  check(
+    type === vector.type && hex(typeHash(type)) === vector.expected && hex(constant) === vector.expected,
+    `type hash ${vector.name} = ${vector.expected}`
+  );
+}
+
+// ─── Message hashes з готових полів ───
+for (const vector of vectors.messageHashes) {
+  const order = Object.fromEntries(Object.entries(vector.order).map(([key, value]) => [key, BigInt(value)]));
+  const hash = hashOrderMessage(order, vector.publicKey, vector.domain);
+  check(hash === vector.expected, `${vector.name}: ${hash}`);
+}
+
+// ─── Ордери end-to-end ───
+for (const vector of vectors.orders) {
+  const publicKey = starknet.getStarkKey(vector.privateKey);
+  const order = buildOrderStruct(vector.params, vector.l2Config, vector.account);
+  const { expected } = vector;
+
+  check(
+    order.baseAmount.toString() === expected.baseAmount &&
+    order.quoteAmount.toString() === expected.quoteAmount &&
+    order.feeAmount.toString() === expected.feeAmount &&
+    order.expiration.toString() === expected.expiration,
+    `${vector.name}: amounts ${order.baseAmount} / ${order.quoteAmount} / fee ${order.feeAmount}, expiration ${order.expiration}`
+  );
+
+  const hash = hashOrderMessage(order, publicKey, vector.domain);
+  check(hash === expected.messageHash, `${vector.name}: hash ${hash}`);
+
+  const signature = starknet.sign(hash, vector.privateKey);
+  check(
+    hex(signature.r) === expected.signature.r &&
+    hex(signature.s) === expected.signature.s &&
+    starknet.verify(signature, hash, starknet.getPublicKey(vector.privateKey)),
+    `${vector.name}: signature r=${hex(signature.r).slice(0, 14)}...`
+  );
+}
+
+if (failures.length > 0) {
+  console.log(`\n❌ ${failures.length} Stark vector(s) failed`);
+  process.exit(1);
+}
+
+console.log('\n✅ Stark order vectors passed');
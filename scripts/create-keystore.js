@@ -0,0 +1,50 @@
+// Шифрує Stark private key у keystore файл (scrypt + AES-256-GCM):
+//   node scripts/create-keystore.js [file]     — за замовчуванням data/stark-keystore.json
+// Ключ береться з EXTENDED_STARK_PRIVATE_KEY (env / .env) або запитується в терміналі.
+// Після цього: EXTENDED_KEYSTORE_FILE=<file> і прибрати EXTENDED_STARK_PRIVATE_KEY з .env.
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as starknet from '@scure/starknet';
+import { encryptKeystore, decryptKeystore, writeKeystoreFile, promptPassphrase } from '../utils/keystore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+async function createKeystore() {
+  try {
+    const file = path.resolve(process.argv[2] || path.resolve(__dirname, '..', 'data/stark-keystore.json'));
+    if (fs.existsSync(file)) {
+      throw new Error(`${file} already exists, refusing to overwrite`);
+    }
+
+    const privateKey = process.env.EXTENDED_STARK_PRIVATE_KEY || await promptPassphrase('Stark private key (hex): ');
+    const publicKey = starknet.getStarkKey(privateKey);
+
+    const passphrase = process.env.EXTENDED_KEYSTORE_PASSPHRASE || await promptPassphrase('New passphrase: ');
+    if (!process.env.EXTENDED_KEYSTORE_PASSPHRASE && passphrase !== await promptPassphrase('Repeat passphrase: ')) {
+      throw new Error('Passphrases do not match');
+    }
+
+    const keystore = encryptKeystore(privateKey, passphrase, { publicKey });
+    // Контрольне розшифрування до запису
+    if (decryptKeystore(keystore, passphrase) !== privateKey) {
+      throw new Error('Keystore round-trip check failed');
+    }
+    writeKeystoreFile(file, keystore);
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`🔐 Keystore written: ${file}`);
+    console.log(`Public Key: ${publicKey}`);
+    console.log('Set EXTENDED_KEYSTORE_FILE and remove EXTENDED_STARK_PRIVATE_KEY from .env');
+    console.log('='.repeat(50) + '\n');
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+createKeystore();
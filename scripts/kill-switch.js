@@ -0,0 +1,50 @@
+// Kill switch з командного рядка (працює і коли бот не запущений):
+//   node scripts/kill-switch.js engage "reason"  — стан у файл + cancel all + close all (reduce-only)
+//   node scripts/kill-switch.js rearm             — дозволити нові сигнали
+//   node scripts/kill-switch.js status
+// Запущений бот підхоплює зміну файлу стану сам (killSwitchService.watch()).
+import exchange from '../services/exchange.service.js';
+import killSwitchService from '../services/kill-switch.service.js';
+import logger from '../utils/logger.js';
+
+async function runKillSwitch() {
+  const [command = 'status', ...rest] = process.argv.slice(2);
+
+  try {
+    if (command === 'engage') {
+      const reason = rest.join(' ') || 'Manual kill from script';
+      killSwitchService.engage(reason, 'script');
+
+      // Flatten навіть якщо вже був увімкнений — повторний виклик безпечний
+      await exchange.connect();
+      const { closed, errors } = await exchange.flattenAccount();
+
+      console.log('\n' + '='.repeat(50));
+      console.log(`🛑 Kill switch ENGAGED on ${exchange.name}: ${reason}`);
+      console.log(`Closed positions: ${closed.map(c => `${c.symbol} ${c.side} ${c.quantity}`).join(', ') || 'none'}`);
+      errors.forEach(e => console.log(`❌ ${e.symbol}: ${e.message}`));
+      console.log('='.repeat(50) + '\n');
+
+      process.exit(errors.length === 0 ? 0 : 1);
+    }
+
+    if (command === 'rearm') {
+      const changed = killSwitchService.rearm('script');
+      console.log(changed ? '✅ Kill switch re-armed' : 'Kill switch was not engaged');
+      process.exit(0);
+    }
+
+    if (command === 'status') {
+      console.log(JSON.stringify(killSwitchService.getState(), null, 2));
+      process.exit(0);
+    }
+
+    console.log('Usage: node scripts/kill-switch.js engage [reason] | rearm | status');
+    process.exit(1);
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+runKillSwitch();
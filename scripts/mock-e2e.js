@@ -0,0 +1,89 @@
+// Повний життєвий цикл угоди проти локального mock Extended API (без мережі):
+// connect → balance → leverage → entry + TP/SL → позиція відкрита → ціна до TP → позиція закрита
+import { startMockServer } from '../mock/server.js';
+
+async function runMockE2E() {
+  // settings.js читає env при імпорті → налаштовуємо до динамічного import
+  process.env.EXCHANGE = 'extended';
+  process.env.EXTENDED_NETWORK = 'local';
+  process.env.EXTENDED_API_KEY ||= 'mock-api-key';
+  process.env.EXTENDED_STARK_PRIVATE_KEY ||= '0x3c1e9550e66958296d11b60f8e8e7a7ad990d07fa65d5f7652c4a6c87d4e3cc';
+  process.env.EXTENDED_STARK_PUBLIC_KEY ||= '0x77a3b314db07c45076d11f62b6f9e748a39790441823307743cf00d6597ea43';
+  process.env.EXTENDED_VAULT_ID ||= '1';
+
+  // Mock акаунт з тими ж ключами — інакше connect() зупиниться на перевірці акаунта
+  const mock = await startMockServer({
+    tickMs: 0,
+    l2Key: process.env.EXTENDED_STARK_PUBLIC_KEY,
+    l2Vault: process.env.EXTENDED_VAULT_ID
+  });
+  // Випадковий порт → перевизначення URL профілю local
+  process.env.EXTENDED_BASE_URL = mock.baseURL;
+  process.env.EXTENDED_WS_URL = mock.wsURL;
+  process.env.TELEGRAM_BOT_TOKEN ||= 'mock-token';
+  process.env.TELEGRAM_CHANNEL_ID ||= '0';
+
+  const { default: exchange } = await import('../services/exchange.service.js');
+  const { default: riskService } = await import('../services/risk.service.js');
+  const { default: logger } = await import('../utils/logger.js');
+
+  const symbol = 'BTC-USD';
+  const failures = [];
+  const check = (condition, message) => {
+    logger.info(`[E2E] ${condition ? '✅' : '❌'} ${message}`);
+    if (!condition) failures.push(message);
+  };
+
+  try {
+    await exchange.connect();
+
+    const balance = await exchange.getBalance();
+    check(balance > 0, `Balance ${balance}`);
+
+    const marketInfo = await exchange.getMarketInfo(symbol);
+    const priceData = await exchange.getCurrentPrice(symbol);
+    const params = riskService.calculatePositionParameters(balance, priceData.lastPrice, 'LONG', marketInfo);
+
+    await exchange.setLeverage(symbol, params.leverage);
+
+    const order = await exchange.createOrderWithTPSL({
+      symbol,
+      side: 'BUY',
+      quantity: params.quantity,
+      entryPrice: params.entryPrice,
+      priceData,
+      tp: params.takeProfit,
+      sl: params.stopLoss
+    });
+    check(Boolean(order.orderId), `Order accepted: ${order.orderId} (${order.externalId})`);
+
+    const opened = await exchange.getPositions(symbol);
+    check(opened.length === 1 && opened[0].direction === 'LONG', `Position opened: ${JSON.stringify(opened[0] || null)}`);
+
+    // Ціна проходить TP trigger і limit → TP заповнюється
+    mock.engine.setPrice(symbol, params.takeProfit.limitPrice * 1.001);
+
+    const closed = await exchange.getPositions(symbol);
+    check(closed.length === 0, 'Position closed by TP');
+
+    const trades = await exchange.getTradeHistory(symbol, 10);
+    check(trades.length === 2, `Trades: ${trades.map(t => `${t.side} ${t.qty} @ ${t.price}`).join(', ')}`);
+
+    const finalBalance = await exchange.getBalance();
+    check(finalBalance > balance, `Balance after TP: ${finalBalance}`);
+  } catch (error) {
+    failures.push(error.message);
+    logger.error(`[E2E] Error: ${error.message}`);
+  } finally {
+    exchange.stopStream();
+    await mock.close();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(failures.length === 0 ? '✅ Mock E2E passed' : `❌ Mock E2E failed: ${failures.length} check(s)`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(failures.length === 0 ? 0 : 1);
+}
+
+runMockE2E();
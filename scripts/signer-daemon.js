@@ -0,0 +1,129 @@
+// Окремий процес підпису ордерів: Stark private key живе тільки тут, не в процесі,
+// що парсить Telegram. Бот (STARK_SIGNER_MODE=remote) надсилає параметри ордера
+// через Unix socket; daemon сам рахує hash і підписує лише те, що проходить policy.
+//
+//   node scripts/signer-daemon.js        (env: .env.signer або SIGNER_ENV_FILE, не .env бота)
+//
+// Протокол: один JSON-рядок запиту → один JSON-рядок відповіді
+//   { method: 'info' }                                   → { result: { publicKey, vaultId, chainId } }
+//   { method: 'sign', params: { orderParams, nonce, l2Config } } → { result: { r, s } } | { error }
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import * as starknet from '@scure/starknet';
+import { signerConfig } from '../config/signer-settings.js';
+import { unlockKeystore } from '../utils/keystore.js';
+import { SigningPolicy } from '../utils/signing-policy.js';
+import { buildOrderStruct, hashOrderMessage } from '../utils/stark-order-hash.js';
+import logger from '../utils/logger.js';
+
+const MAX_NONCE = Math.pow(2, 31) - 1;
+const MAX_REQUEST_BYTES = 64 * 1024;
+
+/**
+ * Параметри ордера від бота → причина відмови або null
+ */
+function validateSignRequest({ orderParams, nonce, l2Config } = {}) {
+  if (!orderParams || !l2Config) return 'orderParams and l2Config are required';
+
+  const { market, side, qty, price, fee, expiryEpochMillis } = orderParams;
+  if (!market || !['BUY', 'SELL'].includes(side)) return 'market and side BUY|SELL are required';
+  if (qty === undefined || price === undefined || fee === undefined) return 'qty, price and fee are required';
+  if (!Number.isInteger(expiryEpochMillis) || expiryEpochMillis <= Date.now()) return 'expiryEpochMillis must be in the future';
+  if (!Number.isInteger(nonce) || nonce < 1 || nonce > MAX_NONCE) return `nonce must be in [1, ${MAX_NONCE}]`;
+
+  return null;
+}
+
+async function runSignerDaemon() {
+  const { socketPath, signingDomain, vaultId } = signerConfig;
+
+  const privateKey = signerConfig.keystoreFile
+    ? (await unlockKeystore(signerConfig.keystoreFile, signerConfig.keystorePassphrase)).privateKey
+    : signerConfig.privateKey;
+  const publicKey = starknet.getStarkKey(privateKey);
+  const policy = new SigningPolicy(signerConfig.policy);
+
+  const handle = (request) => {
+    if (request.method === 'info') {
+      return { result: { publicKey, vaultId, chainId: signingDomain.chainId } };
+    }
+
+    if (request.method !== 'sign') {
+      return { error: `Unknown method ${request.method}` };
+    }
+
+    const invalid = validateSignRequest(request.params);
+    if (invalid) return { error: invalid };
+
+    const { orderParams, nonce, l2Config } = request.params;
+    const refused = policy.check(orderParams, l2Config);
+    if (refused) {
+      logger.warn(`[SIGNER] ❌ Refused ${orderParams.side} ${orderParams.qty} ${orderParams.market} @ ${orderParams.price}: ${refused}`);
+      return { error: refused };
+    }
+
+    const order = buildOrderStruct(orderParams, l2Config, { nonce, vaultId });
+    const signature = starknet.sign(hashOrderMessage(order, publicKey, signingDomain), privateKey);
+    policy.record(orderParams, l2Config);
+
+    logger.info(`[SIGNER] ✅ Signed ${orderParams.side} ${orderParams.qty} ${orderParams.market} @ ${orderParams.price} (nonce ${nonce})`);
+    return { result: { r: '0x' + signature.r.toString(16), s: '0x' + signature.s.toString(16) } };
+  };
+
+  const server = net.createServer((socket) => {
+    socket.setEncoding('utf8');
+    let buffer = '';
+
+    socket.on('error', (error) => logger.warn(`[SIGNER] Client error: ${error.message}`));
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      if (buffer.length > MAX_REQUEST_BYTES) {
+        socket.end(JSON.stringify({ error: 'Request too large' }) + '\n');
+        return;
+      }
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+
+        let response;
+        try {
+          response = handle(JSON.parse(line));
+        } catch (error) {
+          response = { error: error.message };
+        }
+        socket.write(JSON.stringify(response) + '\n');
+      }
+    });
+  });
+
+  // Socket від попереднього запуску (kill -9) заважає listen
+  fs.mkdirSync(path.dirname(socketPath), { recursive: true });
+  if (fs.existsSync(socketPath)) fs.unlinkSync(socketPath);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, resolve);
+  });
+  // Доступ тільки власнику процесу
+  fs.chmodSync(socketPath, 0o600);
+
+  logger.info(`[SIGNER] Listening on ${socketPath}`);
+  logger.info(`[SIGNER] Public Key: ${publicKey.slice(0, 12)}..., vault ${vaultId}, ${signerConfig.network.label} (${signingDomain.chainId})`);
+  logger.info(`[SIGNER] Policy: markets ${signerConfig.policy.allowedMarkets.join(', ')}, max notional ${signerConfig.policy.maxOrderNotional}, max ${signerConfig.policy.maxOrdersPerMinute} orders/min`);
+
+  const shutdown = () => {
+    server.close();
+    if (fs.existsSync(socketPath)) fs.unlinkSync(socketPath);
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+runSignerDaemon().catch(error => {
+  logger.error(`[SIGNER] Fatal: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,228 @@
+import exchange from './exchange.service.js';
+import telegramService from './telegram.service.js';
+import { config } from '../config/settings.js';
+import { snapToStep } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+
+/**
+ * EntryChaseService — entry policy для resting entry ордерів.
+ *
+ * Таймлайн (step = maxTimeToFillMs / (repriceAttempts + 1)):
+ *   placedAt + step × k (k ≤ repriceAttempts) → cancel-and-replace по свіжому book top
+ *   placedAt + maxTimeToFillMs               → finalAction: ABANDON | CROSS
+ *   CROSS не заповнився за ще один step      → ABANDON
+ *
+ * На кожному кроці:
+ *   - частковий fill → припиняємо погоню, скасовуємо залишок (позиція = filledQty)
+ *   - несприятливий зсув від ціни сигналу > maxDriftPercent → ABANDON
+ *
+ * Сервіс тільки виконує дії на біржі; фіналізація (позиція відкрита / entry відпав)
+ * відбувається в PositionService, коли приходить оновлений статус ордера.
+ */
+class EntryChaseService {
+  constructor() {
+    this.policy = config.entryPolicy;
+  }
+
+  get stepMs() {
+    return this.policy.maxTimeToFillMs / (this.policy.repriceAttempts + 1);
+  }
+
+  /**
+   * Один крок політики для pending entry (викликається PositionService по таймеру)
+   */
+  async step(pending) {
+    if (pending.replacing || pending.abandonReason || pending.chase?.finalizing) return;
+
+    if (!pending.chase) {
+      pending.chase = {
+        signalPrice: pending.entryPrice,
+        attempts: 0,
+        crossed: false,
+        finalizing: false,    // cancel вже відправлено, чекаємо фінальний статус ордера
+        lastPlacedAt: pending.placedAt
+      };
+    }
+
+    const { chase } = pending;
+    if (Date.now() - chase.lastPlacedAt < this.stepMs) return;
+
+    // Частковий fill: не переставляємо, скасовуємо залишок
+    if (pending.filledQty > 0 || pending.streamFilledQty > 0) {
+      chase.finalizing = true;
+      await this._report(pending, { action: 'PARTIAL', reason: 'Timeout with partial fill, cancelling remainder' });
+      await this._cancel(pending);
+      return;
+    }
+
+    if (chase.crossed) {
+      await this._abandon(pending, 'Crossing order not filled');
+      return;
+    }
+
+    const priceData = exchange.getCachedBookTop(pending.symbol) || await exchange.getCurrentPrice(pending.symbol);
+    const driftPercent = this._adverseDriftPercent(pending.direction, chase.signalPrice, priceData);
+
+    if (driftPercent > this.policy.maxDriftPercent) {
+      await this._abandon(pending, `Price drifted ${driftPercent.toFixed(3)}% from signal (max ${this.policy.maxDriftPercent}%)`, driftPercent);
+      return;
+    }
+
+    if (chase.attempts < this.policy.repriceAttempts) {
+      await this._replace(pending, priceData, config.extendedConst.entryLimitBuffer, 'REPRICE', driftPercent);
+    } else if (this.policy.finalAction === 'CROSS') {
+      chase.crossed = true;
+      await this._replace(pending, priceData, this.policy.crossBufferPercent / 100, 'CROSS', driftPercent);
+    } else {
+      await this._abandon(pending, `Not filled within ${Math.round(this.policy.maxTimeToFillMs / 1000)}s`, driftPercent);
+    }
+  }
+
+  /**
+   * Expiry переставленого entry: дедлайн політики від першого ордера (CROSS — ще один step)
+   * + запас. Біржа зніме ордер сама, якщо бот не доживе до ABANDON.
+   */
+  _entryExpiresAt(pending, action) {
+    const deadline = pending.placedAt + this.policy.maxTimeToFillMs + (action === 'CROSS' ? this.stepMs : 0);
+    return Math.max(deadline, Date.now()) + this.policy.expiryMarginMs;
+  }
+
+  /**
+   * Наскільки ціна пішла ПРОТИ нас від ціни сигналу (%).
+   * LONG — ask виріс, SHORT — bid впав. Сприятливий рух → 0.
+   */
+  _adverseDriftPercent(direction, signalPrice, priceData) {
+    const drift = direction === 'LONG'
+      ? (priceData.bestAsk - signalPrice) / signalPrice
+      : (signalPrice - priceData.bestBid) / signalPrice;
+    return Math.max(0, drift * 100);
+  }
+
+  /**
+   * Cancel-and-replace: TP/SL зсуваються пропорційно новій ціні (зберігаємо % відстані)
+   */
+  async _replace(pending, priceData, entryBuffer, action, driftPercent) {
+    const { chase } = pending;
+    const side = pending.direction === 'LONG' ? 'BUY' : 'SELL';
+
+    pending.replacing = true;
+    let cancelled = false;
+    try {
+      await exchange.cancelOrder(pending.orderId, pending.symbol);
+      cancelled = true;
+
+      // Ордер міг заповнитись між рішенням і cancel — тоді нічого не переставляємо
+      const old = await exchange.getOrderByExternalId(pending.externalId);
+      if (old && parseFloat(old.filledQty || '0') > 0) {
+        logger.info(`[ENTRY] ${pending.symbol}: order filled during ${action}, keeping fill`);
+        return;
+      }
+
+      // Entry скасовано ззовні (kill switch), поки ми чекали cancel
+      if (pending.abandonReason) return;
+
+      const marketInfo = await exchange.getMarketInfo(pending.symbol);
+      const ratio = priceData.lastPrice / pending.entryPrice;
+      const shift = (leg) => ({
+        triggerPrice: snapToStep(leg.triggerPrice * ratio, marketInfo.minPriceChange),
+        limitPrice: snapToStep(leg.limitPrice * ratio, marketInfo.minPriceChange)
+      });
+      const takeProfit = shift(pending.takeProfit);
+      const stopLoss = shift(pending.stopLoss);
+
+      const result = await exchange.createOrderWithTPSL({
+        symbol: pending.symbol,
+        side,
+        quantity: pending.requestedQty,
+        entryPrice: priceData.lastPrice,
+        priceData,
+        tp: takeProfit,
+        sl: stopLoss,
+        entryBuffer,
+        entryExpiresAt: this._entryExpiresAt(pending, action)
+      });
+
+      Object.assign(pending, {
+        orderId: result.orderId,
+        externalId: result.externalId,
+        entryPrice: priceData.lastPrice,
+        takeProfit,
+        stopLoss
+      });
+      pending.entryOrders.push({ orderId: result.orderId, externalId: result.externalId });
+      chase.attempts++;
+      chase.lastPlacedAt = Date.now();
+
+      logger.info(`[ENTRY] ${pending.symbol}: ${action} #${chase.attempts} → ${result.entryLimitPrice} (order ${result.orderId})`);
+
+      await this._report(pending, {
+        action,
+        attempt: chase.attempts,
+        maxAttempts: this.policy.repriceAttempts + (this.policy.finalAction === 'CROSS' ? 1 : 0),
+        price: result.entryLimitPrice,
+        signalPrice: chase.signalPrice,
+        driftPercent
+      });
+    } catch (error) {
+      if (!cancelled) {
+        // Cancel не пройшов → старий entry (з TP/SL) досі живий на біржі.
+        // Погоня лишається активною: наступний tick повторить крок з тим самим ордером.
+        logger.warn(`[ENTRY] ${pending.symbol}: ${action} cancel of ${pending.orderId} failed, will retry: ${error.message}`);
+        if (action === 'CROSS') chase.crossed = false;
+        return;
+      }
+
+      // Старий ордер скасований, новий не виставлено → PositionService отримає
+      // CANCELLED по старому externalId і закриє entry як невдалий
+      logger.error(`[ENTRY] ${pending.symbol}: ${action} failed: ${error.message}`);
+      chase.finalizing = true;
+      pending.abandonReason = `${action} failed: ${error.message}`;
+      await this._report(pending, { action: 'ABANDON', signalPrice: chase.signalPrice, reason: pending.abandonReason });
+    } finally {
+      pending.replacing = false;
+    }
+  }
+
+  async _abandon(pending, reason, driftPercent) {
+    pending.chase.finalizing = true;
+    pending.abandonReason = reason;
+    logger.warn(`[ENTRY] ${pending.symbol}: abandoning entry — ${reason}`);
+
+    await this._report(pending, {
+      action: 'ABANDON',
+      signalPrice: pending.chase?.signalPrice,
+      driftPercent,
+      reason
+    });
+    await this._cancel(pending);
+  }
+
+  async _cancel(pending) {
+    try {
+      await exchange.cancelOrder(pending.orderId, pending.symbol);
+    } catch (error) {
+      logger.error(`[ENTRY] ${pending.symbol}: cancel ${pending.orderId} failed: ${error.message}`);
+    }
+  }
+
+  async _report(pending, step) {
+    if (config.trading.dryRun) return;
+
+    try {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatEntryChaseMessage({
+          symbol: pending.symbol,
+          direction: pending.direction,
+          ...step
+        })
+      );
+    } catch (telegramError) {
+      logger.error(`[ENTRY] Telegram send error: ${telegramError.message}`);
+    }
+  }
+}
+
+// Singleton
+const entryChaseService = new EntryChaseService();
+export default entryChaseService;
@@ -0,0 +1,295 @@
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {Object} PriceData
+ * @property {number} lastPrice
+ * @property {number} bestBid
+ * @property {number} bestAsk
+ */
+
+/**
+ * @typedef {Object} ExchangePosition
+ * @property {string} symbol        — 'BTC-USD'
+ * @property {string} side          — 'BUY' | 'SELL'
+ * @property {string} direction     — 'LONG' | 'SHORT'
+ * @property {number} size
+ * @property {number} entryPrice
+ * @property {number} markPrice
+ * @property {number} unrealisedPnl
+ * @property {number} leverage
+ * @property {number|null} liquidationPrice
+ */
+
+/**
+ * @typedef {Object} AccountHealth
+ * @property {number} equity            — баланс + unrealised P&L
+ * @property {number} balance
+ * @property {number} availableForTrade
+ * @property {number} usedMargin
+ * @property {number} unrealisedPnl
+ * @property {number} marginRatioPercent — 100% = ліквідація
+ * @property {{ symbol, direction, size, markPrice, liquidationPrice, liquidationDistancePercent }[]} positions
+ */
+
+/**
+ * @typedef {Object} OrderBook
+ * @property {string} symbol
+ * @property {{ price: number, qty: number }[]} bids — best first (спадання)
+ * @property {{ price: number, qty: number }[]} asks — best first (зростання)
+ * @property {number} ts
+ */
+
+/**
+ * @typedef {Object} Candle
+ * @property {number} openTime — ms, початок свічки
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume
+ */
+
+/**
+ * @typedef {Object} FundingRate
+ * @property {string} symbol
+ * @property {number} currentRate       — остання нарахована ставка (частка, 0.0001 = 0.01%)
+ * @property {number} predictedRate     — прогноз на наступне нарахування
+ * @property {number|null} nextFundingTime — ms
+ */
+
+/**
+ * @typedef {Object} FundingPayment
+ * @property {string} symbol
+ * @property {number} amount            — вплив на P&L: < 0 — заплатили, > 0 — отримали
+ * @property {number} rate
+ * @property {number} paidTime          — ms
+ */
+
+/**
+ * @typedef {Object} BracketOrderParams
+ * @property {string} symbol
+ * @property {string} side                      — 'BUY' | 'SELL'
+ * @property {number|string} quantity
+ * @property {number} entryPrice
+ * @property {PriceData} priceData
+ * @property {{ triggerPrice: number, limitPrice: number }} tp
+ * @property {{ triggerPrice: number, limitPrice: number }} sl
+ * @property {number} [entryBuffer]             — частка від book top для entry LIMIT (за замовчуванням з config)
+ */
+
+/**
+ * ExchangeAdapter — контракт біржі, від якого залежить торгова логіка
+ * (index.js, PositionService, scripts). Нова біржа = новий клас-нащадок.
+ *
+ * Реалізації:
+ *   ExtendedService    — Extended.exchange (REST + WebSocket stream)
+ *   SimulatedExchange  — in-memory біржа для dry-run / локальних прогонів
+ *
+ * Події (емітяться, якщо реалізація має real-time дані):
+ *   'bookTop'        (symbol, PriceData)
+ *   'position'       (ExchangePosition)
+ *   'positionClosed' (ExchangePosition)
+ *   'order'          (order)
+ *   'fill'           ({ id, symbol, orderId, side, price, qty, fee, createdTime })
+ *   'marketChanged'  ({ symbol, changes, market })
+ */
+export class ExchangeAdapter extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+  }
+
+  _notImplemented(method) {
+    throw new Error(`${this.name}: ${method}() not implemented`);
+  }
+
+  // ─── Connection ───────────────────────────────────────────
+
+  /** @returns {Promise<boolean>} */
+  async connect() { this._notImplemented('connect'); }
+
+  /**
+   * Запускає real-time оновлення (якщо є). За замовчуванням — нічого, тільки REST.
+   * @param {string[]} symbols
+   */
+  startStream(symbols) {}
+
+  stopStream() {}
+
+  // ─── Account ──────────────────────────────────────────────
+
+  /** @returns {Promise<number>} доступний для торгівлі баланс */
+  async getBalance() { this._notImplemented('getBalance'); }
+
+  /**
+   * Equity, маржа, margin ratio і ціни ліквідації відкритих позицій
+   * @returns {Promise<AccountHealth>}
+   */
+  async getAccountHealth() { this._notImplemented('getAccountHealth'); }
+
+  // ─── Market data ──────────────────────────────────────────
+
+  /** @returns {Promise<PriceData>} */
+  async getCurrentPrice(symbol) { this._notImplemented('getCurrentPrice'); }
+
+  /**
+   * Глибина стакану (depth рівнів з кожного боку)
+   * @returns {Promise<OrderBook>}
+   */
+  async getOrderBook(symbol, depth) { this._notImplemented('getOrderBook'); }
+
+  /**
+   * OHLC свічки, від старих до нових; остання може бути ще не закрита
+   * @param {string} symbol
+   * @param {string} interval — PT1M | PT5M | PT15M | PT30M | PT1H | PT2H | PT4H | P1D
+   * @param {number} limit
+   * @returns {Promise<Candle[]>}
+   */
+  async getCandles(symbol, interval, limit) { this._notImplemented('getCandles'); }
+
+  /**
+   * Свіжий book top з real-time даних або null → викликач іде в getCurrentPrice()
+   * @returns {PriceData|null}
+   */
+  getCachedBookTop(symbol) { return null; }
+
+  /** @returns {Promise<import('./market-registry.service.js').MarketConfig>} */
+  async getMarketInfo(symbol) { this._notImplemented('getMarketInfo'); }
+
+  /**
+   * Funding ставка market. Ставка > 0 — LONG платить SHORT, < 0 — навпаки.
+   * @returns {Promise<FundingRate>}
+   */
+  async getFundingRate(symbol) { this._notImplemented('getFundingRate'); }
+
+  // ─── Trading ──────────────────────────────────────────────
+
+  /**
+   * Leverage, встановлений на акаунті по markets
+   * @returns {Promise<Object<string, number>>} symbol → leverage
+   */
+  async getLeverage() { this._notImplemented('getLeverage'); }
+
+  /** @returns {Promise<boolean>} */
+  async setLeverage(symbol, leverage) { this._notImplemented('setLeverage'); }
+
+  /**
+   * Entry + TP + SL одним запитом
+   * @param {BracketOrderParams} params
+   * @returns {Promise<{ orderId, externalId, symbol, side, quantity, entryLimitPrice, tp, sl }>}
+   */
+  async createOrderWithTPSL(params) { this._notImplemented('createOrderWithTPSL'); }
+
+  /** @returns {Promise<boolean>} */
+  async cancelOrder(orderId, symbol) { this._notImplemented('cancelOrder'); }
+
+  /** @returns {Promise<Object|null>} */
+  async getOrderByExternalId(externalId) { this._notImplemented('getOrderByExternalId'); }
+
+  /**
+   * Активні ордери (NEW / PARTIALLY_FILLED / UNTRIGGERED / TRIGGERED), включно з TP/SL
+   * @returns {Promise<Object[]>}
+   */
+  async getOpenOrders(symbol = null) { this._notImplemented('getOpenOrders'); }
+
+  /**
+   * Скасовує всі відкриті ордери (по market або по всьому акаунту)
+   * @returns {Promise<boolean>}
+   */
+  async cancelAllOrders(symbol = null) { this._notImplemented('cancelAllOrders'); }
+
+  /**
+   * Закриває позицію (повністю або qty) reduce-only ордером, що одразу перетинає спред (IOC)
+   * @param {string} symbol
+   * @param {number} [qty] — за замовчуванням вся позиція
+   * @returns {Promise<{ orderId, externalId, symbol, side, quantity, price }|null>} null — позиції немає
+   */
+  async closePosition(symbol, qty = null) { this._notImplemented('closePosition'); }
+
+  /**
+   * Замінює TP відкритої позиції (reduce-only, спочатку новий — потім cancel старого).
+   * Trigger — з боку прибутку від поточної ціни.
+   * @param {{ triggerPrice, limitPrice }} tp
+   * @param {{ legExternalIds?: string[] }} [options] — externalId поточних TP ордерів позиції
+   * @returns {Promise<{ orderId, externalId, symbol, kind, replacedOrderIds }>}
+   */
+  async amendTakeProfit(symbol, tp, options = {}) { this._notImplemented('amendTakeProfit'); }
+
+  /**
+   * Замінює SL відкритої позиції (reduce-only, спочатку новий — потім cancel старого).
+   * Trigger — з боку збитку від поточної ціни (беззбиток / трейлінг у прибутку — валідні).
+   * @param {{ triggerPrice, limitPrice }} sl
+   * @param {{ legExternalIds?: string[] }} [options] — externalId поточних SL ордерів позиції
+   * @returns {Promise<{ orderId, externalId, symbol, kind, replacedOrderIds }>}
+   */
+  async amendStopLoss(symbol, sl, options = {}) { this._notImplemented('amendStopLoss'); }
+
+  // ─── Positions & fills ────────────────────────────────────
+
+  /** @returns {Promise<ExchangePosition[]>} */
+  async getPositions(symbol = null) { this._notImplemented('getPositions'); }
+
+  /**
+   * Позиції з real-time snapshot або null, якщо snapshot недоступний → викликач іде в getPositions()
+   * @returns {ExchangePosition[]|null}
+   */
+  getCachedPositions(symbol = null) { return null; }
+
+  /**
+   * Історія fills (Extended формат: market, side, price, qty, fee, createdTime)
+   * @returns {Promise<Object[]>}
+   */
+  async getTradeHistory(symbol = null, limit = 50) { this._notImplemented('getTradeHistory'); }
+
+  /**
+   * Всі fills з sinceMs (з пагінацією), від старих до нових — для VWAP і fees угоди
+   * @returns {Promise<Object[]>}
+   */
+  async getTradesSince(symbol, sinceMs) { this._notImplemented('getTradesSince'); }
+
+  /**
+   * Funding нарахування по акаунту з sinceMs
+   * @returns {Promise<FundingPayment[]>}
+   */
+  async getFundingPayments(symbol, sinceMs) { this._notImplemented('getFundingPayments'); }
+
+  /**
+   * Позиція → відстань від mark до ціни ліквідації (%) для AccountHealth
+   * @param {ExchangePosition} position
+   */
+  _positionRisk(position) {
+    const { symbol, direction, size, markPrice, liquidationPrice } = position;
+    const liquidationDistancePercent = liquidationPrice > 0 && markPrice > 0
+      ? (Math.abs(markPrice - liquidationPrice) / markPrice) * 100
+      : null;
+
+    return { symbol, direction, size, markPrice, liquidationPrice: liquidationPrice || null, liquidationDistancePercent };
+  }
+
+  // ─── Emergency ────────────────────────────────────────────
+
+  /**
+   * Kill switch: скасувати всі ордери, потім закрити всі позиції.
+   * Помилка закриття однієї позиції не зупиняє інші.
+   * @returns {Promise<{ closed: Object[], errors: { symbol, message }[] }>}
+   */
+  async flattenAccount() {
+    await this.cancelAllOrders();
+
+    const closed = [];
+    const errors = [];
+
+    for (const position of await this.getPositions()) {
+      try {
+        const result = await this.closePosition(position.symbol);
+        if (result) closed.push(result);
+      } catch (error) {
+        errors.push({ symbol: position.symbol, message: error.message });
+      }
+    }
+
+    return { closed, errors };
+  }
+}
+
+export default ExchangeAdapter;
@@ -0,0 +1,27 @@
+import { config } from '../config/settings.js';
+import extendedService from './extended.service.js';
+import extendedStreamService from './extended-stream.service.js';
+import { SimulatedExchange } from './simulated-exchange.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Вибір реалізації ExchangeAdapter за config.exchange.name (env EXCHANGE).
+ *
+ * Торгова логіка (index.js, PositionService, scripts) імпортує тільки цей модуль
+ * і працює з контрактом ExchangeAdapter — нова біржа додається тут.
+ */
+function createExchange(name) {
+  switch (name) {
+    case 'extended':
+      return extendedService.useStream(extendedStreamService);
+    case 'simulated':
+      return new SimulatedExchange();
+    default:
+      throw new Error(`Unknown EXCHANGE: ${name} (expected: extended, simulated)`);
+  }
+}
+
+const exchange = createExchange(config.exchange.name);
+logger.info(`[EXCHANGE] Using ${exchange.name} exchange adapter`);
+
+export default exchange;
@@ -0,0 +1,331 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { config } from '../config/settings.js';
+import { mapPosition } from './extended.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * ExtendedStreamService
+ *
+ * WebSocket клієнт для Extended.exchange streams:
+ *   /account              — приватний stream (X-Api-Key): ORDER, TRADE, POSITION, BALANCE
+ *   /orderbooks/{market}  — публічний stream, depth=1 → best bid / best ask
+ *
+ * Тримає in-memory snapshot (book tops, позиції, ордери, баланс) і емітить події:
+ *   'bookTop'        (symbol, { bestBid, bestAsk, lastPrice, ts })
+ *   'position'       (position)    — уніфікований формат як у extendedService.getPositions()
+ *   'positionClosed' (position)    — size = 0 або status CLOSED
+ *   'order'          (order)       — сирий ордер Extended
+ *   'fill'           (fill)        — { id, symbol, orderId, side, price, qty, fee, createdTime }
+ *   'balance'        (balance)
+ *   'streamUp' / 'streamDown' (key)
+ *
+ * Кожен stream перепідключається з exponential backoff. Поки stream лежить,
+ * споживачі (PositionService, openPosition) використовують REST як раніше.
+ *
+ * Для тестів: new ExtendedStreamService({ wsURL: 'ws://127.0.0.1:PORT', WebSocketImpl })
+ */
+export class ExtendedStreamService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.wsURL = (options.wsURL || config.extended.wsURL).replace(/\/+$/, '');
+    this.apiKey = options.apiKey || config.extended.apiKey;
+    this.userAgent = options.userAgent || config.extended.userAgent;
+    this.WebSocketImpl = options.WebSocketImpl || WebSocket;
+    this.reconnectBaseMs = options.reconnectBaseMs || config.extended.wsReconnectBaseMs;
+    this.reconnectMaxMs = options.reconnectMaxMs || config.extended.wsReconnectMaxMs;
+    this.staleMs = options.staleMs || config.extended.wsStaleMs;
+    this.heartbeatTimeoutMs = options.heartbeatTimeoutMs || config.extended.wsHeartbeatTimeoutMs;
+
+    this.running = false;
+    this.connections = new Map(); // key → { ws, path, auth, attempts, reconnectTimer, heartbeatTimer, live }
+
+    // Snapshot
+    this.bookTops = new Map();     // symbol → { bestBid, bestAsk, lastPrice, ts }
+    this.positions = new Map();    // `${symbol}:${side}` → position
+    this.orders = new Map();       // order id → order
+    this.balance = null;
+    this.accountSnapshotReceived = false;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // LIFECYCLE
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Підключає account stream + orderbook stream для кожного символу
+   */
+  start(symbols = []) {
+    if (this.running) {
+      logger.warn('[STREAM] Already running');
+      return;
+    }
+
+    this.running = true;
+    logger.info(`[STREAM] Starting streams: account + ${symbols.length} orderbooks (${this.wsURL})`);
+
+    this._open('account', '/account', msg => this._handleAccountMessage(msg), { auth: true });
+
+    for (const symbol of symbols) {
+      this._open(`orderbook:${symbol}`, `/orderbooks/${symbol}?depth=1`, msg => this._handleOrderbookMessage(symbol, msg));
+    }
+  }
+
+  stop() {
+    this.running = false;
+
+    for (const conn of this.connections.values()) {
+      clearTimeout(conn.reconnectTimer);
+      clearTimeout(conn.heartbeatTimer);
+      if (conn.ws) {
+        conn.ws.removeAllListeners();
+        conn.ws.on('error', () => {});
+        conn.ws.terminate();
+      }
+    }
+
+    this.connections.clear();
+    this.accountSnapshotReceived = false;
+    logger.info('[STREAM] Streams stopped');
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // SNAPSHOT ACCESS
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Account stream підключений і вже прислав snapshot позицій
+   */
+  isAccountStreamUp() {
+    const conn = this.connections.get('account');
+    return Boolean(conn?.live && this.accountSnapshotReceived);
+  }
+
+  /**
+   * Повертає свіжий book top або null (stream лежить / дані протухли)
+   */
+  getBookTop(symbol) {
+    const conn = this.connections.get(`orderbook:${symbol}`);
+    const top = this.bookTops.get(symbol);
+
+    if (!conn?.live || !top) return null;
+    if (Date.now() - top.ts > this.staleMs) return null;
+    if (!top.bestBid || !top.bestAsk) return null;
+
+    return top;
+  }
+
+  /**
+   * Відкриті позиції зі snapshot (у форматі extendedService.getPositions)
+   */
+  getPositions(symbol = null) {
+    return Array.from(this.positions.values())
+      .filter(pos => pos.size !== 0 && (!symbol || pos.symbol === symbol));
+  }
+
+  getOrder(orderId) {
+    return this.orders.get(String(orderId)) || null;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // CONNECTION MANAGEMENT
+  // ═══════════════════════════════════════════════════════════
+
+  _open(key, path, onMessage, { auth = false } = {}) {
+    const conn = this.connections.get(key) || { path, auth, onMessage, attempts: 0, live: false };
+    this.connections.set(key, conn);
+
+    const headers = { 'User-Agent': this.userAgent };
+    if (auth) headers['X-Api-Key'] = this.apiKey;
+
+    const ws = new this.WebSocketImpl(`${this.wsURL}${path}`, { headers });
+    conn.ws = ws;
+
+    ws.on('open', () => {
+      conn.attempts = 0;
+      conn.live = true;
+      this._resetHeartbeat(key);
+      logger.info(`[STREAM] ✅ ${key} connected`);
+      this.emit('streamUp', key);
+    });
+
+    ws.on('message', raw => {
+      this._resetHeartbeat(key);
+
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch (e) {
+        logger.warn(`[STREAM] ${key}: invalid JSON: ${e.message}`);
+        return;
+      }
+
+      try {
+        conn.onMessage(msg);
+      } catch (error) {
+        logger.error(`[STREAM] ${key}: error handling message: ${error.message}`);
+      }
+    });
+
+    ws.on('ping', () => this._resetHeartbeat(key));
+
+    ws.on('error', error => {
+      logger.warn(`[STREAM] ${key} error: ${error.message}`);
+    });
+
+    ws.on('close', code => {
+      const wasLive = conn.live;
+      conn.live = false;
+      clearTimeout(conn.heartbeatTimer);
+
+      if (key === 'account') {
+        this.accountSnapshotReceived = false;
+      }
+
+      if (wasLive) {
+        logger.warn(`[STREAM] ⚠️ ${key} disconnected (code ${code}), falling back to REST`);
+        this.emit('streamDown', key);
+      }
+
+      this._scheduleReconnect(key);
+    });
+  }
+
+  _scheduleReconnect(key) {
+    if (!this.running) return;
+
+    const conn = this.connections.get(key);
+    if (!conn) return;
+
+    // Exponential backoff з jitter: base * 2^attempts, обмежено max
+    const exp = Math.min(this.reconnectMaxMs, this.reconnectBaseMs * Math.pow(2, conn.attempts));
+    const delay = Math.floor(exp / 2 + Math.random() * exp / 2);
+    conn.attempts++;
+
+    logger.info(`[STREAM] Reconnecting ${key} in ${delay}ms (attempt ${conn.attempts})`);
+
+    clearTimeout(conn.reconnectTimer);
+    conn.reconnectTimer = setTimeout(() => {
+      if (this.running) {
+        this._open(key, conn.path, conn.onMessage, { auth: conn.auth });
+      }
+    }, delay);
+  }
+
+  _resetHeartbeat(key) {
+    const conn = this.connections.get(key);
+    if (!conn) return;
+
+    clearTimeout(conn.heartbeatTimer);
+    conn.heartbeatTimer = setTimeout(() => {
+      logger.warn(`[STREAM] ${key}: no data for ${this.heartbeatTimeoutMs}ms, terminating`);
+      conn.ws?.terminate();
+    }, this.heartbeatTimeoutMs);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // MESSAGE HANDLERS
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Orderbook stream (depth=1): { type, data: { m, b: [{ p, q }], a: [{ p, q }] }, ts }
+   */
+  _handleOrderbookMessage(symbol, msg) {
+    const data = msg.data || {};
+    const prev = this.bookTops.get(symbol) || {};
+
+    const bestBid = data.b?.length ? parseFloat(data.b[0].p) : prev.bestBid;
+    const bestAsk = data.a?.length ? parseFloat(data.a[0].p) : prev.bestAsk;
+
+    if (!bestBid || !bestAsk) return;
+
+    const top = {
+      bestBid,
+      bestAsk,
+      lastPrice: (bestBid + bestAsk) / 2,
+      ts: Date.now()
+    };
+
+    this.bookTops.set(symbol, top);
+    this.emit('bookTop', symbol, top);
+  }
+
+  /**
+   * Account stream: { type: 'ORDER' | 'TRADE' | 'POSITION' | 'BALANCE', data: {...}, ts, seq }
+   */
+  _handleAccountMessage(msg) {
+    const data = msg.data || {};
+
+    switch (msg.type) {
+      case 'POSITION':
+        this._handlePositions(data.positions || [], msg.isSnapshot || !this.accountSnapshotReceived);
+        this.accountSnapshotReceived = true;
+        break;
+
+      case 'ORDER':
+        for (const order of data.orders || []) {
+          this.orders.set(String(order.id), order);
+          this.emit('order', order);
+        }
+        break;
+
+      case 'TRADE':
+        for (const trade of data.trades || []) {
+          this.emit('fill', {
+            id: trade.id,
+            symbol: trade.market,
+            orderId: trade.orderId,
+            side: trade.side,
+            price: parseFloat(trade.price || '0'),
+            qty: parseFloat(trade.qty || '0'),
+            fee: parseFloat(trade.fee || '0'),
+            createdTime: trade.createdTime || Date.now()
+          });
+        }
+        break;
+
+      case 'BALANCE':
+        this.balance = data.balance || null;
+        this.emit('balance', this.balance);
+        break;
+
+      default:
+        logger.debug(`[STREAM] account: unhandled message type ${msg.type}`);
+    }
+  }
+
+  _handlePositions(rawPositions, isSnapshot) {
+    const seen = new Set();
+
+    for (const raw of rawPositions) {
+      const position = { ...mapPosition(raw), status: raw.status || 'OPENED' };
+      const key = `${position.symbol}:${position.side}`;
+      seen.add(key);
+
+      if (position.size === 0 || position.status === 'CLOSED') {
+        const existed = this.positions.delete(key);
+        if (existed || !isSnapshot) {
+          this.emit('positionClosed', position);
+        }
+        continue;
+      }
+
+      this.positions.set(key, position);
+      this.emit('position', position);
+    }
+
+    // Snapshot повний: все, чого в ньому немає — закрито поки ми були відключені
+    if (isSnapshot) {
+      for (const [key, position] of this.positions.entries()) {
+        if (!seen.has(key)) {
+          this.positions.delete(key);
+          this.emit('positionClosed', { ...position, size: 0, status: 'CLOSED' });
+        }
+      }
+    }
+  }
+}
+
+// Singleton
+const extendedStreamService = new ExtendedStreamService();
+export default extendedStreamService;
@@ -1,12 +1,46 @@
 import axios from 'axios';
 import { config } from '../config/settings.js';
 import starkSigner from './stark-signer.service.js';
+import nonceManager from './nonce.service.js';
+import { MarketRegistry } from './market-registry.service.js';
+import { ExchangeAdapter } from './exchange-adapter.js';
 import logger from '../utils/logger.js';
+import { sleep } from '../utils/helpers.js';
+import { Decimal, Rounding } from '../utils/decimal.js';
+import { attachRequestPipeline, computeBackoff, ErrorKind, TokenBucket } from '../utils/http-retry.js';
+
+// Funding нараховується щогодини; 2 години гарантують хоча б одну ставку в історії
+const FUNDING_LOOKBACK_MS = 2 * 60 * 60 * 1000;
+
+// /user/trades: розмір сторінки і стеля сторінок на один виклик getTradesSince
+const TRADES_PAGE_SIZE = 100;
+const TRADES_MAX_PAGES = 50;
+
+/**
+ * Мапить позицію Extended (REST або WebSocket) в уніфікований формат бота.
+ * REST повертає side 'BUY'/'SELL', stream — 'LONG'/'SHORT'; нормалізуємо в BUY/SELL.
+ */
+export function mapPosition(pos) {
+  const isLong = pos.side === 'BUY' || pos.side === 'LONG';
+  return {
+    symbol: pos.market || pos.symbol,
+    side: isLong ? 'BUY' : 'SELL',                           // BUY / SELL
+    direction: isLong ? 'LONG' : 'SHORT',                    // Мапинг → LONG/SHORT
+    size: parseFloat(pos.size || pos.qty || '0'),
+    entryPrice: parseFloat(pos.avgPrice || pos.openPrice || pos.entryPrice || '0'),
+    markPrice: parseFloat(pos.markPrice || '0'),
+    unrealisedPnl: parseFloat(pos.unrealisedPnl || pos.pnl || '0'),
+    leverage: parseFloat(pos.leverage || '1'),
+    liquidationPrice: parseFloat(pos.liquidationPrice || '0') || null
+  };
+}
 
 /**
  * ExtendedService
  * 
- * Замінює bybit.service.js. Все HTTP взаємодія з Extended.exchange REST API.
+ * Реалізація ExchangeAdapter для Extended.exchange.
+ * Замінює bybit.service.js. Все HTTP взаємодія з Extended.exchange REST API,
+ * real-time дані — через підключений ExtendedStreamService (useStream).
  * 
  * Маппинг методів:
  *   Bybit                    → Extended
@@ -22,8 +56,9 @@ import logger from '../utils/logger.js';
  *   getOpenPositions(sym)    → getPositions(sym)
  *   getTradeHistory(sym)     → getTradeHistory(sym)
  */
-class ExtendedService {
+class ExtendedService extends ExchangeAdapter {
   constructor() {
+    super('extended');
     this.baseURL = config.extended.baseURL;
     this.apiKey = config.extended.apiKey;
     this.userAgent = config.extended.userAgent;
@@ -37,8 +72,62 @@ class ExtendedService {
         'User-Agent': this.userAgent,
         'Content-Type': 'application/json'
       },
-      timeout: 10000
+      timeout: config.extended.httpTimeoutMs
+    });
+
+    // Спільний pipeline: rate limit + класифікація помилок + retry з backoff.
+    // POST /user/order pipeline НЕ повторює при невідомому результаті — див. _submitOrder()
+    attachRequestPipeline(this.http, {
+      maxRetries: config.extended.httpMaxRetries,
+      baseDelayMs: config.extended.httpRetryBaseMs,
+      maxDelayMs: config.extended.httpRetryMaxMs,
+      limiter: new TokenBucket(config.extended.rateLimitBurst, config.extended.rateLimitPerMinute / 60),
+      tag: '[EXTENDED]'
     });
+
+    // Кеш markets (preload при connect, оновлення по таймеру)
+    this.markets = new MarketRegistry(this.http);
+    this.markets.on('marketChanged', event => this.emit('marketChanged', event));
+
+    this.stream = null;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // STREAM
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Підключає WebSocket stream і прокидає його події через адаптер
+   */
+  useStream(stream) {
+    this.stream = stream;
+
+    for (const event of ['bookTop', 'position', 'positionClosed', 'order', 'fill']) {
+      stream.on(event, (...args) => this.emit(event, ...args));
+    }
+
+    return this;
+  }
+
+  startStream(symbols) {
+    if (!this.stream || !config.extended.wsEnabled) {
+      logger.info('[EXTENDED] WebSocket stream disabled, using REST polling only');
+      return;
+    }
+    this.stream.start(symbols);
+  }
+
+  stopStream() {
+    this.stream?.stop();
+  }
+
+  getCachedBookTop(symbol) {
+    return this.stream?.getBookTop(symbol) || null;
+  }
+
+  getCachedPositions(symbol = null) {
+    if (!this.stream?.isAccountStreamUp()) return null;
+    return this.stream.getPositions(symbol);
   }
 
   // ═══════════════════════════════════════════════════════════
@@ -47,22 +136,24 @@ class ExtendedService {
 
   /**
    * Перевіряє з'єднання з API (аналог bybitService.connect)
+   * і завантажує всі markets в кеш.
    */
   async connect() {
     try {
       logger.info('[EXTENDED] Connecting to Extended.exchange API...');
 
-      // Використовуємо info/markets як ping — якщо відповідь 200, з'єднано
-      const response = await this.http.get('/info/markets');
+      // Завантаження info/markets одночасно є ping — якщо пройшло, з'єднано
+      await this.markets.load();
+      this.markets.startRefresh(config.extended.marketsRefreshMs);
 
-      if (response.status === 200) {
-        this.isConnected = true;
-        logger.info(`[EXTENDED] ✅ Connected to Extended.exchange`);
-        logger.info(`[EXTENDED] Base URL: ${this.baseURL}`);
-        return true;
-      } else {
-        throw new Error(`Unexpected status: ${response.status}`);
-      }
+      // Ключ підпису: розблокувати keystore / перевірити signer процес ще до першого сигналу
+      await starkSigner.init();
+      await this._verifyAccount();
+
+      this.isConnected = true;
+      logger.info(`[EXTENDED] ✅ Connected to Extended.exchange`);
+      logger.info(`[EXTENDED] Base URL: ${this.baseURL}`);
+      return true;
     } catch (error) {
       logger.error(`[EXTENDED] Connection failed: ${error.message}`);
       this.isConnected = false;
@@ -70,6 +161,37 @@ class ExtendedService {
     }
   }
 
+  /**
+   * Ключі належать мережі профілю: API key приймається цим середовищем,
+   * а l2Vault / l2Key акаунта збігаються з тим, чим підписуємо ордери.
+   * Testnet ключі проти mainnet (або навпаки) зупиняють старт, а не перший сигнал.
+   */
+  async _verifyAccount() {
+    const { label } = config.network;
+
+    let account;
+    try {
+      account = this._unwrap(await this.http.get('/user/account/info')) || {};
+    } catch (error) {
+      if ([401, 403].includes(error.response?.status)) {
+        throw new Error(`API key rejected by ${label} (HTTP ${error.response.status}) — wrong EXTENDED_NETWORK?`);
+      }
+      throw error;
+    }
+
+    if (account.l2Vault !== undefined && String(account.l2Vault) !== String(starkSigner.vaultId)) {
+      throw new Error(`Account vault ${account.l2Vault} on ${label} does not match EXTENDED_VAULT_ID ${starkSigner.vaultId}`);
+    }
+
+    if (!account.l2Key) {
+      logger.warn(`[EXTENDED] ⚠️ ${label} did not return l2Key, Stark key not verified`);
+    } else if (BigInt(account.l2Key) !== BigInt(starkSigner.publicKey)) {
+      throw new Error(`Stark key ${starkSigner.publicKey.slice(0, 12)}... is not the key of account ${account.id} on ${label}`);
+    }
+
+    logger.info(`[EXTENDED] ✅ Account ${account.id} (vault ${account.l2Vault}) verified on ${label}`);
+  }
+
   // ═══════════════════════════════════════════════════════════
   // BALANCE
   // ═══════════════════════════════════════════════════════════
@@ -105,6 +227,31 @@ class ExtendedService {
     }
   }
 
+  /**
+   * Стан акаунта з /user/balance (marginRatio — частка, 1 = ліквідація)
+   * + liquidationPrice з /user/positions
+   * @returns {Promise<import('./exchange-adapter.js').AccountHealth>}
+   */
+  async getAccountHealth() {
+    try {
+      const data = this._unwrap(await this.http.get('/user/balance')) || {};
+      const positions = await this.getPositions();
+
+      return {
+        equity: parseFloat(data.equity || '0'),
+        balance: parseFloat(data.balance || '0'),
+        availableForTrade: parseFloat(data.availableForTrade || '0'),
+        usedMargin: parseFloat(data.initialMargin || '0'),
+        unrealisedPnl: parseFloat(data.unrealisedPnl || '0'),
+        marginRatioPercent: parseFloat(data.marginRatio || '0') * 100,
+        positions: positions.map(position => this._positionRisk(position))
+      };
+    } catch (error) {
+      logger.error(`[EXTENDED] Error getting account health: ${error.message}`);
+      throw error;
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════
   // MARKET DATA
   // ═══════════════════════════════════════════════════════════
@@ -123,10 +270,15 @@ class ExtendedService {
         throw new Error(`Failed to get price: HTTP ${response.status}`);
       }
 
-      const data = response.data;
+      const data = this._unwrap(response);
       const lastPrice = parseFloat(data.lastPrice || data.price || '0');
-      const bestBid = parseFloat(data.bestBid || data.bid || lastPrice * 0.9999);
-      const bestAsk = parseFloat(data.bestAsk || data.ask || lastPrice * 1.0001);
+      const bestBid = parseFloat(data.bestBid || data.bidPrice || data.bid || '0');
+      const bestAsk = parseFloat(data.bestAsk || data.askPrice || data.ask || '0');
+
+      // Без реальних bid/ask не торгуємо — ціни не вигадуємо
+      if (!(bestBid > 0) || !(bestAsk > 0)) {
+        throw new Error(`No bid/ask for ${symbol} (bid=${bestBid}, ask=${bestAsk})`);
+      }
 
       logger.info(`[EXTENDED] ${symbol} — Last: ${lastPrice}, Bid: ${bestBid}, Ask: ${bestAsk}`);
 
@@ -137,42 +289,111 @@ class ExtendedService {
     }
   }
 
+  /**
+   * Знімок стакану: bids за спаданням, asks за зростанням
+   * @returns {Promise<import('./exchange-adapter.js').OrderBook>}
+   */
+  async getOrderBook(symbol, depth = config.liquidity.depthLevels) {
+    try {
+      const response = await this.http.get(`/info/markets/${symbol}/orderbook`);
+      const data = this._unwrap(response) || {};
+
+      const parseLevels = (levels = []) => levels
+        .map(level => ({ price: parseFloat(level.price ?? level.p), qty: parseFloat(level.qty ?? level.q) }))
+        .filter(level => level.price > 0 && level.qty > 0);
+
+      return {
+        symbol,
+        bids: parseLevels(data.bid).sort((a, b) => b.price - a.price).slice(0, depth),
+        asks: parseLevels(data.ask).sort((a, b) => a.price - b.price).slice(0, depth),
+        ts: Date.now()
+      };
+    } catch (error) {
+      logger.error(`[EXTENDED] Error getting order book for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * OHLC свічки: GET /info/candles/{market}/{candleType}.
+   * Біржа віддає новіші першими — розвертаємо у хронологічний порядок.
+   * @returns {Promise<import('./exchange-adapter.js').Candle[]>}
+   */
+  async getCandles(symbol, interval = config.volatility.candleInterval, limit = config.volatility.candleLimit) {
+    try {
+      const response = await this.http.get(`/info/candles/${symbol}/${config.volatility.candleType}`, {
+        params: { interval, limit }
+      });
+      const data = this._unwrap(response) || [];
+
+      return data
+        .map(candle => ({
+          openTime: parseInt(candle.T),
+          open: parseFloat(candle.o),
+          high: parseFloat(candle.h),
+          low: parseFloat(candle.l),
+          close: parseFloat(candle.c),
+          volume: parseFloat(candle.v || '0')
+        }))
+        .filter(candle => candle.close > 0)
+        .sort((a, b) => a.openTime - b.openTime);
+    } catch (error) {
+      logger.error(`[EXTENDED] Error getting ${interval} candles for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Funding: predicted — з stats (перераховується біржею щохвилини),
+   * current — остання нарахована ставка з історії funding.
+   * @returns {Promise<import('./exchange-adapter.js').FundingRate>}
+   */
+  async getFundingRate(symbol) {
+    try {
+      const stats = this._unwrap(await this.http.get(`/info/markets/${symbol}/stats`));
+      const predictedRate = parseFloat(stats.fundingRate || '0');
+
+      const now = Date.now();
+      const history = this._unwrap(await this.http.get(`/info/${symbol}/funding`, {
+        params: { startTime: now - FUNDING_LOOKBACK_MS, endTime: now }
+      })) || [];
+
+      const last = history.reduce((latest, entry) => (!latest || entry.T > latest.T ? entry : latest), null);
+      const currentRate = last ? parseFloat(last.f) : predictedRate;
+
+      return {
+        symbol,
+        currentRate,
+        predictedRate,
+        nextFundingTime: stats.nextFundingRate ? parseInt(stats.nextFundingRate) : null
+      };
+    } catch (error) {
+      logger.error(`[EXTENDED] Error getting funding rate for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Отримує інформацію про market (tickSize, minQty, maxQty, maxLeverage)
    * Аналог: bybitService.getSymbolInfo()
+   *
+   * Читає з MarketRegistry; на промах — перезавантажує список markets.
+   * @returns {Promise<import('./market-registry.service.js').MarketConfig>}
    */
   async getMarketInfo(symbol) {
     try {
-      const response = await this.http.get('/info/markets', {
-        params: { market: symbol }
-      });
+      let market = this.markets.get(symbol);
 
-      if (response.status !== 200) {
-        throw new Error(`Failed to get market info: HTTP ${response.status}`);
+      if (!market) {
+        await this.markets.load();
+        market = this.markets.get(symbol);
       }
 
-      // Ищем наш market в списке
-      const markets = Array.isArray(response.data) ? response.data : [response.data];
-      const market = markets.find(m => m.market === symbol || m.name === symbol);
-
       if (!market) {
         throw new Error(`Market ${symbol} not found`);
       }
 
-      const tc = market.tradingConfig || {};
-
-      return {
-        symbol: symbol,
-        minOrderSize: parseFloat(tc.minOrderSize || '0.001'),
-        minPriceChange: parseFloat(tc.minPriceChange || '0.001'),
-        maxLimitOrderValue: parseFloat(tc.maxLimitOrderValue || '5000000'),
-        maxPositionValue: parseFloat(tc.maxPositionValue || '10000000'),
-        maxLeverage: parseInt(tc.maxLeverage || '50'),
-        status: market.status || 'Trading',
-        // Для совместимости с risk.service: tickSize = minPriceChange, pricePrecision из minPriceChange
-        tickSize: parseFloat(tc.minPriceChange || '0.001'),
-        pricePrecision: this._getPrecisionFromStep(parseFloat(tc.minPriceChange || '0.001'))
-      };
+      return market;
     } catch (error) {
       logger.error(`[EXTENDED] Error getting market info for ${symbol}: ${error.message}`);
       throw error;
@@ -183,6 +404,20 @@ class ExtendedService {
   // LEVERAGE
   // ═══════════════════════════════════════════════════════════
 
+  /**
+   * Поточний leverage акаунта по всіх markets: GET /user/leverage
+   * @returns {Promise<Object<string, number>>}
+   */
+  async getLeverage() {
+    try {
+      const data = this._unwrap(await this.http.get('/user/leverage')) || [];
+      return Object.fromEntries(data.map(entry => [entry.market, parseFloat(entry.leverage)]));
+    } catch (error) {
+      logger.error(`[EXTENDED] Error getting leverage: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Встановлює leverage для market
    * Аналог: bybitService.setLeverage()
@@ -240,42 +475,76 @@ class ExtendedService {
    *   Якщо за час між читанням книги і подачею ордера ціна резко стрибнуть —
    *   ордер просто зависне в книці і заполнится по even better цене.
    *
+   * Ціни snap до minPriceChange (entry — від книги: BUY вгору, SELL вниз),
+   * qty — вниз до minOrderSizeChange. У тіло запиту і в hash ідуть ті самі
+   * точні рядки Decimal.
+   *
    * @param {Object} params
    * @param {string} params.symbol
    * @param {string} params.side — 'BUY' | 'SELL'
    * @param {string|number} params.quantity
-   * @param {number} params.entryPrice — lastPrice (для логів / fallback)
+   * @param {number} params.entryPrice — lastPrice (для логів)
    * @param {{ bestBid: number, bestAsk: number }} params.priceData
    * @param {{ triggerPrice, limitPrice }} params.tp
    * @param {{ triggerPrice, limitPrice }} params.sl
+   * @param {number} [params.entryBuffer] — перевизначає entryLimitBuffer (напр. CROSS в entry policy)
+   * @param {number} [params.entryExpiresAt] — expiry entry (epoch ms); за замовчуванням
+   *   now + entryPolicy.maxTimeToFillMs + expiryMarginMs. TP/SL живуть maxExpiryMs.
    * @returns {Object} { orderId, entryLimitPrice, ... }
    */
-  async createOrderWithTPSL({ symbol, side, quantity, entryPrice, priceData, tp, sl }) {
+  async createOrderWithTPSL({ symbol, side, quantity, entryPrice, priceData, tp, sl, entryBuffer, entryExpiresAt }) {
     try {
-      const buffer = config.extendedConst.entryLimitBuffer; // 0.0005 = 0.05%
+      const buffer = entryBuffer ?? config.extendedConst.entryLimitBuffer; // 0.0005 = 0.05%
       const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
+      const marketInfo = await this.getMarketInfo(symbol);
+
+      const qty = Decimal.from(quantity).quantize(marketInfo.minOrderSizeChange, Rounding.DOWN);
+      if (qty.lt(marketInfo.minOrderSize)) {
+        throw new Error(`Order qty ${qty} below minOrderSize ${marketInfo.minOrderSize} for ${symbol}`);
+      }
 
       // ─── Entry limit price: вплотную к лучшей цене книги ───
-      let entryLimitPrice;
+      // Без потрібної сторони книги не торгуємо — last price замість неї не підставляємо
+      const bookPrice = side === 'BUY' ? priceData?.bestAsk : priceData?.bestBid;
+      if (!(bookPrice > 0)) {
+        throw new Error(`No ${side === 'BUY' ? 'ask' : 'bid'} for ${symbol} (bid=${priceData?.bestBid}, ask=${priceData?.bestAsk})`);
+      }
+
+      let entryPriceDec;
       if (side === 'BUY') {
         // Ставим чуть выше bestAsk — ложим заявку на вершину книги
-        entryLimitPrice = (priceData.bestAsk || entryPrice) * (1 + buffer);
+        entryPriceDec = Decimal.from(priceData.bestAsk)
+          .mul(Decimal.from(1).add(buffer))
+          .quantize(marketInfo.minPriceChange, Rounding.CEIL);
       } else {
         // Ставим чуть ниже bestBid
-        entryLimitPrice = (priceData.bestBid || entryPrice) * (1 - buffer);
+        entryPriceDec = Decimal.from(priceData.bestBid)
+          .mul(Decimal.from(1).sub(buffer))
+          .quantize(marketInfo.minPriceChange, Rounding.FLOOR);
       }
+      const entryLimitPrice = entryPriceDec.toNumber();
+
+      const snapPrice = (price) => Decimal.from(price).quantize(marketInfo.minPriceChange, Rounding.HALF_UP).toString();
+      const qtyStr = qty.toString();
+      const entryPriceStr = entryPriceDec.toString();
+      const tpPrices = { trigger: snapPrice(tp.triggerPrice), limit: snapPrice(tp.limitPrice) };
+      const slPrices = { trigger: snapPrice(sl.triggerPrice), limit: snapPrice(sl.limitPrice) };
 
-      const expiryMs = Date.now() + config.extendedConst.maxExpiryMs;
+      // Entry — тільки до дедлайну entry policy (біржа знімає його сама, навіть якщо бот впав);
+      // TP / SL — на весь час життя позиції
+      const entryExpiryMs = entryExpiresAt
+        ?? Date.now() + config.entryPolicy.maxTimeToFillMs + config.entryPolicy.expiryMarginMs;
+      const legExpiryMs = Date.now() + config.extendedConst.maxExpiryMs;
 
       // ─── Параметри для 3 підписів (все GTT LIMIT, все maker) ───
       const entrySignParams = {
         market: symbol,
         side: side,
         type: 'LIMIT',
-        qty: quantity.toString(),
-        price: entryLimitPrice.toString(),
+        qty: qtyStr,
+        price: entryPriceStr,
         timeInForce: 'GTT',                          // ← GTT, не IOC
-        expiryEpochMillis: expiryMs,
+        expiryEpochMillis: entryExpiryMs,
         fee: config.extendedConst.makerFee            // ← maker 0%
       };
 
@@ -283,10 +552,10 @@ class ExtendedService {
         market: symbol,
         side: closeSide,
         type: 'LIMIT',
-        qty: quantity.toString(),
-        price: tp.limitPrice.toString(),
+        qty: qtyStr,
+        price: tpPrices.limit,
         timeInForce: 'GTT',
-        expiryEpochMillis: expiryMs,
+        expiryEpochMillis: legExpiryMs,
         fee: config.extendedConst.makerFee
       };
 
@@ -294,63 +563,66 @@ class ExtendedService {
         market: symbol,
         side: closeSide,
         type: 'LIMIT',
-        qty: quantity.toString(),
-        price: sl.limitPrice.toString(),
+        qty: qtyStr,
+        price: slPrices.limit,
         timeInForce: 'GTT',
-        expiryEpochMillis: expiryMs,
+        expiryEpochMillis: legExpiryMs,
         fee: config.extendedConst.makerFee
       };
 
-      // ─── Підписуємо всі три ───
-      const signatures = starkSigner.signFullOrder(entrySignParams, tpSignParams, slSignParams);
-
-      // ─── Формуємо запит ───
+      // ─── Підписуємо всі три (nonce у ledger під одним externalId) ───
       const externalId = starkSigner.generateExternalId();
+      const signatures = await starkSigner.signFullOrder(entrySignParams, tpSignParams, slSignParams, marketInfo.l2Config, externalId);
 
+      // ─── Формуємо запит ───
       const orderRequest = {
         id: externalId,
         market: symbol,
         type: 'LIMIT',
         side: side,
-        qty: quantity.toString(),
-        price: entryLimitPrice.toString(),
+        qty: qtyStr,
+        price: entryPriceStr,
         timeInForce: 'GTT',                          // ← GTT
-        expiryEpochMillis: expiryMs,
+        expiryEpochMillis: entryExpiryMs,
         fee: config.extendedConst.makerFee,           // ← maker 0%
         nonce: signatures.entry.nonce.toString(),
         settlement: signatures.entry.settlement,
+        debuggingAmounts: signatures.entry.debuggingAmounts,
 
         tpSlType: 'ORDER',
 
         takeProfit: {
-          triggerPrice: tp.triggerPrice.toString(),
+          triggerPrice: tpPrices.trigger,
           triggerPriceType: 'LAST',
-          price: tp.limitPrice.toString(),
+          price: tpPrices.limit,
           priceType: 'LIMIT',
-          settlement: signatures.tp.settlement
+          settlement: signatures.tp.settlement,
+          debuggingAmounts: signatures.tp.debuggingAmounts
         },
 
         stopLoss: {
-          triggerPrice: sl.triggerPrice.toString(),
+          triggerPrice: slPrices.trigger,
           triggerPriceType: 'LAST',
-          price: sl.limitPrice.toString(),
+          price: slPrices.limit,
           priceType: 'LIMIT',
-          settlement: signatures.sl.settlement
+          settlement: signatures.sl.settlement,
+          debuggingAmounts: signatures.sl.debuggingAmounts
         }
       };
 
-      logger.info(`[EXTENDED] Creating order with TP/SL: ${side} ${quantity} ${symbol}`);
-      logger.info(`[EXTENDED]   Entry LIMIT: ${entryLimitPrice.toFixed(4)} (book: ask=${priceData.bestAsk}, bid=${priceData.bestBid})`);
-      logger.info(`[EXTENDED]   TP: trigger=${tp.triggerPrice}, limit=${tp.limitPrice}`);
-      logger.info(`[EXTENDED]   SL: trigger=${sl.triggerPrice}, limit=${sl.limitPrice}`);
+      logger.info(`[EXTENDED] Creating order with TP/SL: ${side} ${qtyStr} ${symbol}`);
+      logger.info(`[EXTENDED]   Entry LIMIT: ${entryPriceStr} (book: ask=${priceData.bestAsk}, bid=${priceData.bestBid}), expires ${new Date(entryExpiryMs).toISOString()}`);
+      logger.info(`[EXTENDED]   TP: trigger=${tpPrices.trigger}, limit=${tpPrices.limit}`);
+      logger.info(`[EXTENDED]   SL: trigger=${slPrices.trigger}, limit=${slPrices.limit}`);
 
-      const response = await this.http.post('/user/order', orderRequest);
+      const response = await this._submitOrder(orderRequest);
 
       if (response.status !== 200 && response.status !== 201) {
         throw new Error(`Order with TP/SL failed: HTTP ${response.status} — ${JSON.stringify(response.data)}`);
       }
 
-      const orderId = response.data?.id || response.data?.orderId || externalId;
+      const created = this._unwrap(response);
+      const orderId = created?.id || created?.orderId || externalId;
       logger.info(`[EXTENDED] ✅ Order with TP/SL created: ID ${orderId}`);
 
       return {
@@ -358,10 +630,10 @@ class ExtendedService {
         externalId: externalId,
         symbol: symbol,
         side: side,
-        quantity: quantity,
+        quantity: qty.toNumber(),
         entryLimitPrice: entryLimitPrice,
-        tp: tp,
-        sl: sl
+        tp: { triggerPrice: Number(tpPrices.trigger), limitPrice: Number(tpPrices.limit) },
+        sl: { triggerPrice: Number(slPrices.trigger), limitPrice: Number(slPrices.limit) }
       };
     } catch (error) {
       logger.error(`[EXTENDED] Error creating order with TP/SL: ${error.message}`);
@@ -369,6 +641,89 @@ class ExtendedService {
     }
   }
 
+  /**
+   * Відправляє POST /user/order з безпечним повтором.
+   *
+   * Якщо відповідь не прийшла (NETWORK) або 5xx — ордер МІГ бути прийнятий біржею.
+   * Тому перед повтором шукаємо його по externalId (orderRequest.id):
+   * знайшли → вважаємо успіхом, не знайшли → відправляємо ще раз з тим самим externalId.
+   * 429 повторюється самим pipeline, BUSINESS помилки — одразу наверх.
+   * Прийнятий ордер прив'язується до своїх nonce у ledger (orderId біржі);
+   * помилка ledger тільки логується — ордер уже живий на біржі.
+   */
+  async _submitOrder(orderRequest) {
+    const response = await this._postOrder(orderRequest);
+    const created = this._unwrap(response);
+    const orderId = created?.id ?? created?.orderId ?? null;
+    try {
+      nonceManager.recordOrder(orderRequest.id, orderId);
+    } catch (error) {
+      logger.error(`[EXTENDED] Order ${orderRequest.id} accepted (ID ${orderId}), but nonce ledger not updated: ${error.message}`);
+    }
+    return response;
+  }
+
+  async _postOrder(orderRequest) {
+    const maxRetries = config.extended.httpMaxRetries;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.http.post('/user/order', orderRequest);
+      } catch (error) {
+        const ambiguous = error.kind === ErrorKind.NETWORK || error.kind === ErrorKind.SERVER;
+        if (!ambiguous || attempt >= maxRetries) throw error;
+
+        logger.warn(`[EXTENDED] Order ${orderRequest.id} result unknown (${error.kind}: ${error.message}), re-querying...`);
+        await sleep(computeBackoff(attempt, config.extended.httpRetryBaseMs, config.extended.httpRetryMaxMs));
+
+        const existing = await this.getOrderByExternalId(orderRequest.id);
+        if (existing) {
+          logger.info(`[EXTENDED] ✅ Order ${orderRequest.id} found on exchange (ID ${existing.id}), not re-posting`);
+          return { status: 200, data: existing };
+        }
+
+        logger.warn(`[EXTENDED] Order ${orderRequest.id} not found, re-posting (attempt ${attempt + 2})`);
+      }
+    }
+  }
+
+  /**
+   * Шукає ордер по externalId (наш id з createOrderWithTPSL).
+   * Повертає ордер або null, якщо біржа його не знає.
+   */
+  async getOrderByExternalId(externalId) {
+    try {
+      const response = await this.http.get(`/user/orders/external/${externalId}`);
+
+      const data = this._unwrap(response);
+      const orders = Array.isArray(data) ? data : (data ? [data] : []);
+
+      return orders[0] || null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      logger.error(`[EXTENDED] Error getting order ${externalId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Відкриті ордери акаунта (опційно по market), включно з TP/SL
+   */
+  async getOpenOrders(symbol = null) {
+    try {
+      const params = symbol ? { market: symbol } : {};
+      const response = await this.http.get('/user/orders', { params });
+
+      return this._unwrap(response) || [];
+    } catch (error) {
+      logger.error(`[EXTENDED] Error getting open orders: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Скасує ордер по ID
    */
@@ -392,6 +747,234 @@ class ExtendedService {
     }
   }
 
+  /**
+   * Mass cancel: всі ордери по market або по всьому акаунту
+   */
+  async cancelAllOrders(symbol = null) {
+    try {
+      const body = symbol ? { markets: [symbol] } : { cancelAll: true };
+
+      logger.warn(`[EXTENDED] Cancelling all orders${symbol ? ` on ${symbol}` : ''}...`);
+      // Повтор безпечний: повторний mass cancel нічого не зламає
+      await this.http.post('/user/order/massCancel', body, { idempotent: true });
+      logger.info('[EXTENDED] ✅ Mass cancel accepted');
+
+      return true;
+    } catch (error) {
+      logger.error(`[EXTENDED] Error cancelling all orders: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // POSITION MODIFICATION (reduce-only)
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Закриває позицію повністю або частково: reduce-only MARKET (IOC) з межею ціни closeSlippage.
+   * Reduce-only гарантує, що ордер не відкриє нову позицію, навіть якщо наша вже закрилась.
+   * TP/SL на позиції не чіпаємо: вони теж reduce-only і біржа обріже їх до залишку.
+   *
+   * @param {string} symbol
+   * @param {number} [qty] — скільки закрити; за замовчуванням вся позиція
+   * @returns {Object|null} null — позиції по symbol немає
+   */
+  async closePosition(symbol, qty = null) {
+    try {
+      const position = await this._requirePosition(symbol);
+      if (!position) {
+        logger.info(`[EXTENDED] No open position on ${symbol}, nothing to close`);
+        return null;
+      }
+
+      const marketInfo = await this.getMarketInfo(symbol);
+      const closeQty = qty === null
+        ? Decimal.from(position.size)
+        : Decimal.from(qty).quantize(marketInfo.minOrderSizeChange, Rounding.DOWN);
+
+      if (!closeQty.isPositive() || closeQty.gt(position.size)) {
+        throw new Error(`Invalid close qty ${closeQty} for ${symbol} position of ${position.size}`);
+      }
+      if (closeQty.lt(position.size) && closeQty.lt(marketInfo.minOrderSize)) {
+        throw new Error(`Close qty ${closeQty} below minOrderSize ${marketInfo.minOrderSize}`);
+      }
+
+      const side = position.side === 'BUY' ? 'SELL' : 'BUY';
+      const priceData = this.getCachedBookTop(symbol) || await this.getCurrentPrice(symbol);
+
+      // Worst price IOC: SELL — вниз від bid, BUY — вгору від ask (snap не зменшує slippage)
+      const slippage = Decimal.from(config.extendedConst.closeSlippage);
+      const price = side === 'SELL'
+        ? Decimal.from(priceData.bestBid).mul(Decimal.from(1).sub(slippage)).quantize(marketInfo.minPriceChange, Rounding.FLOOR)
+        : Decimal.from(priceData.bestAsk).mul(Decimal.from(1).add(slippage)).quantize(marketInfo.minPriceChange, Rounding.CEIL);
+
+      const signParams = {
+        market: symbol,
+        side: side,
+        type: 'MARKET',
+        qty: closeQty.toString(),
+        price: price.toString(),
+        timeInForce: 'IOC',
+        expiryEpochMillis: Date.now() + config.extendedConst.maxExpiryMs,
+        fee: config.extendedConst.takerFee
+      };
+
+      const externalId = starkSigner.generateExternalId();
+      const nonce = starkSigner.generateNonce({ externalId, market: symbol, side, role: 'CLOSE' });
+      const signature = await starkSigner.signOrder(signParams, nonce, marketInfo.l2Config);
+
+      const orderRequest = {
+        id: externalId,
+        ...signParams,
+        reduceOnly: true,
+        nonce: nonce.toString(),
+        settlement: starkSigner.buildSettlement(signature),
+        debuggingAmounts: starkSigner.getDebuggingAmounts(signParams, marketInfo.l2Config)
+      };
+
+      logger.warn(`[EXTENDED] Closing position: ${side} ${closeQty}/${position.size} ${symbol} reduce-only IOC @ ${price}`);
+
+      const response = await this._submitOrder(orderRequest);
+      const created = this._unwrap(response);
+      const orderId = created?.id || created?.orderId || externalId;
+
+      logger.info(`[EXTENDED] ✅ Close order accepted: ID ${orderId}`);
+
+      return { orderId, externalId, symbol, side, quantity: closeQty.toNumber(), price: price.toNumber() };
+    } catch (error) {
+      logger.error(`[EXTENDED] Error closing position ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Новий TP на відкриту позицію (tpSlType POSITION), старий TP скасовується.
+   * @param {string} symbol
+   * @param {{ triggerPrice, limitPrice }} tp
+   * @param {{ legExternalIds?: string[] }} [options] — externalId поточних TP ордерів позиції
+   */
+  async amendTakeProfit(symbol, tp, options = {}) {
+    return this._amendPositionLeg(symbol, 'takeProfit', tp, options);
+  }
+
+  /**
+   * Новий SL на відкриту позицію (tpSlType POSITION), старий SL скасовується.
+   * @param {string} symbol
+   * @param {{ triggerPrice, limitPrice }} sl
+   * @param {{ legExternalIds?: string[] }} [options] — externalId поточних SL ордерів позиції
+   */
+  async amendStopLoss(symbol, sl, options = {}) {
+    return this._amendPositionLeg(symbol, 'stopLoss', sl, options);
+  }
+
+  /**
+   * Спочатку виставляє новий leg, потім скасовує старий — позиція ні на мить
+   * не лишається без захисту (два reduce-only legs одночасно безпечні).
+   *
+   * Trigger перевіряється відносно поточної last ціни (triggerPriceType LAST), а не entry:
+   * SL у беззбитку або трейлінг SL у прибутку — валідні, поки вони з боку збитку від ринку.
+   *
+   * Старий leg — за типом, а не за ціною (SL, пересунутий у прибуток, лишається SL):
+   *   - externalId з legExternalIds (TP/SL entry ордера, попередні amend), або
+   *   - TPSL ордер з відповідним полем takeProfit / stopLoss
+   *
+   * @returns {{ orderId, externalId, symbol, kind, replacedOrderIds }}
+   */
+  async _amendPositionLeg(symbol, kind, leg, { legExternalIds = [] } = {}) {
+    try {
+      const position = await this._requirePosition(symbol);
+      if (!position) {
+        throw new Error(`No open position on ${symbol}`);
+      }
+
+      const marketInfo = await this.getMarketInfo(symbol);
+      const closeSide = position.side === 'BUY' ? 'SELL' : 'BUY';
+      const triggerPrice = Decimal.from(leg.triggerPrice).quantize(marketInfo.minPriceChange, Rounding.HALF_UP);
+      const limitPrice = Decimal.from(leg.limitPrice).quantize(marketInfo.minPriceChange, Rounding.HALF_UP);
+
+      // TP для LONG вище ринку, SL нижче; для SHORT — навпаки
+      const priceData = this.getCachedBookTop(symbol) || await this.getCurrentPrice(symbol);
+      const marketPrice = priceData.lastPrice || position.markPrice;
+      const aboveMarket = triggerPrice.toNumber() > marketPrice;
+      if (aboveMarket !== ((position.direction === 'LONG') === (kind === 'takeProfit'))) {
+        throw new Error(`${kind} trigger ${triggerPrice} is on the wrong side of market ${marketPrice}`);
+      }
+
+      const openOrders = await this.getOpenOrders(symbol);
+      const previous = openOrders.filter(order =>
+        order.side === closeSide &&
+        (legExternalIds.includes(order.externalId) || (order.type === 'TPSL' && Boolean(order[kind])))
+      );
+
+      const signParams = {
+        market: symbol,
+        side: closeSide,
+        type: 'LIMIT',
+        qty: Decimal.from(position.size).toString(),
+        price: limitPrice.toString(),
+        timeInForce: 'GTT',
+        expiryEpochMillis: Date.now() + config.extendedConst.maxExpiryMs,
+        fee: config.extendedConst.makerFee
+      };
+
+      const externalId = starkSigner.generateExternalId();
+      const nonce = starkSigner.generateNonce({ externalId, market: symbol, side: closeSide, role: kind === 'takeProfit' ? 'TP' : 'SL' });
+      const settlement = starkSigner.buildSettlement(await starkSigner.signOrder(signParams, nonce, marketInfo.l2Config));
+      const debuggingAmounts = starkSigner.getDebuggingAmounts(signParams, marketInfo.l2Config);
+
+      const orderRequest = {
+        id: externalId,
+        market: symbol,
+        type: 'TPSL',
+        side: closeSide,
+        qty: signParams.qty,
+        price: signParams.price,
+        timeInForce: 'GTT',
+        expiryEpochMillis: signParams.expiryEpochMillis,
+        fee: signParams.fee,
+        reduceOnly: true,
+        nonce: nonce.toString(),
+        settlement,
+        debuggingAmounts,
+        tpSlType: 'POSITION',
+        [kind]: {
+          triggerPrice: triggerPrice.toString(),
+          triggerPriceType: 'LAST',
+          price: limitPrice.toString(),
+          priceType: 'LIMIT',
+          settlement,
+          debuggingAmounts
+        }
+      };
+
+      logger.info(`[EXTENDED] Amending ${kind} on ${symbol}: trigger=${triggerPrice}, limit=${limitPrice} (replacing ${previous.map(o => o.id).join(', ') || 'none'})`);
+
+      const response = await this._submitOrder(orderRequest);
+      const created = this._unwrap(response);
+      const orderId = created?.id || created?.orderId || externalId;
+
+      for (const order of previous) {
+        try {
+          await this.cancelOrder(order.id, symbol);
+        } catch (error) {
+          logger.error(`[EXTENDED] Old ${kind} ${order.id} not cancelled: ${error.message}`);
+        }
+      }
+
+      logger.info(`[EXTENDED] ✅ ${kind} amended on ${symbol}: ID ${orderId}`);
+
+      return { orderId, externalId, symbol, kind, replacedOrderIds: previous.map(o => o.id) };
+    } catch (error) {
+      logger.error(`[EXTENDED] Error amending ${kind} on ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async _requirePosition(symbol) {
+    const [position] = await this.getPositions(symbol);
+    return position || null;
+  }
+
   // ═══════════════════════════════════════════════════════════
   // POSITIONS
   // ═══════════════════════════════════════════════════════════
@@ -413,18 +996,10 @@ class ExtendedService {
         throw new Error(`Failed to get positions: HTTP ${response.status}`);
       }
 
-      const positions = (Array.isArray(response.data) ? response.data : [])
+      const data = this._unwrap(response);
+      const positions = (Array.isArray(data) ? data : [])
         .filter(pos => parseFloat(pos.size || pos.qty || '0') !== 0)
-        .map(pos => ({
-          symbol: pos.market || pos.symbol,
-          side: pos.side,                                          // BUY / SELL
-          direction: pos.side === 'BUY' ? 'LONG' : 'SHORT',      // Мапинг → LONG/SHORT
-          size: parseFloat(pos.size || pos.qty || '0'),
-          entryPrice: parseFloat(pos.avgPrice || pos.entryPrice || '0'),
-          markPrice: parseFloat(pos.markPrice || '0'),
-          unrealisedPnl: parseFloat(pos.unrealisedPnl || pos.pnl || '0'),
-          leverage: parseFloat(pos.leverage || '1')
-        }));
+        .map(mapPosition);
 
       return positions;
     } catch (error) {
@@ -450,27 +1025,90 @@ class ExtendedService {
         throw new Error(`Failed to get trade history: HTTP ${response.status}`);
       }
 
-      return Array.isArray(response.data) ? response.data : [];
+      const data = this._unwrap(response);
+      return Array.isArray(data) ? data : [];
     } catch (error) {
       logger.error(`[EXTENDED] Error getting trade history: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Всі fills з sinceMs: /user/trades віддає новіші першими сторінками по cursor,
+   * гортаємо, доки не дійдемо до fills старших за sinceMs.
+   * @returns {Promise<Object[]>} від старих до нових
+   */
+  async getTradesSince(symbol, sinceMs) {
+    try {
+      const fills = [];
+      let cursor = null;
+
+      for (let page = 0; page < TRADES_MAX_PAGES; page++) {
+        const params = { limit: TRADES_PAGE_SIZE };
+        if (symbol) params.market = symbol;
+        if (cursor) params.cursor = cursor;
+
+        const response = await this.http.get('/user/trades', { params });
+        const batch = this._unwrap(response) || [];
+        const fresh = batch.filter(trade => parseInt(trade.createdTime) >= sinceMs);
+        fills.push(...fresh);
+
+        cursor = response.data?.pagination?.cursor;
+        if (fresh.length < batch.length || batch.length < TRADES_PAGE_SIZE || !cursor) break;
+
+        if (page === TRADES_MAX_PAGES - 1) {
+          logger.warn(`[EXTENDED] Trade history for ${symbol || 'account'} truncated at ${TRADES_MAX_PAGES} pages`);
+        }
+      }
+
+      return fills.sort((a, b) => parseInt(a.createdTime) - parseInt(b.createdTime));
+    } catch (error) {
+      logger.error(`[EXTENDED] Error getting trades since ${sinceMs}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Funding нарахування акаунта. Extended fundingFee > 0 — ми заплатили,
+   * тому amount = −fundingFee (вплив на P&L).
+   * @returns {Promise<import('./exchange-adapter.js').FundingPayment[]>}
+   */
+  async getFundingPayments(symbol, sinceMs) {
+    try {
+      const params = { fromTime: sinceMs };
+      if (symbol) {
+        params.market = symbol;
+      }
+
+      const response = await this.http.get('/user/funding/history', { params });
+      const data = this._unwrap(response) || [];
+
+      return data.map(payment => ({
+        symbol: payment.market,
+        amount: -parseFloat(payment.fundingFee || '0'),
+        rate: parseFloat(payment.fundingRate || '0'),
+        paidTime: payment.paidTime
+      }));
+    } catch (error) {
+      logger.error(`[EXTENDED] Error getting funding payments: ${error.message}`);
+      throw error;
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════
   // HELPERS
   // ═══════════════════════════════════════════════════════════
 
   /**
-   * Визначає кількість знаків після коми з step size
-   * Наприклад: 0.001 → 3, 0.0001 → 4
+   * Extended загортає відповіді в { status: 'OK', data }; старі / спрощені
+   * endpoint-и повертають payload напряму — підтримуємо обидва варіанти.
    */
-  _getPrecisionFromStep(step) {
-    if (!step || step <= 0) return 4;
-    const str = step.toString();
-    const dotIndex = str.indexOf('.');
-    if (dotIndex === -1) return 0;
-    return str.length - dotIndex - 1;
+  _unwrap(response) {
+    const body = response.data;
+    if (body && typeof body === 'object' && !Array.isArray(body) && 'status' in body && 'data' in body) {
+      return body.data;
+    }
+    return body;
   }
 }
 
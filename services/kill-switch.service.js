@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * KillSwitchService — аварійна зупинка торгівлі.
+ *
+ * Стан зберігається у файлі (config.killSwitch.stateFile) і переживає рестарт:
+ * якщо бот впав / перезапущений з увімкненим kill switch — нові сигнали блокуються,
+ * доки його явно не re-arm.
+ *
+ * Тригери:
+ *   - скрипт scripts/kill-switch.js (пише файл; бот підхоплює зміну через watch())
+ *   - SIGUSR2 процесу бота
+ *   - Telegram адмін-команда /kill
+ *   - risk rules (evaluateRiskRules після кожного закриття позиції)
+ *
+ * Сервіс тільки тримає стан і емітить події; flatten акаунта робить підписник
+ * (index.js → positionService.flattenAll, скрипт → exchange.flattenAccount).
+ *
+ * Події:
+ *   'engaged' (state)
+ *   'rearmed' (state)
+ */
+class KillSwitchService extends EventEmitter {
+  constructor() {
+    super();
+    this.stateFile = path.resolve(config.killSwitch.stateFile);
+    this.state = this._load();
+    this.watching = false;
+  }
+
+  isEngaged() {
+    return this.state.engaged;
+  }
+
+  getState() {
+    return { ...this.state };
+  }
+
+  /**
+   * @param {string} reason
+   * @param {string} source — script | signal | telegram | risk
+   * @returns {boolean} false — вже був увімкнений
+   */
+  engage(reason, source) {
+    if (this.state.engaged) {
+      logger.warn(`[KILL] Already engaged (${this.state.reason}), ignoring trigger from ${source}`);
+      return false;
+    }
+
+    this.state = {
+      engaged: true,
+      reason,
+      source,
+      engagedAt: Date.now(),
+      rearmedAt: null,
+      rearmedBy: null
+    };
+    this._save();
+
+    logger.error(`[KILL] 🛑 Kill switch ENGAGED by ${source}: ${reason}`);
+    this.emit('engaged', this.getState());
+    return true;
+  }
+
+  /**
+   * @param {string} source — хто re-arm (script | telegram:<user>)
+   * @returns {boolean} false — не був увімкнений
+   */
+  rearm(source) {
+    if (!this.state.engaged) return false;
+
+    this.state = {
+      ...this.state,
+      engaged: false,
+      rearmedAt: Date.now(),
+      rearmedBy: source
+    };
+    this._save();
+
+    logger.warn(`[KILL] Kill switch re-armed by ${source}`);
+    this.emit('rearmed', this.getState());
+    return true;
+  }
+
+  /**
+   * Перевіряє risk rules по закритих за день позиціях.
+   * @param {{ closedPositions: Object[], dayStartBalance: number }} params
+   *   dayStartBalance — баланс на початок UTC дня (не на старт процесу)
+   * @returns {string|null} причина для engage або null
+   */
+  evaluateRiskRules({ closedPositions, dayStartBalance }) {
+    const { maxDailyLossPercent, maxConsecutiveLosses } = config.killSwitch;
+
+    if (maxDailyLossPercent > 0 && dayStartBalance > 0) {
+      const dailyPnl = closedPositions.reduce((sum, p) => sum + p.pnl, 0);
+      const lossPercent = (-dailyPnl / dayStartBalance) * 100;
+
+      if (lossPercent >= maxDailyLossPercent) {
+        return `Daily loss ${lossPercent.toFixed(2)}% ≥ ${maxDailyLossPercent}%`;
+      }
+    }
+
+    if (maxConsecutiveLosses > 0 && closedPositions.length >= maxConsecutiveLosses) {
+      const lastTrades = closedPositions.slice(-maxConsecutiveLosses);
+      if (lastTrades.every(p => p.pnl < 0)) {
+        return `${maxConsecutiveLosses} consecutive losing trades`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Стежить за файлом стану: зміни від scripts/kill-switch.js → події
+   */
+  watch(intervalMs = 2000) {
+    if (this.watching) return;
+    this.watching = true;
+
+    fs.watchFile(this.stateFile, { interval: intervalMs, persistent: false }, () => {
+      const next = this._load();
+      if (next.engaged === this.state.engaged) return;
+
+      this.state = next;
+      logger.warn(`[KILL] State file changed: engaged=${next.engaged}`);
+      this.emit(next.engaged ? 'engaged' : 'rearmed', this.getState());
+    });
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.stateFile);
+    this.watching = false;
+  }
+
+  _load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      const empty = { engaged: false, reason: null, source: null, engagedAt: null, rearmedAt: null, rearmedBy: null };
+      if (error.code === 'ENOENT') return empty;
+
+      // Пошкоджений файл: безпечніше вважати, що kill switch увімкнений
+      logger.error(`[KILL] Cannot read ${this.stateFile}: ${error.message}, treating as ENGAGED`);
+      return { ...empty, engaged: true, reason: `Unreadable state file: ${error.message}`, source: 'startup' };
+    }
+  }
+
+  _save() {
+    // tmp + rename: watch() у іншому процесі не прочитає напівзаписаний файл
+    const tmpFile = `${this.stateFile}.tmp`;
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpFile, this.stateFile);
+  }
+}
+
+// Singleton
+const killSwitchService = new KillSwitchService();
+export default killSwitchService;
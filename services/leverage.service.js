@@ -0,0 +1,104 @@
+import exchange from './exchange.service.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * LeverageService — leverage по markets.
+ *
+ * Цільовий leverage market (risk.marketLeverage, інакше risk.leverage; risk — профіль
+ * каналу сигналів, за замовчуванням config.risk):
+ *   FIXED N → рівно N; якщо market дозволяє менше — сигнал відхиляється
+ *   MAX N   → min(N, maxLeverage market)
+ *
+ * Поточний leverage акаунта кешується при старті (GET /user/leverage);
+ * PATCH /user/leverage відправляється тільки коли ціль відрізняється від кешу.
+ */
+class LeverageService {
+  constructor() {
+    this.current = new Map(); // symbol → leverage, встановлений на акаунті
+  }
+
+  /**
+   * Читає leverage акаунта в кеш (initialize).
+   * Без кешу бот працює як раніше — PATCH перед кожним першим entry по market.
+   */
+  async load() {
+    try {
+      const leverage = await exchange.getLeverage();
+      this.current = new Map(Object.entries(leverage));
+      logger.info(`[LEVERAGE] Account leverage: ${Array.from(this.current, ([symbol, value]) => `${symbol}=${value}x`).join(', ') || 'none'}`);
+    } catch (error) {
+      this.current.clear();
+      logger.warn(`[LEVERAGE] Cannot read account leverage, will set it on first entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Налаштування market з config: { mode: 'FIXED' | 'MAX', value }
+   */
+  getSetting(symbol, risk = config.risk) {
+    return risk.marketLeverage[symbol] || { mode: 'FIXED', value: risk.leverage };
+  }
+
+  /**
+   * Цільовий leverage для market
+   * @param {string} symbol
+   * @param {Object} marketInfo — з getMarketInfo (maxLeverage)
+   * @param {Object} [risk] — risk профіль каналу сигналів
+   * @returns {{ leverage: number|null, reason: string|null }} leverage = null → торгувати не можна
+   */
+  resolve(symbol, marketInfo, risk = config.risk) {
+    const setting = this.getSetting(symbol, risk);
+
+    if (setting.mode === 'MAX') {
+      return { leverage: Math.min(setting.value, marketInfo.maxLeverage), reason: null };
+    }
+
+    if (setting.value > marketInfo.maxLeverage) {
+      return {
+        leverage: null,
+        reason: `Leverage ${setting.value}x exceeds max for ${symbol} (${marketInfo.maxLeverage}x)`
+      };
+    }
+
+    return { leverage: setting.value, reason: null };
+  }
+
+  /**
+   * Гарантує цільовий leverage на акаунті перед entry.
+   * @returns {Promise<number>} встановлений leverage
+   */
+  async ensure(symbol, marketInfo, risk = config.risk) {
+    const { leverage, reason } = this.resolve(symbol, marketInfo, risk);
+    if (leverage === null) throw new Error(reason);
+
+    if (this.current.get(symbol) === leverage) {
+      logger.debug(`[LEVERAGE] ${symbol} already ${leverage}x, skipping update`);
+      return leverage;
+    }
+
+    try {
+      await exchange.setLeverage(symbol, leverage);
+    } catch (error) {
+      // PATCH міг частково пройти або біржа змінила leverage сама — стан акаунта невідомий
+      this.invalidate(symbol);
+      throw error;
+    }
+    logger.info(`[LEVERAGE] ${symbol}: ${this.current.get(symbol) ?? '?'}x → ${leverage}x`);
+    this.current.set(symbol, leverage);
+    return leverage;
+  }
+
+  /**
+   * Кеш застарів — наступний ensure() відправить PATCH.
+   * Викликається: помилка PATCH у ensure(), entry відхилений біржею через leverage,
+   * зміна maxLeverage market (index.js)
+   */
+  invalidate(symbol) {
+    this.current.delete(symbol);
+  }
+}
+
+// Singleton
+const leverageService = new LeverageService();
+export default leverageService;
@@ -0,0 +1,135 @@
+import { config } from '../config/settings.js';
+import { roundQuantity } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Оцінює виконання qty проти видимого стакану (walk the book).
+ *
+ * BUY з'їдає asks, SELL — bids. Slippage — від best ціни нашого боку.
+ *
+ * @param {import('./exchange-adapter.js').OrderBook} book
+ * @param {string} side — 'BUY' | 'SELL'
+ * @param {number} quantity
+ * @returns {{ filledQty, avgPrice, worstPrice, bestPrice, slippagePercent, visibleQty, levelsUsed }}
+ */
+export function estimateFill(book, side, quantity) {
+  const levels = side === 'BUY' ? book.asks : book.bids;
+  const visibleQty = levels.reduce((sum, level) => sum + level.qty, 0);
+
+  if (levels.length === 0) {
+    return { filledQty: 0, avgPrice: null, worstPrice: null, bestPrice: null, slippagePercent: null, visibleQty: 0, levelsUsed: 0 };
+  }
+
+  const bestPrice = levels[0].price;
+  let remaining = quantity;
+  let cost = 0;
+  let worstPrice = bestPrice;
+  let levelsUsed = 0;
+
+  for (const level of levels) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(remaining, level.qty);
+    cost += take * level.price;
+    remaining -= take;
+    worstPrice = level.price;
+    levelsUsed++;
+  }
+
+  const filledQty = quantity - Math.max(0, remaining);
+  const avgPrice = filledQty > 0 ? cost / filledQty : bestPrice;
+  const slippagePercent = Math.abs(avgPrice - bestPrice) / bestPrice * 100;
+
+  return { filledQty, avgPrice, worstPrice, bestPrice, slippagePercent, visibleQty, levelsUsed };
+}
+
+/**
+ * Найбільша qty, що вкладається і в частку глибини, і в maxSlippage.
+ * Slippage монотонно росте з qty → бінарний пошук по кроку qty.
+ */
+function maxAcceptableQuantity(book, side, quantity, marketInfo) {
+  const { maxDepthSharePercent, maxSlippagePercent } = config.liquidity;
+  const step = marketInfo.minOrderSizeChange || 0.001;
+  const { visibleQty } = estimateFill(book, side, quantity);
+
+  let high = Math.min(quantity, visibleQty * (maxDepthSharePercent / 100));
+  let low = 0;
+
+  for (let i = 0; i < 40 && high - low > step; i++) {
+    const mid = (low + high) / 2;
+    if (estimateFill(book, side, mid).slippagePercent <= maxSlippagePercent) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const candidate = estimateFill(book, side, high).slippagePercent <= maxSlippagePercent ? high : low;
+  // Округлюємо вниз до кроку qty, щоб не вийти за межу
+  return roundQuantity(candidate, step);
+}
+
+/**
+ * Pre-trade liquidity gate.
+ *
+ * @param {Object} params
+ * @param {import('./exchange-adapter.js').OrderBook} params.book
+ * @param {string} params.side — 'BUY' | 'SELL'
+ * @param {number} params.quantity — розрахована risk.service qty
+ * @param {Object} params.marketInfo
+ * @returns {{ action: 'OK'|'DOWNSIZE'|'REJECT', quantity, reason, estimate }}
+ */
+export function checkLiquidity({ book, side, quantity, marketInfo }) {
+  const { maxDepthSharePercent, maxSlippagePercent, onBreach } = config.liquidity;
+
+  if (book.bids.length === 0 || book.asks.length === 0) {
+    return {
+      action: 'REJECT',
+      quantity: 0,
+      reason: `No ${book.bids.length === 0 ? 'bids' : 'asks'} in order book`,
+      estimate: null
+    };
+  }
+
+  const estimate = estimateFill(book, side, quantity);
+  const depthSharePercent = estimate.visibleQty > 0 ? (quantity / estimate.visibleQty) * 100 : Infinity;
+
+  logger.info(
+    `[LIQUIDITY] ${book.symbol} ${side} ${quantity}: slippage ${estimate.slippagePercent.toFixed(4)}%, ` +
+    `${depthSharePercent.toFixed(1)}% of visible depth (${estimate.visibleQty} in ${estimate.levelsUsed}/${(side === 'BUY' ? book.asks : book.bids).length} levels)`
+  );
+
+  const breaches = [];
+  if (depthSharePercent > maxDepthSharePercent) {
+    breaches.push(`takes ${depthSharePercent.toFixed(1)}% of visible depth (max ${maxDepthSharePercent}%)`);
+  }
+  if (estimate.slippagePercent > maxSlippagePercent) {
+    breaches.push(`est. slippage ${estimate.slippagePercent.toFixed(3)}% (max ${maxSlippagePercent}%)`);
+  }
+
+  if (breaches.length === 0) {
+    return { action: 'OK', quantity, reason: null, estimate };
+  }
+
+  const reason = `Insufficient liquidity: ${breaches.join(', ')}`;
+
+  if (onBreach === 'DOWNSIZE') {
+    const downsized = maxAcceptableQuantity(book, side, quantity, marketInfo);
+
+    if (downsized >= (marketInfo.minOrderSize || 0)) {
+      return {
+        action: 'DOWNSIZE',
+        quantity: downsized,
+        reason,
+        estimate: estimateFill(book, side, downsized)
+      };
+    }
+  }
+
+  return { action: 'REJECT', quantity: 0, reason, estimate };
+}
+
+export default {
+  estimateFill,
+  checkLiquidity
+};
@@ -0,0 +1,189 @@
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+
+// Статуси Extended, при яких можна відкривати нові позиції
+// ('Trading' — legacy значення за замовчуванням у старому getMarketInfo)
+const TRADABLE_STATUSES = ['ACTIVE', 'Trading'];
+
+// Статус market, що зник з /info/markets
+const MISSING_STATUS = 'DELISTED';
+
+// Поля, зміна яких генерує подію 'marketChanged'
+const WATCHED_FIELDS = [
+  'status',
+  'minOrderSize',
+  'minOrderSizeChange',
+  'minPriceChange',
+  'maxLeverage',
+  'maxLimitOrderValue',
+  'maxPositionValue'
+];
+
+/**
+ * @typedef {Object} MarketConfig
+ * @property {string} symbol              — 'BTC-USD'
+ * @property {string} status              — ACTIVE | REDUCE_ONLY | DELISTED | PRELISTED | DISABLED
+ * @property {boolean} isTradable         — чи можна відкривати позиції
+ * @property {number} minOrderSize        — мінімальна qty
+ * @property {number} minOrderSizeChange  — крок qty
+ * @property {number} minPriceChange      — крок ціни (price tick)
+ * @property {number} maxMarketOrderValue
+ * @property {number} maxLimitOrderValue
+ * @property {number} maxPositionValue
+ * @property {number} maxLeverage
+ * @property {number} tickSize            — = minPriceChange (сумісність з risk.service)
+ * @property {number} pricePrecision      — знаків після коми у minPriceChange
+ * @property {Object} l2Config            — { type, collateralId, collateralResolution, syntheticId, syntheticResolution }
+ * @property {number} updatedAt
+ */
+
+/**
+ * Визначає кількість знаків після коми з step size
+ * Наприклад: 0.001 → 3, 0.0001 → 4
+ */
+function getPrecisionFromStep(step) {
+  if (!step || step <= 0) return 4;
+  const str = step.toString();
+  const dotIndex = str.indexOf('.');
+  if (dotIndex === -1) return 0;
+  return str.length - dotIndex - 1;
+}
+
+/**
+ * Сирий market з /info/markets → MarketConfig
+ * @returns {MarketConfig}
+ */
+export function parseMarket(market) {
+  const tc = market.tradingConfig || {};
+  const minPriceChange = parseFloat(tc.minPriceChange || '0.001');
+  const status = market.status || 'Trading';
+
+  return {
+    symbol: market.name || market.market,
+    status,
+    isTradable: TRADABLE_STATUSES.includes(status),
+    minOrderSize: parseFloat(tc.minOrderSize || '0.001'),
+    minOrderSizeChange: parseFloat(tc.minOrderSizeChange || tc.minOrderSize || '0.001'),
+    minPriceChange,
+    maxMarketOrderValue: parseFloat(tc.maxMarketOrderValue || '1000000'),
+    maxLimitOrderValue: parseFloat(tc.maxLimitOrderValue || '5000000'),
+    maxPositionValue: parseFloat(tc.maxPositionValue || '10000000'),
+    maxLeverage: parseInt(tc.maxLeverage || '50'),
+    // Для совместимости с risk.service: tickSize = minPriceChange, pricePrecision из minPriceChange
+    tickSize: minPriceChange,
+    pricePrecision: getPrecisionFromStep(minPriceChange),
+    l2Config: market.l2Config || null,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * MarketRegistry
+ *
+ * Кеш /info/markets: завантажується один раз при connect(), далі оновлюється
+ * по таймеру. getMarketInfo() на гарячому шляху читає з пам'яті.
+ *
+ * Події:
+ *   'marketChanged' ({ symbol, changes: { field: { from, to } }, market })
+ */
+export class MarketRegistry extends EventEmitter {
+  constructor(http) {
+    super();
+    this.http = http;
+    this.markets = new Map(); // symbol → MarketConfig
+    this.lastLoadedAt = null;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Завантажує всі markets і порівнює з попереднім станом
+   */
+  async load() {
+    const response = await this.http.get('/info/markets');
+
+    const data = response.data?.data ?? response.data;
+    const rawMarkets = (Array.isArray(data) ? data : [data]).filter(Boolean);
+
+    // Порожня відповідь — збій API, а не делістинг усіх markets
+    if (rawMarkets.length === 0) {
+      throw new Error('Empty /info/markets response');
+    }
+
+    const seen = new Set();
+    for (const raw of rawMarkets) {
+      const market = parseMarket(raw);
+      if (!market.symbol) continue;
+
+      seen.add(market.symbol);
+      const previous = this.markets.get(market.symbol);
+      this.markets.set(market.symbol, market);
+
+      if (previous) {
+        this._diff(previous, market);
+      }
+    }
+
+    // Market зник зі списку (делістинг) → більше не торгуємо ним
+    for (const previous of this.markets.values()) {
+      if (seen.has(previous.symbol) || previous.status === MISSING_STATUS) continue;
+
+      const market = { ...previous, status: MISSING_STATUS, isTradable: false, updatedAt: Date.now() };
+      this.markets.set(market.symbol, market);
+      this._diff(previous, market);
+    }
+
+    this.lastLoadedAt = Date.now();
+    logger.info(`[MARKETS] Loaded ${this.markets.size} markets`);
+    return this.markets.size;
+  }
+
+  startRefresh(intervalMs) {
+    if (this.refreshTimer) return;
+
+    this.refreshTimer = setInterval(async () => {
+      try {
+        await this.load();
+      } catch (error) {
+        logger.error(`[MARKETS] Refresh failed, keeping cached markets: ${error.message}`);
+      }
+    }, intervalMs);
+    this.refreshTimer.unref();
+
+    logger.info(`[MARKETS] Refresh every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  stopRefresh() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * @returns {MarketConfig|null}
+   */
+  get(symbol) {
+    return this.markets.get(symbol) || null;
+  }
+
+  getAll() {
+    return Array.from(this.markets.values());
+  }
+
+  isLoaded() {
+    return this.lastLoadedAt !== null;
+  }
+
+  _diff(previous, market) {
+    const changes = {};
+
+    for (const field of WATCHED_FIELDS) {
+      if (previous[field] !== market[field]) {
+        changes[field] = { from: previous[field], to: market[field] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      logger.warn(`[MARKETS] ${market.symbol} changed: ${JSON.stringify(changes)}`);
+      this.emit('marketChanged', { symbol: market.symbol, changes, market });
+    }
+  }
+}
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+// Extended: nonce ≥ 1 і ≤ 2^31, унікальний у межах акаунта
+const MAX_NONCE = Math.pow(2, 31) - 1;
+
+// Lock файл стану між процесами (бот + скрипт kill switch)
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;   // власник упав посеред запису → lock можна забрати
+const LOCK_RETRY_MS = 10;
+
+/**
+ * NonceManager — унікальні nonce для Stark підписів.
+ *
+ * Nonce — лічильник per account (vault), що тільки зростає. Останній виданий
+ * зберігається у файлі (config.nonce.stateFile) до повернення nonce caller'у,
+ * тож після рестарту повтор неможливий.
+ * Лічильник без стану стартує з unix seconds: навіть якщо файл стану втрачено,
+ * новий лічильник почне вище за старий, поки в середньому видавалось < 1 nonce/сек.
+ *
+ * Видача синхронна (read → increment → write в одному тіку), тому паралельні
+ * підписи в процесі ніколи не отримають однаковий nonce. Між процесами
+ * read → increment → write іде під ексклюзивним lock файлом (`${stateFile}.lock`,
+ * O_EXCL) — скрипт kill switch, що закриває позиції паралельно з ботом,
+ * продовжує той самий лічильник без повторів.
+ *
+ * Ledger: nonce → { externalId, orderId, market, side, role } для reconciliation.
+ */
+class NonceManager {
+  constructor() {
+    this.stateFile = path.resolve(config.nonce.stateFile);
+    this.accountKey = String(config.extended.vaultId);
+    this.state = this._load();
+  }
+
+  /**
+   * Видає наступний nonce і записує його в ledger
+   * @param {{ externalId?: string, market?: string, side?: string, role?: string }} [meta]
+   * @returns {number}
+   */
+  next(meta = {}) {
+    return this.reserve(1, [meta])[0];
+  }
+
+  /**
+   * Видає count послідовних nonce одним записом стану (entry + TP + SL)
+   * @param {number} count
+   * @param {Object[]} [metas] — meta для кожного nonce
+   * @returns {number[]}
+   */
+  reserve(count, metas = []) {
+    return this._withLock(() => this._reserve(count, metas));
+  }
+
+  _reserve(count, metas) {
+    this.state = this._load();
+
+    const account = this.state.accounts[this.accountKey] || { lastNonce: 0 };
+    const base = account.lastNonce || Math.floor(Date.now() / 1000);
+    const start = base + 1;
+    const last = start + count - 1;
+
+    if (last > MAX_NONCE) {
+      throw new Error(`Nonce space exhausted for account ${this.accountKey} (last ${account.lastNonce})`);
+    }
+
+    const issuedAt = Date.now();
+    const nonces = Array.from({ length: count }, (_, i) => start + i);
+
+    this.state.accounts[this.accountKey] = { lastNonce: last, updatedAt: issuedAt };
+    for (const [i, nonce] of nonces.entries()) {
+      const meta = metas[i] || {};
+      this.state.ledger.push({
+        account: this.accountKey,
+        nonce,
+        externalId: meta.externalId || null,
+        orderId: null,
+        market: meta.market || null,
+        side: meta.side || null,
+        role: meta.role || null,
+        issuedAt
+      });
+    }
+    this._trimLedger();
+    this._save();
+
+    logger.debug(`[NONCE] Issued ${nonces.join(', ')} for account ${this.accountKey}`);
+    return nonces;
+  }
+
+  /**
+   * Біржа прийняла ордер → прив'язуємо її orderId до nonce цього externalId
+   */
+  recordOrder(externalId, orderId) {
+    this._withLock(() => {
+      this.state = this._load();
+
+      const entries = this.state.ledger.filter(entry => entry.externalId === externalId);
+      if (entries.length === 0) return;
+
+      for (const entry of entries) entry.orderId = orderId;
+      this._save();
+    });
+  }
+
+  /**
+   * Хто використав nonce (reconciliation: помилка біржі "nonce already used" тощо)
+   * @returns {Object|null}
+   */
+  lookup(nonce, account = this.accountKey) {
+    return this.state.ledger.find(entry => entry.account === account && entry.nonce === Number(nonce)) || null;
+  }
+
+  /**
+   * Всі nonce ордера (entry + TP + SL мають один externalId)
+   */
+  findByExternalId(externalId) {
+    return this.state.ledger.filter(entry => entry.externalId === externalId);
+  }
+
+  getLastNonce(account = this.accountKey) {
+    return this.state.accounts[account]?.lastNonce || 0;
+  }
+
+  _trimLedger() {
+    const excess = this.state.ledger.length - config.nonce.ledgerMaxEntries;
+    if (excess > 0) this.state.ledger.splice(0, excess);
+  }
+
+  /**
+   * fn під ексклюзивним lock файлом стану. Синхронно: чекаємо інший процес
+   * до LOCK_TIMEOUT_MS, lock старший за LOCK_STALE_MS вважається покинутим.
+   */
+  _withLock(fn) {
+    const lockFile = `${this.stateFile}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+
+    let fd;
+    while (fd === undefined) {
+      try {
+        fd = fs.openSync(lockFile, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        if (this._lockAge(lockFile) > LOCK_STALE_MS) {
+          logger.warn(`[NONCE] Removing stale lock ${lockFile}`);
+          fs.rmSync(lockFile, { force: true });
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Nonce state locked by another process for ${LOCK_TIMEOUT_MS}ms (${lockFile}), refusing to sign`);
+        }
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, LOCK_RETRY_MS);
+      }
+    }
+
+    try {
+      fs.writeSync(fd, String(process.pid));
+      return fn();
+    } finally {
+      fs.closeSync(fd);
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+
+  _lockAge(lockFile) {
+    try {
+      return Date.now() - fs.statSync(lockFile).mtimeMs;
+    } catch {
+      return 0; // lock щойно звільнено — наступна спроба його візьме
+    }
+  }
+
+  _load() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return { accounts: state.accounts || {}, ledger: state.ledger || [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { accounts: {}, ledger: [] };
+
+      // Пошкоджений файл: продовжити з 0 означає повтор nonce → краще не підписувати взагалі
+      throw new Error(`Nonce state unreadable, refusing to sign (${this.stateFile}): ${error.message}`);
+    }
+  }
+
+  _save() {
+    // tmp + rename: інший процес не прочитає напівзаписаний стан
+    const tmpFile = `${this.stateFile}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpFile, this.stateFile);
+  }
+}
+
+// Singleton
+const nonceManager = new NonceManager();
+export default nonceManager;
@@ -0,0 +1,155 @@
+import exchange from './exchange.service.js';
+import telegramService from './telegram.service.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * OrderCleanupService — прибирання "осиротілих" ордерів.
+ *
+ * Після закриття позиції (TP, SL або вручну) на біржі лишаються:
+ *   - сусідній TP або SL (expiry 90 днів)
+ *   - незаповнений залишок entry ордера
+ * Такий ордер може пізніше відкрити позицію, про яку бот нічого не знає.
+ *
+ * Ордер належить позиції, якщо:
+ *   - externalId == externalId позиції (entry)
+ *   - id / parentId == orderId entry ордера (вкладені TP/SL)
+ *   - externalId є в linkedExternalIds позиції (TP/SL, замінені через amend)
+ *
+ * Періодичний sweep: залишки закритих позицій скасовуються, решта невідомих
+ * ордерів тільки позначається (лог + Telegram, один раз на ордер).
+ */
+class OrderCleanupService {
+  constructor() {
+    this.flaggedOrders = new Set(); // id невідомих ордерів, про які вже повідомили
+  }
+
+  /**
+   * @param {Object} order — ордер з біржі
+   * @param {{ orderId?, externalId?, linkedExternalIds? }} ref — позиція або pending entry
+   */
+  belongsTo(order, ref) {
+    if (ref.externalId && order.externalId) {
+      if (order.externalId === ref.externalId) {
+        return true;
+      }
+    }
+
+    if (order.externalId && ref.linkedExternalIds?.includes(order.externalId)) {
+      return true;
+    }
+
+    if (ref.orderId !== undefined && ref.orderId !== null) {
+      const orderId = String(ref.orderId);
+      if (String(order.id) === orderId || String(order.parentId) === orderId) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Скасовує всі відкриті ордери, що належать закритій позиції
+   * @returns {Promise<Object[]>} скасовані ордери
+   */
+  async cleanupAfterClose(position) {
+    const orders = await exchange.getOpenOrders(position.symbol);
+    const leftovers = orders.filter(order => this.belongsTo(order, position));
+
+    if (leftovers.length === 0) {
+      logger.info(`[CLEANUP] ${position.symbol}: no leftover orders`);
+      return [];
+    }
+
+    logger.info(`[CLEANUP] ${position.symbol}: cancelling ${leftovers.length} leftover order(s)`);
+    return this._cancelAll(leftovers);
+  }
+
+  /**
+   * Перевіряє відкриті ордери по markets.
+   *
+   * @param {Object} params
+   * @param {string[]} params.symbols
+   * @param {Object[]} params.tracked — відкриті позиції + pending entries
+   * @param {Object[]} params.closed — нещодавно закриті позиції
+   */
+  async sweep({ symbols, tracked, closed }) {
+    const seenIds = new Set();
+
+    for (const symbol of symbols) {
+      try {
+        const orders = await exchange.getOpenOrders(symbol);
+        const leftovers = [];
+        const unknown = [];
+
+        for (const order of orders) {
+          seenIds.add(String(order.id));
+
+          if (tracked.some(ref => ref.symbol === symbol && this.belongsTo(order, ref))) continue;
+
+          if (closed.some(ref => ref.symbol === symbol && this.belongsTo(order, ref))) {
+            leftovers.push(order);
+          } else {
+            unknown.push(order);
+          }
+        }
+
+        if (leftovers.length > 0) {
+          logger.warn(`[CLEANUP] Sweep ${symbol}: ${leftovers.length} leftover order(s) of closed positions`);
+          await this._cancelAll(leftovers);
+        }
+
+        const newlyFlagged = unknown.filter(order => !this.flaggedOrders.has(String(order.id)));
+        if (newlyFlagged.length > 0) {
+          newlyFlagged.forEach(order => this.flaggedOrders.add(String(order.id)));
+          await this._flagUnknown(symbol, newlyFlagged);
+        }
+      } catch (error) {
+        logger.error(`[CLEANUP] Sweep ${symbol} failed: ${error.message}`);
+      }
+    }
+
+    // Ордери, яких вже немає на біржі, більше не відстежуємо
+    for (const id of this.flaggedOrders) {
+      if (!seenIds.has(id)) this.flaggedOrders.delete(id);
+    }
+  }
+
+  async _cancelAll(orders) {
+    const cancelled = [];
+
+    for (const order of orders) {
+      try {
+        await exchange.cancelOrder(order.id, order.market);
+        cancelled.push(order);
+        logger.info(`[CLEANUP] Cancelled ${order.market} ${order.type} ${order.side} ${order.id} (ext ${order.externalId})`);
+      } catch (error) {
+        logger.error(`[CLEANUP] Failed to cancel ${order.id}: ${error.message}`);
+      }
+    }
+
+    return cancelled;
+  }
+
+  async _flagUnknown(symbol, orders) {
+    for (const order of orders) {
+      logger.warn(`[CLEANUP] Unknown order on ${symbol}: ${order.type} ${order.side} ${order.qty} @ ${order.price} (id ${order.id}, ext ${order.externalId})`);
+    }
+
+    if (config.trading.dryRun) return;
+
+    try {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatUnknownOrdersMessage(symbol, orders)
+      );
+    } catch (telegramError) {
+      logger.error(`[CLEANUP] Telegram send error: ${telegramError.message}`);
+    }
+  }
+}
+
+// Singleton
+const orderCleanupService = new OrderCleanupService();
+export default orderCleanupService;
@@ -1,22 +1,83 @@
-import extendedService from './extended.service.js';
+import exchange from './exchange.service.js';
 import telegramService from './telegram.service.js';
+import entryChaseService from './entry-chase.service.js';
+import orderCleanupService from './order-cleanup.service.js';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
 import { calculatePnL, calculatePnLPercent, formatDuration } from '../utils/helpers.js';
 
+// Запас на розбіжність годинників бота і біржі при пошуку fills угоди
+const FILLS_CLOCK_SKEW_MS = 5000;
+
+/**
+ * Життєвий цикл entry ордера.
+ * Позиція стає "open" тільки після FILLED (або частковий fill + CANCELLED/EXPIRED).
+ */
+export const EntryStatus = {
+  PENDING: 'PENDING',
+  PARTIALLY_FILLED: 'PARTIALLY_FILLED',
+  FILLED: 'FILLED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED'
+};
+
+/**
+ * Рівні ризику акаунта по margin ratio (config.margin), від меншого до більшого
+ */
+export const MarginLevel = {
+  NORMAL: 'NORMAL',
+  WARNING: 'WARNING',
+  CRITICAL: 'CRITICAL'
+};
+
+const MARGIN_LEVELS = [MarginLevel.NORMAL, MarginLevel.WARNING, MarginLevel.CRITICAL];
+
+/**
+ * Статус ордера Extended → EntryStatus
+ */
+export function mapOrderStatus(exchangeStatus) {
+  switch (exchangeStatus) {
+    case 'PARTIALLY_FILLED':
+      return EntryStatus.PARTIALLY_FILLED;
+    case 'FILLED':
+      return EntryStatus.FILLED;
+    case 'CANCELLED':
+    case 'REJECTED':
+      return EntryStatus.CANCELLED;
+    case 'EXPIRED':
+      return EntryStatus.EXPIRED;
+    default:
+      // NEW, UNTRIGGERED, TRIGGERED
+      return EntryStatus.PENDING;
+  }
+}
+
 /**
  * PositionService
  * 
+ * Працює тільки з контрактом ExchangeAdapter (services/exchange.service.js).
+ *
  * Адаптация от Bybit:
- * - bybitService → extendedService
+ * - bybitService → exchange (ExchangeAdapter)
  * - pos.side теперь 'BUY'/'SELL' (Extended), маппим в LONG/SHORT
  * - Поля ответа: market вместо symbol, execPrice вместо price
  */
 class PositionService {
   constructor() {
     this.openPositions = new Map(); // symbol → position data
+    this.pendingEntries = new Map(); // symbol → entry ордер, що ще не заповнився
     this.closedPositions = [];
+    this.entryCallbacks = { filled: [], failed: [] };
+    this.closedCallbacks = [];
     this.monitoringInterval = null;
+    this.pendingInterval = null;
+    this.sweepInterval = null;
+    this.fundingInterval = null;
+    this.closingSymbols = new Set(); // захист від подвійної обробки (stream + polling)
+    this.marginAlert = { level: MarginLevel.NORMAL, alertedAt: 0 };
+    this.lastDeRiskAt = 0;
+
+    this.subscribeToExchange();
   }
 
   // ═══════════════════════════════════════════════════════════
@@ -38,12 +99,184 @@ class PositionService {
       stopLoss,             // { triggerPrice, limitPrice }
       orderId,
       timestamp: timestamp || Date.now(),
-      externalId: positionData.externalId || null
+      externalId: positionData.externalId || null,
+      source: positionData.source || null, // id каналу сигналів (config.signals.channels)
+      latency: positionData.latency || null, // timeline сигналу → fill (helpers.signalLatencyBreakdown)
+      leverage: positionData.leverage || null,
+      riskAmount: positionData.riskAmount || null,
+      openedAt: positionData.openedAt || Date.now(),
+      placedAt: positionData.placedAt || null, // перший entry ордер (початок вікна fills угоди)
+      entryOrders: positionData.entryOrders || [{ orderId, externalId: positionData.externalId || null }], // усі entry ордери (з переставленими)
+      closeOrderIds: [],    // reduce-only close ордери бота (closePosition, flatten)
+      linkedExternalIds: positionData.linkedExternalIds || [], // TP/SL, виставлені пізніше (amend)
+      legExternalIds: positionData.legExternalIds || { takeProfit: [], stopLoss: [] }, // ті ж amend, за типом leg
+      partialCloses: [],    // { qty, price, pnl, closedAt }
+      realizedPnl: 0,       // P&L часткових закриттів
+      fundingPnl: 0         // сума funding нарахувань з openedAt (< 0 — заплатили)
     });
 
     logger.info(`[POSITION] Added: ${symbol} ${direction} @ ${entryPrice}`);
   }
 
+  // ═══════════════════════════════════════════════════════════
+  // ENTRY ORDER LIFECYCLE
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Реєструє виставлений entry ордер. Позиція з'явиться в openPositions
+   * тільки після fill (з реальною середньою ціною і qty).
+   */
+  addPendingEntry(entryData) {
+    const { symbol, direction, quantity, orderId, externalId } = entryData;
+
+    this.pendingEntries.set(symbol, {
+      ...entryData,
+      status: EntryStatus.PENDING,
+      requestedQty: quantity,
+      filledQty: 0,          // з ордера (authoritative)
+      fillCost: 0,
+      streamFilledQty: 0,    // з 'fill' подій stream (якщо ордер ще не оновився)
+      streamFillCost: 0,
+      entryOrders: [{ orderId, externalId }], // entry policy додає переставлені ордери
+      placedAt: Date.now()
+    });
+
+    logger.info(`[POSITION] Pending entry: ${symbol} ${direction} ${quantity} (order ${orderId}, ext ${externalId})`);
+  }
+
+  getPendingEntriesCount() {
+    return this.pendingEntries.size;
+  }
+
+  hasPendingEntry(symbol) {
+    return this.pendingEntries.has(symbol);
+  }
+
+  getPendingEntry(symbol) {
+    return this.pendingEntries.get(symbol);
+  }
+
+  /**
+   * Callback(position) — entry заповнився, позиція відкрита
+   */
+  onEntryFilled(callback) {
+    this.entryCallbacks.filled.push(callback);
+  }
+
+  /**
+   * Callback(entry) — entry скасований / прострочений без жодного fill
+   */
+  onEntryFailed(callback) {
+    this.entryCallbacks.failed.push(callback);
+  }
+
+  /**
+   * Опитує статус entry ордерів по externalId (fallback, якщо stream не прислав оновлення)
+   * і застосовує entry policy (reprice / cross / abandon) до тих, що ще чекають fill
+   */
+  async checkPendingEntries() {
+    for (const [symbol, pending] of this.pendingEntries.entries()) {
+      try {
+        await this.refreshPendingEntry(symbol);
+
+        if (this.pendingEntries.get(symbol) === pending) {
+          await entryChaseService.step(pending);
+        }
+      } catch (error) {
+        logger.error(`[POSITION] Error checking pending entry ${symbol} (${pending.externalId}): ${error.message}`);
+      }
+    }
+  }
+
+  async refreshPendingEntry(symbol) {
+    const pending = this.pendingEntries.get(symbol);
+    if (!pending) return;
+
+    const order = await exchange.getOrderByExternalId(pending.externalId);
+    if (!order) {
+      logger.warn(`[POSITION] Entry order ${pending.externalId} not found on exchange yet`);
+      return;
+    }
+
+    await this.applyEntryOrderUpdate(pending, order);
+  }
+
+  /**
+   * Застосовує стан entry ордера з біржі (REST або stream 'order' подія)
+   */
+  async applyEntryOrderUpdate(pending, order) {
+    if (this.pendingEntries.get(pending.symbol) !== pending) return; // вже оброблено
+
+    const status = mapOrderStatus(order.status);
+    const filledQty = parseFloat(order.filledQty || '0');
+    const averagePrice = parseFloat(order.averagePrice || '0');
+
+    if (filledQty > 0) {
+      pending.filledQty = filledQty;
+      pending.fillCost = averagePrice > 0 ? averagePrice * filledQty : 0;
+    }
+
+    // Cancel-and-replace в процесі: скасування старого ордера — не кінець entry
+    if (pending.replacing && (status === EntryStatus.CANCELLED || status === EntryStatus.EXPIRED)) return;
+
+    if (status !== pending.status) {
+      logger.info(`[POSITION] Entry ${pending.symbol}: ${pending.status} → ${status} (filled ${pending.filledQty}/${pending.requestedQty})`);
+      pending.status = status;
+    }
+
+    if (status === EntryStatus.FILLED) {
+      await this._promotePendingEntry(pending);
+    } else if (status === EntryStatus.CANCELLED || status === EntryStatus.EXPIRED) {
+      if (pending.filledQty > 0 || pending.streamFilledQty > 0) {
+        // Частковий fill, залишок скасовано → відкрита позиція на filledQty
+        await this._promotePendingEntry(pending);
+      } else {
+        this.pendingEntries.delete(pending.symbol);
+        logger.warn(`[POSITION] Entry ${pending.symbol} ${status} without fills, dropping`);
+        await this._runCallbacks(this.entryCallbacks.failed, pending);
+      }
+    }
+  }
+
+  async _promotePendingEntry(pending) {
+    this.pendingEntries.delete(pending.symbol);
+
+    // Пріоритет: дані ордера → агреговані fills зі stream → ціна сигналу
+    let entryPrice = pending.entryPrice;
+    if (pending.fillCost > 0) {
+      entryPrice = pending.fillCost / pending.filledQty;
+    } else if (pending.streamFillCost > 0) {
+      entryPrice = pending.streamFillCost / pending.streamFilledQty;
+    }
+
+    this.addOpenPosition({
+      ...pending,
+      entryPrice,
+      quantity: pending.filledQty || pending.streamFilledQty || pending.requestedQty,
+      latency: pending.latency ? { ...pending.latency, filledAt: Date.now() } : null,
+      openedAt: Date.now()
+    });
+
+    await this._runCallbacks(this.entryCallbacks.filled, this.openPositions.get(pending.symbol));
+  }
+
+  /**
+   * Callback(closedPosition) — позиція закрита (після P&L і cleanup ордерів)
+   */
+  onPositionClosed(callback) {
+    this.closedCallbacks.push(callback);
+  }
+
+  async _runCallbacks(callbacks, payload) {
+    for (const callback of callbacks) {
+      try {
+        await callback(payload);
+      } catch (error) {
+        logger.error(`[POSITION] Entry callback error: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Видаляє позицію з моніторингу
    */
@@ -68,8 +301,11 @@ class PositionService {
     logger.info(`[POSITION] Closed: ${positionData.symbol}, P&L: ${positionData.pnl.toFixed(2)}`);
   }
 
+  /**
+   * Відкрита позиція або entry ордер, що ще чекає fill
+   */
   hasOpenPosition(symbol) {
-    return this.openPositions.has(symbol);
+    return this.openPositions.has(symbol) || this.pendingEntries.has(symbol);
   }
 
   getOpenPosition(symbol) {
@@ -80,8 +316,16 @@ class PositionService {
     return Array.from(this.openPositions.values());
   }
 
-  getOpenPositionsCount() {
-    return this.openPositions.size;
+  /**
+   * Відкриті позиції + pending entry (для ліміту maxOpenPositions)
+   * @param {string|null} [source] — тільки позиції з цього каналу сигналів
+   */
+  getOpenPositionsCount(source = null) {
+    if (source === null) {
+      return this.openPositions.size + this.pendingEntries.size;
+    }
+    return [...this.openPositions.values(), ...this.pendingEntries.values()]
+      .filter(position => position.source === source).length;
   }
 
   // ═══════════════════════════════════════════════════════════
@@ -97,7 +341,59 @@ class PositionService {
     logger.info('[POSITION] Starting position monitoring...');
     this.monitoringInterval = setInterval(async () => {
       await this.checkPositions();
+      if (!config.trading.dryRun) {
+        await this.checkAccountHealth();
+      }
     }, intervalMs);
+
+    // Entry ордери живуть секунди → окремий, частіший цикл
+    this.pendingInterval = setInterval(async () => {
+      await this.checkPendingEntries();
+    }, config.entryPolicy.checkIntervalMs);
+
+    if (!config.trading.dryRun && config.funding.syncIntervalMs > 0) {
+      this.fundingInterval = setInterval(async () => {
+        await this.syncAllFunding();
+      }, config.funding.syncIntervalMs);
+    }
+
+    if (!config.trading.dryRun && config.orderCleanup.sweepIntervalMs > 0) {
+      this.sweepInterval = setInterval(async () => {
+        await this.sweepOrders();
+      }, config.orderCleanup.sweepIntervalMs);
+    }
+  }
+
+  /**
+   * Підписується на real-time події біржі: закриття позицій і fills обробляються
+   * одразу, без очікування наступного циклу checkPositions.
+   */
+  subscribeToExchange() {
+    exchange.on('positionClosed', async (position) => {
+      const trackedPosition = this.openPositions.get(position.symbol);
+      if (!trackedPosition || trackedPosition.direction !== position.direction) return;
+
+      logger.info(`[POSITION] Stream: ${position.symbol} closed on exchange`);
+      await this.handlePositionClosed(position.symbol, trackedPosition);
+    });
+
+    exchange.on('fill', (fill) => {
+      const pending = this.pendingEntries.get(fill.symbol);
+      if (!pending || String(pending.orderId) !== String(fill.orderId)) return;
+
+      // Entry може заповнюватись частинами → entryPrice = VWAP реальних fills
+      pending.streamFilledQty += fill.qty;
+      pending.streamFillCost += fill.qty * fill.price;
+
+      logger.info(`[POSITION] Stream: entry fill ${fill.symbol} ${fill.qty} @ ${fill.price} (avg ${pending.streamFillCost / pending.streamFilledQty})`);
+    });
+
+    exchange.on('order', async (order) => {
+      const pending = this.pendingEntries.get(order.market);
+      if (!pending || order.externalId !== pending.externalId) return;
+
+      await this.applyEntryOrderUpdate(pending, order);
+    });
   }
 
   stopMonitoring() {
@@ -106,6 +402,292 @@ class PositionService {
       this.monitoringInterval = null;
       logger.info('[POSITION] Monitoring stopped');
     }
+    if (this.pendingInterval) {
+      clearInterval(this.pendingInterval);
+      this.pendingInterval = null;
+    }
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+    if (this.fundingInterval) {
+      clearInterval(this.fundingInterval);
+      this.fundingInterval = null;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // POSITION MODIFICATION
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Закриває tracked позицію повністю або на qty (reduce-only IOC).
+   * Повне закриття далі йде звичайним шляхом (handlePositionClosed);
+   * часткове — зменшує quantity і накопичує realizedPnl.
+   *
+   * @returns {Promise<Object|null>} результат біржі + filledQty / averagePrice
+   */
+  async closePosition(symbol, qty = null) {
+    const position = this._requireTracked(symbol);
+
+    const result = await exchange.closePosition(symbol, qty);
+    if (!result) {
+      logger.warn(`[POSITION] ${symbol}: no position on exchange, syncing`);
+      await this.checkPositions();
+      return null;
+    }
+    position.closeOrderIds.push(result.orderId);
+
+    // IOC виконується одразу → фактичний fill вже в ордері
+    const order = await exchange.getOrderByExternalId(result.externalId);
+    const filledQty = parseFloat(order?.filledQty || '0');
+    const averagePrice = parseFloat(order?.averagePrice || '0');
+
+    if (filledQty > 0 && filledQty < position.quantity) {
+      const pnl = calculatePnL(position.entryPrice, averagePrice, filledQty, position.direction);
+
+      position.partialCloses.push({ qty: filledQty, price: averagePrice, pnl, closedAt: Date.now() });
+      position.realizedPnl += pnl;
+      position.quantity -= filledQty;
+
+      logger.info(`[POSITION] Partial close ${symbol}: ${filledQty} @ ${averagePrice}, P&L ${pnl.toFixed(2)}, remaining ${position.quantity}`);
+    } else if (filledQty > 0) {
+      await this.checkPositions();
+    } else {
+      logger.warn(`[POSITION] Close order for ${symbol} not filled (IOC, status ${order?.status})`);
+    }
+
+    return { ...result, filledQty, averagePrice };
+  }
+
+  /**
+   * Новий TP для tracked позиції (старий скасовується біржовим адаптером)
+   */
+  async amendTakeProfit(symbol, tp) {
+    const position = this._requireTracked(symbol);
+    const result = await exchange.amendTakeProfit(symbol, tp, { legExternalIds: this._legExternalIds(position, 'takeProfit') });
+
+    position.takeProfit = tp;
+    position.linkedExternalIds.push(result.externalId);
+    position.legExternalIds.takeProfit.push(result.externalId);
+    logger.info(`[POSITION] ${symbol} TP → ${tp.triggerPrice} (order ${result.orderId})`);
+
+    return result;
+  }
+
+  /**
+   * Новий SL для tracked позиції (старий скасовується біржовим адаптером)
+   */
+  async amendStopLoss(symbol, sl) {
+    const position = this._requireTracked(symbol);
+    const result = await exchange.amendStopLoss(symbol, sl, { legExternalIds: this._legExternalIds(position, 'stopLoss') });
+
+    position.stopLoss = sl;
+    position.linkedExternalIds.push(result.externalId);
+    position.legExternalIds.stopLoss.push(result.externalId);
+    logger.info(`[POSITION] ${symbol} SL → ${sl.triggerPrice} (order ${result.orderId})`);
+
+    return result;
+  }
+
+  /**
+   * externalId попередніх amend цього leg (вкладені TP/SL entry власного externalId не мають —
+   * адаптер знаходить їх за типом ордера)
+   */
+  _legExternalIds(position, kind) {
+    return [...position.legExternalIds[kind]];
+  }
+
+  _requireTracked(symbol) {
+    if (config.trading.dryRun) {
+      throw new Error('Position modification is not available in DRY RUN mode');
+    }
+
+    const position = this.openPositions.get(symbol);
+    if (!position) {
+      throw new Error(`No tracked open position for ${symbol}`);
+    }
+    return position;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // MARGIN MONITORING
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Рівень ризику акаунта по margin ratio
+   * @returns {'NORMAL'|'WARNING'|'CRITICAL'}
+   */
+  _marginLevel(marginRatioPercent) {
+    if (marginRatioPercent >= config.margin.criticalRatioPercent) return MarginLevel.CRITICAL;
+    if (marginRatioPercent >= config.margin.warningRatioPercent) return MarginLevel.WARNING;
+    return MarginLevel.NORMAL;
+  }
+
+  /**
+   * Equity / margin ratio / ліквідації — кожен цикл моніторингу.
+   *   - рівень виріс → алерт одразу; той самий рівень → повтор раз на alertRepeatMs
+   *   - повернення в NORMAL після алерту → повідомлення про відновлення
+   *   - ratio ≥ deRiskRatioPercent → зменшення найбільшої позиції (reduce-only)
+   */
+  async checkAccountHealth() {
+    let health;
+    try {
+      health = await exchange.getAccountHealth();
+    } catch (error) {
+      logger.warn(`[MARGIN] Account health unavailable: ${error.message}`);
+      return null;
+    }
+
+    const level = this._marginLevel(health.marginRatioPercent);
+    const previous = this.marginAlert.level;
+    const now = Date.now();
+
+    logger.debug(`[MARGIN] Equity ${health.equity.toFixed(2)}, used ${health.usedMargin.toFixed(2)}, ratio ${health.marginRatioPercent.toFixed(2)}% (${level})`);
+
+    let deRisk = null;
+    if (config.margin.deRiskRatioPercent > 0 && health.marginRatioPercent >= config.margin.deRiskRatioPercent) {
+      deRisk = await this._deRisk(health);
+    }
+
+    const escalated = MARGIN_LEVELS.indexOf(level) > MARGIN_LEVELS.indexOf(previous);
+    const repeat = level !== MarginLevel.NORMAL && now - this.marginAlert.alertedAt >= config.margin.alertRepeatMs;
+    const recovered = level === MarginLevel.NORMAL && previous !== MarginLevel.NORMAL;
+
+    this.marginAlert.level = level;
+
+    if (escalated || repeat || recovered || deRisk) {
+      this.marginAlert.alertedAt = now;
+      const log = level === MarginLevel.NORMAL ? logger.info : logger.warn;
+      log.call(logger, `[MARGIN] ${recovered ? 'Recovered' : level}: margin ratio ${health.marginRatioPercent.toFixed(2)}%, equity ${health.equity.toFixed(2)}`);
+      await this._sendMarginAlert(recovered ? 'RECOVERED' : level, health, deRisk);
+    }
+
+    return { ...health, level };
+  }
+
+  /**
+   * Зменшує найбільшу (за notional) позицію на deRiskReducePercent.
+   * Tracked позиції — через closePosition (облік часткового закриття), решта — напряму.
+   */
+  async _deRisk(health) {
+    if (config.trading.dryRun) return null;
+    if (Date.now() - this.lastDeRiskAt < config.margin.deRiskCooldownMs) return null;
+
+    const largest = health.positions
+      .slice()
+      .sort((a, b) => b.size * b.markPrice - a.size * a.markPrice)[0];
+    if (!largest) return null;
+
+    this.lastDeRiskAt = Date.now();
+    const qty = largest.size * (config.margin.deRiskReducePercent / 100);
+    const fullClose = config.margin.deRiskReducePercent >= 100;
+
+    logger.warn(`[MARGIN] De-risk: reducing ${largest.symbol} ${largest.direction} by ${config.margin.deRiskReducePercent}% (ratio ${health.marginRatioPercent.toFixed(2)}%)`);
+
+    try {
+      const result = this.openPositions.has(largest.symbol)
+        ? await this.closePosition(largest.symbol, fullClose ? null : qty)
+        : await exchange.closePosition(largest.symbol, fullClose ? null : qty);
+
+      return { symbol: largest.symbol, direction: largest.direction, quantity: result?.quantity ?? qty, error: null };
+    } catch (error) {
+      logger.error(`[MARGIN] De-risk ${largest.symbol} failed: ${error.message}`);
+      return { symbol: largest.symbol, direction: largest.direction, quantity: qty, error: error.message };
+    }
+  }
+
+  async _sendMarginAlert(level, health, deRisk) {
+    if (config.trading.dryRun) return;
+
+    try {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatMarginAlertMessage(level, health, deRisk)
+      );
+    } catch (telegramError) {
+      logger.error(`[MARGIN] Telegram send error: ${telegramError.message}`);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // EMERGENCY FLATTEN
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Kill switch: cancel всіх ордерів + reduce-only закриття всіх позицій.
+   * Закриття tracked позицій далі проходить звичайним шляхом (handlePositionClosed → P&L, Telegram).
+   *
+   * @returns {Promise<{ closed: Object[], errors: { symbol, message }[] }>}
+   */
+  async flattenAll() {
+    if (config.trading.dryRun) {
+      logger.warn(`[POSITION] DRY RUN flatten: dropping ${this.openPositions.size} position(s), ${this.pendingEntries.size} pending entr(ies)`);
+      const closed = this.getAllOpenPositions().map(p => ({ symbol: p.symbol, side: p.direction, quantity: p.quantity }));
+      this.openPositions.clear();
+      this.pendingEntries.clear();
+      return { closed, errors: [] };
+    }
+
+    logger.warn('[POSITION] Flattening account: cancel all orders, close all positions');
+
+    // Entry policy не повинна переставляти ці entry після mass cancel
+    for (const pending of this.pendingEntries.values()) {
+      pending.abandonReason = 'Kill switch';
+    }
+
+    const result = await exchange.flattenAccount();
+    for (const closed of result.closed) {
+      this.openPositions.get(closed.symbol)?.closeOrderIds.push(closed.orderId);
+    }
+
+    // Підтягуємо фінальний стан одразу, не чекаючи stream / наступного циклу
+    await this.checkPendingEntries();
+    await this.checkPositions();
+
+    return result;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // FUNDING
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Перераховує funding позиції з нуля (всі нарахування з openedAt) —
+   * повторний виклик не задвоює суму.
+   */
+  async syncFunding(position) {
+    const payments = await exchange.getFundingPayments(position.symbol, position.openedAt);
+    const fundingPnl = payments.reduce((sum, p) => sum + p.amount, 0);
+
+    if (fundingPnl !== position.fundingPnl) {
+      logger.info(`[POSITION] Funding ${position.symbol}: ${fundingPnl.toFixed(4)} (${payments.length} payment(s))`);
+    }
+    position.fundingPnl = fundingPnl;
+  }
+
+  async syncAllFunding() {
+    for (const position of this.openPositions.values()) {
+      try {
+        await this.syncFunding(position);
+      } catch (error) {
+        logger.error(`[POSITION] Funding sync error ${position.symbol}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Sweep відкритих ордерів: залишки закритих позицій → cancel, невідомі → flag
+   */
+  async sweepOrders() {
+    const tracked = [...this.openPositions.values(), ...this.pendingEntries.values()];
+    const symbols = new Set([...config.trading.allowedSymbols, ...tracked.map(ref => ref.symbol)]);
+
+    await orderCleanupService.sweep({
+      symbols: Array.from(symbols),
+      tracked,
+      closed: this.closedPositions.slice(-config.orderCleanup.closedLookback)
+    });
   }
 
   // ═══════════════════════════════════════════════════════════
@@ -117,6 +699,8 @@ class PositionService {
    * 
    * Extended повертає side: 'BUY'/'SELL'.
    * Якщо позиція пропала або size=0 → вона закрита (TP/SL срабатила).
+   *
+   * Коли є real-time snapshot (account stream живий) — беремо позиції з нього замість REST.
    */
   async checkPositions() {
     try {
@@ -124,7 +708,7 @@ class PositionService {
 
       for (const [symbol, trackedPosition] of this.openPositions.entries()) {
         try {
-          const exchangePositions = await extendedService.getPositions(symbol);
+          const exchangePositions = exchange.getCachedPositions(symbol) ?? await exchange.getPositions(symbol);
 
           // Шукаємо позицію по символу та напрямку
           const expectedSide = trackedPosition.direction === 'LONG' ? 'BUY' : 'SELL';
@@ -160,43 +744,67 @@ class PositionService {
    *   market (вместо symbol), execPrice, side ('BUY'/'SELL')
    */
   async handlePositionClosed(symbol, trackedPosition) {
+    if (this.closingSymbols.has(symbol)) return;
+    this.closingSymbols.add(symbol);
+
     try {
-      // Ищем закрывающую сделку в истории
-      const trades = await extendedService.getTradeHistory(symbol, 10);
+      // Fills угоди з моменту entry: VWAP виходу + fees обох сторін
+      const settlement = config.trading.dryRun ? null : await this._loadSettlement(trackedPosition);
 
-      // Закрывающая сторона — противоположная entry
-      const closeSide = trackedPosition.direction === 'LONG' ? 'SELL' : 'BUY';
+      const duration = Math.floor((Date.now() - trackedPosition.timestamp) / 1000);
 
-      const closeTrade = trades.find(t =>
-        (t.market === symbol || t.symbol === symbol) &&
-        t.side === closeSide
-      );
+      // Фінальна синхронізація funding перед розрахунком P&L
+      if (!config.trading.dryRun) {
+        try {
+          await this.syncFunding(trackedPosition);
+        } catch (fundingError) {
+          logger.warn(`[POSITION] Funding sync failed for ${symbol}: ${fundingError.message}`);
+        }
+      }
 
-      const exitPrice = closeTrade
-        ? parseFloat(closeTrade.execPrice || closeTrade.price || '0')
-        : trackedPosition.entryPrice;
+      // Gross P&L: closing fills покривають і часткові закриття → realizedPnl не додаємо.
+      // Без fills — оцінка по поточній ціні для залишку + часткові закриття.
+      let exitPrice;
+      let grossPnl;
+      if (settlement?.closedQty > 0) {
+        exitPrice = settlement.exitPrice;
+        grossPnl = calculatePnL(trackedPosition.entryPrice, exitPrice, settlement.closedQty, trackedPosition.direction);
+      } else {
+        exitPrice = await this._estimateExitPrice(trackedPosition);
+        grossPnl = calculatePnL(trackedPosition.entryPrice, exitPrice, trackedPosition.quantity, trackedPosition.direction)
+          + (trackedPosition.realizedPnl || 0);
+      }
 
-      const duration = Math.floor((Date.now() - trackedPosition.timestamp) / 1000);
+      const entryFee = settlement?.entryFee || 0;
+      const exitFee = settlement?.exitFee || 0;
+      const fees = entryFee + exitFee;
 
-      // P&L
-      const pnl = calculatePnL(
-        trackedPosition.entryPrice,
-        exitPrice,
-        trackedPosition.quantity,
-        trackedPosition.direction
-      );
+      // Net P&L = gross − fees + funding
+      const pnl = grossPnl - fees + (trackedPosition.fundingPnl || 0);
 
-      const pnlPercent = calculatePnLPercent(
+      // Рух ціни entry→exit (без fees / funding) і net результат у % від entry notional
+      const priceMovePercent = calculatePnLPercent(
         trackedPosition.entryPrice,
         exitPrice,
         trackedPosition.direction
       );
+      const openedQty = trackedPosition.quantity
+        + (trackedPosition.partialCloses || []).reduce((sum, part) => sum + part.qty, 0);
+      const entryNotional = trackedPosition.entryPrice * openedQty;
+      const pnlPercent = entryNotional > 0 ? (pnl / entryNotional) * 100 : 0;
 
       const closedPositionData = {
         ...trackedPosition,
         exitPrice,
+        exitEstimated: !(settlement?.closedQty > 0),
+        closingFills: settlement?.closeFills || 0,
+        grossPnl,
+        entryFee,
+        exitFee,
+        fees,
         pnl,
         pnlPercent,
+        priceMovePercent,
         duration: formatDuration(duration)
       };
 
@@ -204,6 +812,15 @@ class PositionService {
       this.addClosedPosition(closedPositionData);
       this.removeOpenPosition(symbol);
 
+      // Сусідній TP/SL і залишок entry більше не потрібні
+      if (!config.trading.dryRun) {
+        try {
+          await orderCleanupService.cleanupAfterClose(trackedPosition);
+        } catch (cleanupError) {
+          logger.error(`[POSITION] Order cleanup failed for ${symbol}: ${cleanupError.message}`);
+        }
+      }
+
       // Telegram уведомление
       if (!config.trading.dryRun) {
         try {
@@ -216,9 +833,101 @@ class PositionService {
         }
       }
 
-      logger.info(`[POSITION] Closed: ${symbol}, P&L: ${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`);
+      logger.info(
+        `[POSITION] Closed: ${symbol} @ ${exitPrice}${closedPositionData.exitEstimated ? ' (estimated)' : ` (VWAP of ${closedPositionData.closingFills} fills)`}, ` +
+        `gross ${grossPnl.toFixed(2)}, fees ${fees.toFixed(2)}, net P&L: ${pnl.toFixed(2)} (${pnlPercent.toFixed(2)}%)`
+      );
+
+      await this._runCallbacks(this.closedCallbacks, closedPositionData);
     } catch (error) {
       logger.error(`[POSITION] Error handling closed position: ${error.message}`);
+    } finally {
+      this.closingSymbols.delete(symbol);
+    }
+  }
+
+  /**
+   * Fills позиції (вікно часу — лише префільтр запиту):
+   *   entry          → fills entry ордерів позиції (усі переставлені) → fees входу, момент відкриття
+   *   TP / SL / close → fills закриваючої сторони з моменту першого entry fill, сумарно не більше
+   *                     відкритої qty → VWAP виходу, closedQty, fees виходу
+   * Вкладені TP/SL біржа створює без нашого externalId, тому вихід визначається стороною і часом:
+   * fills попередньої позиції на market (до entry fill) і ручні угоди понад qty не потрапляють.
+   * @returns {Promise<{ exitPrice, closedQty, closeFills, entryFee, exitFee }|null>} null — історія недоступна
+   */
+  async _loadSettlement(position) {
+    const since = (position.placedAt || position.openedAt) - FILLS_CLOCK_SKEW_MS;
+    const closeSide = position.direction === 'LONG' ? 'SELL' : 'BUY';
+
+    let fills;
+    try {
+      fills = await exchange.getTradesSince(position.symbol, since);
+    } catch (error) {
+      logger.warn(`[POSITION] Trade history unavailable for ${position.symbol}: ${error.message}`);
+      return null;
+    }
+
+    const entryIds = new Set((position.entryOrders || []).map(order => String(order.orderId)));
+    const closeIds = new Set((position.closeOrderIds || []).map(String));
+    const entryFills = fills.filter(fill => entryIds.has(String(fill.orderId)));
+
+    // Без entry fills в історії — момент відкриття з боку бота (з запасом на розбіжність годинників)
+    const openedFrom = entryFills.length > 0
+      ? Math.min(...entryFills.map(fill => parseInt(fill.createdTime)))
+      : position.openedAt - FILLS_CLOCK_SKEW_MS;
+    const openedQty = position.quantity
+      + (position.partialCloses || []).reduce((sum, part) => sum + part.qty, 0);
+
+    const entryFee = entryFills.reduce((sum, fill) => sum + parseFloat(fill.fee || '0'), 0);
+
+    let closedQty = 0;
+    let closeCost = 0;
+    let closeFills = 0;
+    let exitFee = 0;
+    let skipped = 0;
+
+    const exitCandidates = fills
+      .filter(fill => !entryIds.has(String(fill.orderId)) && fill.side === closeSide)
+      .sort((a, b) => parseInt(a.createdTime) - parseInt(b.createdTime));
+
+    for (const fill of exitCandidates) {
+      const ownClose = closeIds.has(String(fill.orderId));
+      if (!ownClose && (parseInt(fill.createdTime) < openedFrom || closedQty >= openedQty - 1e-12)) {
+        skipped++;
+        continue;
+      }
+
+      const qty = parseFloat(fill.qty || '0');
+      closedQty += qty;
+      closeCost += qty * parseFloat(fill.price || fill.execPrice || '0');
+      closeFills++;
+      exitFee += parseFloat(fill.fee || '0');
+    }
+
+    if (skipped > 0) {
+      logger.debug(`[POSITION] ${position.symbol}: skipped ${skipped} closing-side fill(s) outside the position`);
+    }
+
+    return {
+      exitPrice: closedQty > 0 ? closeCost / closedQty : null,
+      closedQty,
+      closeFills,
+      entryFee,
+      exitFee
+    };
+  }
+
+  /**
+   * Closing fills не знайдені: поточна ціна замість entry (щоб не записати нульовий P&L)
+   */
+  async _estimateExitPrice(position) {
+    try {
+      const priceData = exchange.getCachedBookTop(position.symbol) || await exchange.getCurrentPrice(position.symbol);
+      logger.warn(`[POSITION] No closing fills for ${position.symbol}, estimating exit at ${priceData.lastPrice}`);
+      return priceData.lastPrice;
+    } catch (error) {
+      logger.warn(`[POSITION] No closing fills and no price for ${position.symbol}, using entry price`);
+      return position.entryPrice;
     }
   }
 
@@ -242,14 +951,34 @@ class PositionService {
     const winTrades = this.closedPositions.filter(p => p.pnl >= 0).length;
     const loseTrades = totalTrades - winTrades;
     const totalPnl = this.closedPositions.reduce((sum, p) => sum + p.pnl, 0);
+    // Funding: закриті за день + вже нараховане по відкритих
+    const totalFunding = [...this.closedPositions, ...this.openPositions.values()]
+      .reduce((sum, p) => sum + (p.fundingPnl || 0), 0);
+    const totalFees = this.closedPositions.reduce((sum, p) => sum + (p.fees || 0), 0);
+    const totalGrossPnl = this.closedPositions.reduce((sum, p) => sum + (p.grossPnl ?? p.pnl), 0);
+
+    // Розбивка по каналах сигналів: порівняння провайдерів
+    const bySource = {};
+    for (const p of this.closedPositions) {
+      const source = p.source || 'unknown';
+      bySource[source] ||= { totalTrades: 0, winTrades: 0, totalPnl: 0, totalFees: 0 };
+      bySource[source].totalTrades++;
+      if (p.pnl >= 0) bySource[source].winTrades++;
+      bySource[source].totalPnl += p.pnl;
+      bySource[source].totalFees += p.fees || 0;
+    }
 
     return {
       totalTrades,
       winTrades,
       loseTrades,
       totalPnl,
+      totalGrossPnl,
+      totalFees,
+      totalFunding,
       openPositions: this.openPositions.size,
-      closedPositions: totalTrades
+      closedPositions: totalTrades,
+      bySource
     };
   }
 
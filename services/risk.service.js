@@ -1,5 +1,6 @@
 import { config } from '../config/settings.js';
-import { roundQuantity, roundPrice, isValidNumber } from '../utils/helpers.js';
+import { isValidNumber } from '../utils/helpers.js';
+import { Decimal, Rounding } from '../utils/decimal.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -17,47 +18,84 @@ import logger from '../utils/logger.js';
  *             limitPrice  = trigger * (1 - buffer%)
  *   SHORT SL: triggerPrice = entry * (1 + slPercent%)
  *             limitPrice  = trigger * (1 + buffer%)
+ *
+ * Рахується в Decimal; trigger і limit snap до кроку ціни market (minPriceChange).
+ * Limit округлюється від trigger (в бік буфера), щоб буфер не зник при snap.
  * 
  * @param {number} entryPrice
  * @param {string} direction — 'LONG' | 'SHORT'
  * @param {number} tpPercent — Take Profit % от entry
  * @param {number} slPercent — Stop Loss % от entry
- * @param {number} [pricePrecision=4] — кол-во знаков после запятой
+ * @param {number|string} [priceStep=0.0001] — minPriceChange market
  * @returns {{ tp: { triggerPrice, limitPrice }, sl: { triggerPrice, limitPrice } }}
  */
-export function calculateTPSLPrices(entryPrice, direction, tpPercent, slPercent, pricePrecision = 4) {
+export function calculateTPSLPrices(entryPrice, direction, tpPercent, slPercent, priceStep = 0.0001) {
   const bufferPercent = config.risk.tpSlLimitBuffer || 0.05; // 0.05% по умолчанию
-  const bufferFactor = bufferPercent / 100;
 
-  let tpTrigger, tpLimit, slTrigger, slLimit;
+  const entry = Decimal.from(entryPrice);
+  const ONE = Decimal.from(1);
+  const ratio = (percent) => Decimal.from(percent).div(100);
+  const buffer = ratio(bufferPercent);
+
+  // trigger вище entry → limit ще вище (CEIL); нижче → limit ще нижче (FLOOR)
+  const leg = (triggerFactor, limitFactor) => {
+    const trigger = entry.mul(triggerFactor).quantize(priceStep, Rounding.HALF_UP);
+    const rounding = limitFactor.gte(ONE) ? Rounding.CEIL : Rounding.FLOOR;
+    return {
+      triggerPrice: trigger.toNumber(),
+      limitPrice: trigger.mul(limitFactor).quantize(priceStep, rounding).toNumber()
+    };
+  };
 
   if (direction === 'LONG') {
-    // TP: цена растёт → trigger выше entry, limit чуть выше trigger (гарантия fill как maker)
-    tpTrigger = entryPrice * (1 + tpPercent / 100);
-    tpLimit   = tpTrigger * (1 + bufferFactor);
-
-    // SL: цена падает → trigger ниже entry, limit чуть ниже trigger
-    slTrigger = entryPrice * (1 - slPercent / 100);
-    slLimit   = slTrigger * (1 - bufferFactor);
-  } else {
-    // SHORT TP: цена падает → trigger ниже entry, limit чуть ниже trigger
-    tpTrigger = entryPrice * (1 - tpPercent / 100);
-    tpLimit   = tpTrigger * (1 - bufferFactor);
+    return {
+      // TP: цена растёт → trigger выше entry, limit чуть выше trigger (гарантия fill как maker)
+      tp: leg(ONE.add(ratio(tpPercent)), ONE.add(buffer)),
+      // SL: цена падает → trigger ниже entry, limit чуть ниже trigger
+      sl: leg(ONE.sub(ratio(slPercent)), ONE.sub(buffer))
+    };
+  }
 
+  return {
+    // SHORT TP: цена падает → trigger ниже entry, limit чуть ниже trigger
+    tp: leg(ONE.sub(ratio(tpPercent)), ONE.sub(buffer)),
     // SHORT SL: цена растёт → trigger выше entry, limit чуть выше trigger
-    slTrigger = entryPrice * (1 + slPercent / 100);
-    slLimit   = slTrigger * (1 + bufferFactor);
+    sl: leg(ONE.add(ratio(slPercent)), ONE.add(buffer))
+  };
+}
+
+/**
+ * Відстані TP / SL у % від entry згідно з risk.stopMode.
+ *
+ *   PERCENT: фіксовані TAKE_PROFIT_PERCENT / STOP_LOSS_PERCENT
+ *   ATR:     SL = ATR × STOP_LOSS_ATR_MULTIPLE, TP = ATR × TAKE_PROFIT_ATR_MULTIPLE
+ *
+ * @param {number} entryPrice
+ * @param {{ atr: number }|null} volatility — від volatility.service.getVolatility() (потрібна для ATR)
+ * @param {Object} [risk] — risk профіль каналу сигналів, за замовчуванням config.risk
+ * @returns {{ mode: string, slPercent: number, tpPercent: number, atr: number|null }}
+ */
+export function resolveStopDistances(entryPrice, volatility = null, risk = config.risk) {
+  const { stopMode } = risk;
+
+  if (stopMode === 'ATR') {
+    if (!volatility || !isValidNumber(volatility.atr)) {
+      throw new Error('ATR stop mode requires volatility data with a positive ATR');
+    }
+
+    return {
+      mode: stopMode,
+      slPercent: (volatility.atr * risk.stopLossAtrMultiple / entryPrice) * 100,
+      tpPercent: (volatility.atr * risk.takeProfitAtrMultiple / entryPrice) * 100,
+      atr: volatility.atr
+    };
   }
 
   return {
-    tp: {
-      triggerPrice: roundPrice(tpTrigger, pricePrecision),
-      limitPrice:   roundPrice(tpLimit, pricePrecision)
-    },
-    sl: {
-      triggerPrice: roundPrice(slTrigger, pricePrecision),
-      limitPrice:   roundPrice(slLimit, pricePrecision)
-    }
+    mode: stopMode,
+    slPercent: risk.stopLossPercent,
+    tpPercent: risk.takeProfitPercent,
+    atr: null
   };
 }
 
@@ -72,9 +110,12 @@ export function calculateTPSLPrices(entryPrice, direction, tpPercent, slPercent,
  * @param {number} entryPrice — текущая цена
  * @param {string} direction — 'LONG' | 'SHORT'
  * @param {Object} marketInfo — от extendedService.getMarketInfo()
+ * @param {Object|null} [volatility] — від volatility.service.getVolatility() (RISK_STOP_MODE=ATR)
+ * @param {number} [leverage] — leverage market (leverage.service), за замовчуванням LEVERAGE
+ * @param {Object} [risk] — risk профіль каналу сигналів (% ризику, TP/SL), за замовчуванням config.risk
  * @returns {Object} параметры позиции
  */
-export function calculatePositionParameters(balance, entryPrice, direction, marketInfo = {}) {
+export function calculatePositionParameters(balance, entryPrice, direction, marketInfo = {}, volatility = null, leverage = config.risk.leverage, risk = config.risk) {
   try {
     // Валідація
     if (!isValidNumber(balance) || balance <= 0) {
@@ -87,17 +128,18 @@ export function calculatePositionParameters(balance, entryPrice, direction, mark
       throw new Error(`Invalid direction: ${direction}. Must be LONG or SHORT`);
     }
 
-    const leverage = config.risk.leverage;
-    const pricePrecision = marketInfo.pricePrecision || 4;
+    const priceStep = marketInfo.minPriceChange || 0.0001;
+    const qtyStep = marketInfo.minOrderSizeChange || 0.001;
     const minOrderSize = marketInfo.minOrderSize || 0.001;
     const maxPositionValue = marketInfo.maxPositionValue || 10000000;
 
     // 1. Risk в USD
-    const riskAmount = balance * (config.risk.percentage / 100);
-    logger.info(`[RISK] Balance: ${balance}, Risk: ${config.risk.percentage}% = ${riskAmount}`);
+    const riskAmount = balance * (risk.percentage / 100);
+    logger.info(`[RISK] Balance: ${balance}, Risk: ${risk.percentage}% = ${riskAmount}`);
 
-    // 2. Stop Loss distance (в ціні)
-    const slPercent = config.risk.stopLossPercent; // 0.3
+    // 2. Stop Loss distance (в ціні): фіксований % або кратне ATR
+    const stops = resolveStopDistances(entryPrice, volatility, risk);
+    const slPercent = stops.slPercent;
     const stopLossDistance = entryPrice * (slPercent / 100);
 
     if (stopLossDistance <= 0) {
@@ -125,49 +167,54 @@ export function calculatePositionParameters(balance, entryPrice, direction, mark
       requiredMargin = positionSize / leverage;
     }
 
-    // 6. Quantity (base asset)
-    let quantity = positionSize / entryPrice;
+    // 6. Quantity (base asset), вниз до кроку qty — не ризикуємо більше розрахованого
+    const price = Decimal.from(entryPrice).quantize(priceStep, Rounding.HALF_UP);
+    let qty = Decimal.from(positionSize).div(price).quantize(qtyStep, Rounding.DOWN);
 
-    // 7. Round quantity
-    const tickSize = marketInfo.tickSize || 0.001;
-    quantity = roundQuantity(quantity, tickSize);
-
-    // 8. Перевірка minOrderSize
-    if (quantity < minOrderSize) {
-      logger.warn(`[RISK] Quantity (${quantity}) < minOrderSize (${minOrderSize}). Using min.`);
-      quantity = minOrderSize;
-      positionSize = quantity * entryPrice;
+    // 7. Перевірка minOrderSize
+    if (qty.lt(minOrderSize)) {
+      logger.warn(`[RISK] Quantity (${qty}) < minOrderSize (${minOrderSize}). Using min.`);
+      qty = Decimal.from(minOrderSize).quantize(qtyStep, Rounding.UP);
+      positionSize = qty.mul(price).toNumber();
     }
+    const quantity = qty.toNumber();
 
-    // 9. Фінальна перевірка маржі
-    const finalRequiredMargin = (quantity * entryPrice) / leverage;
+    // 8. Фінальна перевірка маржі
+    const finalRequiredMargin = qty.mul(price).div(leverage).toNumber();
     if (finalRequiredMargin > balance) {
       throw new Error(`Insufficient balance. Required: ${finalRequiredMargin}, Available: ${balance}`);
     }
 
-    // 10. TP / SL цены (Extended LIMIT формат)
+    // 9. TP / SL цены (Extended LIMIT формат)
     const tpsl = calculateTPSLPrices(
-      entryPrice,
+      price,
       direction,
-      config.risk.takeProfitPercent,
-      config.risk.stopLossPercent,
-      pricePrecision
+      stops.tpPercent,
+      stops.slPercent,
+      priceStep
     );
 
     const result = {
       symbol: marketInfo.symbol,
       direction: direction,
-      entryPrice: roundPrice(entryPrice, pricePrecision),
+      entryPrice: price.toNumber(),
       quantity: quantity,
       positionSize: positionSize,
       leverage: leverage,
       requiredMargin: finalRequiredMargin,
       riskAmount: riskAmount,
+      stopMode: stops.mode,
+      stopLossPercent: stops.slPercent,
+      takeProfitPercent: stops.tpPercent,
+      atr: stops.atr,
       // Extended TP/SL формат
       takeProfit: tpsl.tp,       // { triggerPrice, limitPrice }
       stopLoss: tpsl.sl          // { triggerPrice, limitPrice }
     };
 
+    if (stops.mode === 'ATR') {
+      logger.info(`[RISK] ATR stops: ATR=${stops.atr}, SL ${stops.slPercent.toFixed(3)}%, TP ${stops.tpPercent.toFixed(3)}%`);
+    }
     logger.info(`[RISK] Position: qty=${quantity} @ ${result.entryPrice}, margin=${finalRequiredMargin}`);
     logger.info(`[RISK] TP: trigger=${tpsl.tp.triggerPrice}, limit=${tpsl.tp.limitPrice}`);
     logger.info(`[RISK] SL: trigger=${tpsl.sl.triggerPrice}, limit=${tpsl.sl.limitPrice}`);
@@ -189,5 +236,6 @@ export function hasSufficientBalance(balance, requiredMargin) {
 export default {
   calculatePositionParameters,
   calculateTPSLPrices,
+  resolveStopDistances,
   hasSufficientBalance
 };
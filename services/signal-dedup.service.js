@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+export const SignalOutcome = {
+  PENDING: 'PENDING',           // прийнятий, обробка ще йде
+  IGNORED: 'IGNORED',           // не пройшов валідацію / liquidity gate
+  ORDER_PLACED: 'ORDER_PLACED', // entry ордер прийнятий біржею
+  DRY_RUN: 'DRY_RUN',
+  ERROR: 'ERROR'
+};
+
+/**
+ * SignalDedupService — кожен сигнал обробляється один раз.
+ *
+ * Відбиток сигналу: канал, id повідомлення, symbol, direction, час від провайдера.
+ * Дублікатом вважається сигнал, що збігається з уже баченим за будь-яким ключем:
+ *   - канал + message id          → повторна доставка polling, редагування поста
+ *   - канал + symbol + direction + час провайдера → репост того ж сигналу новим повідомленням
+ *     (тільки якщо провайдер дав час; без нього однакові symbol / direction — це новий сигнал)
+ *
+ * Seen-set зберігається у файлі (config.signalDedup.stateFile) і переживає рестарт;
+ * записи старші за config.signalDedup.windowMs видаляються. Разом із відбитком
+ * зберігається результат обробки — дублікат повідомляється з результатом оригіналу.
+ */
+class SignalDedupService {
+  constructor() {
+    this.stateFile = path.resolve(config.signalDedup.stateFile);
+    this.entries = this._load();
+  }
+
+  /**
+   * Ключі відбитка сигналу
+   * @returns {string[]}
+   */
+  fingerprint(signal) {
+    const keys = [];
+    if (signal.messageId !== undefined && signal.messageId !== null) {
+      keys.push(`${signal.source}:msg:${signal.messageId}`);
+    }
+    if (signal.providerTimestamp) {
+      keys.push(`${signal.source}:${signal.symbol}:${signal.direction}:${signal.providerTimestamp}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Перевіряє сигнал і, якщо він новий, реєструє його (PENDING) в одному синхронному кроці —
+   * паралельна доставка того ж сигналу вже побачить запис.
+   *
+   * @returns {Object|null} запис оригіналу (дублікат) або null (новий сигнал)
+   */
+  check(signal) {
+    const now = Date.now();
+    this._prune(now);
+
+    const keys = this.fingerprint(signal);
+    const original = this.entries.find(entry => entry.keys.some(key => keys.includes(key)));
+
+    if (original) {
+      original.duplicates++;
+      original.lastDuplicateAt = now;
+      this._save();
+      logger.warn(`[DEDUP] Duplicate of ${original.symbol} ${original.direction} from ${original.source} (msg ${original.messageId}), outcome ${original.outcome.status}`);
+      return { ...original };
+    }
+
+    if (keys.length === 0) {
+      logger.warn(`[DEDUP] ${signal.symbol} ${signal.direction} from ${signal.source} has no message id or provider time, cannot deduplicate`);
+      return null;
+    }
+
+    this.entries.push({
+      keys,
+      source: signal.source,
+      messageId: signal.messageId ?? null,
+      symbol: signal.symbol,
+      direction: signal.direction,
+      providerTimestamp: signal.providerTimestamp || null,
+      firstSeenAt: now,
+      outcome: { status: SignalOutcome.PENDING },
+      duplicates: 0,
+      lastDuplicateAt: null
+    });
+    this._save();
+    return null;
+  }
+
+  /**
+   * Результат обробки оригіналу
+   * @param {Object} signal
+   * @param {{ status: string, reason?: string, orderId?: string }} outcome
+   */
+  recordOutcome(signal, outcome) {
+    const keys = this.fingerprint(signal);
+    const entry = this.entries.find(item => item.keys.some(key => keys.includes(key)));
+    if (!entry) return;
+
+    entry.outcome = { ...outcome, at: Date.now() };
+    this._save();
+  }
+
+  /**
+   * 'ORDER_PLACED (order 123)' / 'IGNORED: Outside trading hours'
+   */
+  describeOutcome(outcome) {
+    if (outcome.orderId) return `${outcome.status} (order ${outcome.orderId})`;
+    if (outcome.reason) return `${outcome.status}: ${outcome.reason}`;
+    return outcome.status;
+  }
+
+  _prune(now) {
+    const cutoff = now - config.signalDedup.windowMs;
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.firstSeenAt >= cutoff);
+
+    if (this.entries.length !== before) {
+      logger.debug(`[DEDUP] Pruned ${before - this.entries.length} signal(s) older than the dedup window`);
+    }
+  }
+
+  _load() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return Array.isArray(state.entries) ? state.entries : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`[DEDUP] Cannot read ${this.stateFile}, starting with an empty seen-set: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  _save() {
+    // tmp + rename: після падіння посеред запису лишається попередній стан, а не обрізаний JSON
+    const tmpFile = `${this.stateFile}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify({ entries: this.entries }, null, 2));
+    fs.renameSync(tmpFile, this.stateFile);
+  }
+}
+
+// Singleton
+const signalDedupService = new SignalDedupService();
+export default signalDedupService;
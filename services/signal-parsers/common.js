@@ -0,0 +1,150 @@
+/**
+ * Спільне для парсерів сигналів: нормалізація полів і перевірка схеми формату.
+ * Без config / logger — фікстури (scripts/check-signal-parsers.js) ганяються офлайн.
+ */
+
+// Тип сигналу → напрямок угоди (контр-трендовий вхід після каскаду ліквідацій)
+const SIGNAL_TYPE_DIRECTIONS = {
+  LONG_FLUSH: 'LONG',
+  SHORT_SQUEEZE: 'SHORT'
+};
+
+/**
+ * Конвертує символ Bybit → Extended
+ *
+ * Extended.exchange використовує формат: BTC-USD, ETH-USD, ADA-USD
+ * (з ДЕФІСОМ -, як у config ALLOWED_SYMBOLS)
+ *
+ * Конвертація:
+ *   ADAUSDT  → ADA-USD  ✅
+ *   BTCUSDT  → BTC-USD
+ *   ETHUSDT  → ETH-USD
+ */
+export function normalizeSymbol(rawSymbol) {
+  if (!rawSymbol) return null;
+
+  const sym = String(rawSymbol).toUpperCase().trim();
+
+  // Якщо вже містить дефіс - не чіпаємо
+  if (sym.includes('-')) {
+    return sym;
+  }
+
+  // Видаляємо USDT/USDC/USD суфікси
+  let base = sym;
+  for (const suffix of ['USDT', 'USDC', 'USD']) {
+    if (base.endsWith(suffix)) {
+      base = base.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  // ✅ Extended формат: BASE-USD (з ДЕФІСОМ!)
+  return `${base}-USD`;
+}
+
+/**
+ * 'Long Flush' → 'LONG_FLUSH'
+ */
+export function normalizeSignalType(rawSignalType) {
+  if (!rawSignalType) return null;
+  return String(rawSignalType).trim().toUpperCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Напрямок, який випливає з типу сигналу, або null (тип невідомий)
+ */
+export function directionFromSignalType(signalType) {
+  return SIGNAL_TYPE_DIRECTIONS[normalizeSignalType(signalType)] || null;
+}
+
+/**
+ * Напрямок сигналу з явного direction і / або типу.
+ *
+ * Без default: не вдалося визначити або direction суперечить типу —
+ * { error, ambiguous }, а не LONG навмання.
+ *
+ * @returns {{ direction: 'LONG'|'SHORT', derived: boolean } | { error: string, ambiguous?: boolean }}
+ */
+export function resolveDirection(rawDirection, rawSignalType) {
+  const direction = rawDirection ? String(rawDirection).trim().toUpperCase() : null;
+  const typeDirection = directionFromSignalType(rawSignalType);
+
+  if (direction && direction !== 'LONG' && direction !== 'SHORT') {
+    return { error: `unknown direction "${rawDirection}"`, ambiguous: true };
+  }
+
+  if (direction && typeDirection && direction !== typeDirection) {
+    return { error: `direction ${direction} contradicts type ${normalizeSignalType(rawSignalType)}`, ambiguous: true };
+  }
+
+  if (direction) {
+    return { direction, derived: false };
+  }
+
+  if (typeDirection) {
+    return { direction: typeDirection, derived: true };
+  }
+
+  return { error: rawSignalType ? `no direction, type "${rawSignalType}" does not imply one` : 'no direction' };
+}
+
+/**
+ * Час сигналу від провайдера → epoch ms. Приймає ms, секунди та ISO рядок; інакше null.
+ */
+export function normalizeTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+    const number = Number(value);
+    // 1e12 ms ≈ 2001 рік: менші значення — секунди
+    return number < 1e12 ? Math.round(number * 1000) : Math.round(number);
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Перевіряє поля сигналу проти схеми формату.
+ *
+ * Схема: { field: { type: 'string'|'number'|'object', required?, enum?, pattern? } }
+ *
+ * @returns {string|null} перше порушення або null
+ */
+export function validateSchema(fields, schema) {
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = fields[name];
+
+    if (value === undefined || value === null) {
+      if (rule.required) return `${name} is required`;
+      continue;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== rule.type) {
+      return `${name} must be ${rule.type}, got ${actualType}`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return `${name} must be one of ${rule.enum.join(', ')}, got ${value}`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return `${name} "${value}" does not match ${rule.pattern}`;
+    }
+  }
+
+  for (const name of Object.keys(fields)) {
+    if (!schema[name]) return `unexpected field ${name}`;
+  }
+
+  return null;
+}
+
+export default {
+  normalizeSymbol,
+  normalizeSignalType,
+  directionFromSignalType,
+  resolveDirection,
+  normalizeTimestamp,
+  validateSchema
+};
@@ -0,0 +1,123 @@
+import { normalizeSymbol, normalizeSignalType, normalizeTimestamp, resolveDirection } from './common.js';
+
+const SYMBOL_PATTERN = /^[A-Z0-9]+-USD$/;
+
+/**
+ * Перший збалансований {...} у тексті (JSON може бути оточений підписом / emoji)
+ * @returns {{ data: Object } | { error: string }}
+ */
+function extractJsonObject(text) {
+  const startIdx = text.indexOf('{');
+  if (startIdx === -1) return { error: 'no JSON object' };
+
+  let depth = 0;
+  let endIdx = -1;
+
+  for (let i = startIdx; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}') {
+      depth--;
+      if (depth === 0) {
+        endIdx = i;
+        break;
+      }
+    }
+  }
+
+  if (endIdx === -1) return { error: 'unterminated JSON object' };
+
+  try {
+    const data = JSON.parse(text.substring(startIdx, endIdx + 1));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { error: 'JSON is not an object' };
+    }
+    return { data };
+  } catch (e) {
+    return { error: `JSON parse failed: ${e.message}` };
+  }
+}
+
+/**
+ * JSON сигнал: { "symbol": "BTCUSDT", "direction": "LONG", "signalType": "LONG_FLUSH",
+ *                "timestamp": 1718000000000, "stats": {...} }
+ *
+ * Confidence: 1 — явний direction; 0.8 — direction виведений з signalType.
+ */
+export default {
+  name: 'json',
+  priority: 10,
+  description: 'JSON object with symbol / direction / signalType',
+
+  schema: {
+    symbol: { type: 'string', required: true, pattern: SYMBOL_PATTERN },
+    direction: { type: 'string', required: true, enum: ['LONG', 'SHORT'] },
+    signalType: { type: 'string' },
+    timestamp: { type: 'number' },
+    stats: { type: 'object' }
+  },
+
+  detect(text) {
+    return text.includes('{');
+  },
+
+  parse(text) {
+    const { data, error } = extractJsonObject(text);
+    if (error) return { error };
+
+    if (!data.symbol) return { error: 'no symbol in JSON' };
+
+    const resolved = resolveDirection(data.direction, data.signalType);
+    if (resolved.error) return resolved;
+
+    const fields = {
+      symbol: normalizeSymbol(data.symbol),
+      direction: resolved.direction
+    };
+
+    const signalType = normalizeSignalType(data.signalType);
+    if (signalType) fields.signalType = signalType;
+
+    if (data.timestamp !== undefined) {
+      const timestamp = normalizeTimestamp(data.timestamp);
+      if (timestamp === null) return { error: `unreadable timestamp "${data.timestamp}"` };
+      fields.timestamp = timestamp;
+    }
+
+    if (data.stats !== undefined) fields.stats = data.stats;
+
+    return { fields, confidence: resolved.derived ? 0.8 : 1 };
+  },
+
+  fixtures: [
+    {
+      name: 'explicit direction',
+      text: '🚨 Signal\n{"symbol":"BTCUSDT","direction":"SHORT","signalType":"SHORT_SQUEEZE","timestamp":1718000000000,"stats":{"oi":1.5}}',
+      expect: { symbol: 'BTC-USD', direction: 'SHORT', signalType: 'SHORT_SQUEEZE', timestamp: 1718000000000, stats: { oi: 1.5 }, confidence: 1 }
+    },
+    {
+      name: 'direction from type, seconds timestamp',
+      text: '{"symbol":"ethusdt","signalType":"Long Flush","timestamp":1718000000}',
+      expect: { symbol: 'ETH-USD', direction: 'LONG', signalType: 'LONG_FLUSH', timestamp: 1718000000000, confidence: 0.8 }
+    },
+    {
+      name: 'direction contradicts type',
+      text: '{"symbol":"SOLUSDT","direction":"LONG","signalType":"SHORT_SQUEEZE"}',
+      expect: { rejected: 'contradicts' }
+    },
+    {
+      name: 'unknown direction',
+      text: '{"symbol":"SOLUSDT","direction":"UP"}',
+      expect: { rejected: 'unknown direction' }
+    },
+    {
+      name: 'no direction',
+      text: '{"symbol":"SOLUSDT","signalType":"BREAKOUT"}',
+      expect: { rejected: 'does not imply' }
+    },
+    {
+      name: 'broken JSON',
+      text: '{"symbol": "BTCUSDT", direction: LONG}',
+      expect: { rejected: 'JSON parse failed' }
+    }
+  ]
+};
@@ -0,0 +1,103 @@
+import { normalizeSymbol, normalizeSignalType, resolveDirection } from './common.js';
+
+const SYMBOL_PATTERN = /^[A-Z0-9]+-USD$/;
+
+const LABELS = {
+  symbol: /\bSymbol:\s*([A-Z0-9][A-Z0-9-]*)/gi,
+  direction: /\bDirection:\s*(\w+)/gi,
+  signalType: /\bType:\s*([^\n\r]+?)\s*$/gim
+};
+
+/**
+ * Усі значення рядків "Label: value" (без повторів, у верхньому регістрі)
+ */
+function collectLabel(text, pattern) {
+  const values = new Set();
+  for (const match of text.matchAll(pattern)) {
+    values.add(match[1].toUpperCase());
+  }
+  return [...values];
+}
+
+/**
+ * Текстовий сигнал з рядками-мітками:
+ *   Symbol: BTCUSDT
+ *   Direction: LONG
+ *   Type: Long Flush
+ *
+ * Кілька різних значень однієї мітки — неоднозначний сигнал, відмова.
+ * Confidence: 0.95 — явний Direction; 0.8 — direction виведений з Type.
+ */
+export default {
+  name: 'labeled-text',
+  priority: 20,
+  description: 'Text with Symbol: / Direction: / Type: lines',
+
+  schema: {
+    symbol: { type: 'string', required: true, pattern: SYMBOL_PATTERN },
+    direction: { type: 'string', required: true, enum: ['LONG', 'SHORT'] },
+    signalType: { type: 'string' }
+  },
+
+  detect(text) {
+    return /\b(Symbol|Direction|Type):/i.test(text);
+  },
+
+  parse(text) {
+    const symbols = collectLabel(text, LABELS.symbol).map(normalizeSymbol);
+    const directions = collectLabel(text, LABELS.direction);
+    const types = collectLabel(text, LABELS.signalType).map(normalizeSignalType);
+
+    if (new Set(symbols).size > 1) {
+      return { error: `several symbols: ${symbols.join(', ')}`, ambiguous: true };
+    }
+    if (directions.length > 1) {
+      return { error: `several directions: ${directions.join(', ')}`, ambiguous: true };
+    }
+    if (new Set(types).size > 1) {
+      return { error: `several types: ${types.join(', ')}`, ambiguous: true };
+    }
+    if (symbols.length === 0) return { error: 'no Symbol: line' };
+
+    const resolved = resolveDirection(directions[0], types[0]);
+    if (resolved.error) return resolved;
+
+    const fields = { symbol: symbols[0], direction: resolved.direction };
+    if (types[0]) fields.signalType = types[0];
+
+    return { fields, confidence: resolved.derived ? 0.8 : 0.95 };
+  },
+
+  fixtures: [
+    {
+      name: 'all labels',
+      text: '🔥 NEW SIGNAL\nSymbol: ADAUSDT\nDirection: Short\nType: Short Squeeze',
+      expect: { symbol: 'ADA-USD', direction: 'SHORT', signalType: 'SHORT_SQUEEZE', confidence: 0.95 }
+    },
+    {
+      name: 'direction from type',
+      text: 'Symbol: BTC-USD\nType: LONG_FLUSH',
+      expect: { symbol: 'BTC-USD', direction: 'LONG', signalType: 'LONG_FLUSH', confidence: 0.8 }
+    },
+    {
+      name: 'no direction and unknown type',
+      text: 'Symbol: BTCUSDT\nType: Breakout',
+      expect: { rejected: 'does not imply' }
+    },
+    {
+      name: 'two directions',
+      text: 'Symbol: ETHUSDT\nDirection: LONG\nDirection: SHORT',
+      expect: { rejected: 'several directions' }
+    },
+    {
+      name: 'two symbols',
+      text: 'Symbol: ETHUSDT\nSymbol: SOLUSDT\nDirection: LONG',
+      expect: { rejected: 'several symbols' }
+    },
+    {
+      name: 'no symbol',
+      text: 'Direction: LONG\nType: Long Flush',
+      expect: { rejected: 'no Symbol' }
+    }
+  ]
+};
@@ -0,0 +1,165 @@
+import { validateSchema } from './common.js';
+import jsonParser from './json.parser.js';
+import labeledTextParser from './labeled-text.parser.js';
+
+/**
+ * Вбудовані формати сигналів. Новий формат — модуль з тим самим інтерфейсом:
+ *
+ *   name        — унікальне ім'я (SIGNAL_PARSERS)
+ *   priority    — менше число пробується раніше
+ *   schema      — поля результату (common.validateSchema)
+ *   detect(text)  → чи схожий текст на цей формат
+ *   parse(text)   → { fields, confidence: 0..1 } | { error, ambiguous? }
+ *   fixtures    — [{ name, text, expect: { ...fields, confidence } | { rejected: 'фрагмент причини' } }]
+ *
+ * + рядок у BUILTIN_PARSERS; фікстури перевіряє scripts/check-signal-parsers.js.
+ */
+export const BUILTIN_PARSERS = [jsonParser, labeledTextParser];
+
+/**
+ * Реєстр парсерів сигналів: повідомлення пробується парсерами в порядку priority.
+ *
+ * Перший результат, що пройшов схему формату і minConfidence, — сигнал.
+ * Неоднозначний результат (ambiguous) зупиняє перебір: наступний, менш строгий
+ * формат не повинен "дочитати" з того ж тексту напрямок, від якого відмовився попередній.
+ * Жоден парсер не дав сигналу — відмова з причинами від кожного, без default напрямку.
+ *
+ * @param {{ parsers?: Object[], enabled?: string[], minConfidence?: number }} [options]
+ *   enabled — імена парсерів (порожньо = всі)
+ */
+export class SignalParserRegistry {
+  constructor({ parsers = BUILTIN_PARSERS, enabled = [], minConfidence = 0 } = {}) {
+    this.parsers = [];
+    this.minConfidence = minConfidence;
+
+    for (const parser of parsers) {
+      this.register(parser);
+    }
+
+    const unknown = enabled.filter(name => !this.get(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown signal parser(s): ${unknown.join(', ')} (available: ${this.names().join(', ')})`);
+    }
+    if (enabled.length > 0) {
+      this.parsers = this.parsers.filter(parser => enabled.includes(parser.name));
+    }
+  }
+
+  register(parser) {
+    for (const key of ['name', 'schema', 'detect', 'parse']) {
+      if (!parser?.[key]) throw new Error(`Signal parser ${parser?.name || '?'} has no ${key}`);
+    }
+    if (this.get(parser.name)) {
+      throw new Error(`Signal parser ${parser.name} is already registered`);
+    }
+
+    this.parsers.push(parser);
+    this.parsers.sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100));
+  }
+
+  get(name) {
+    return this.parsers.find(parser => parser.name === name) || null;
+  }
+
+  names() {
+    return this.parsers.map(parser => parser.name);
+  }
+
+  /**
+   * @param {string} text
+   * @param {{ parsers?: string[] }} [options] — обмежити набір парсерів (напр. для конкретного каналу)
+   * @returns {{ ok: true, parser, confidence, fields, attempts }
+   *         | { ok: false, reason, ambiguous, attempts }}
+   *   attempts — [{ parser, reason }] парсерів, що впізнали формат, але відмовили
+   */
+  parse(text, { parsers = null } = {}) {
+    const attempts = [];
+    const candidates = parsers ? this.parsers.filter(parser => parsers.includes(parser.name)) : this.parsers;
+
+    for (const parser of candidates) {
+      if (!text || !parser.detect(text)) continue;
+
+      const result = this._runParser(parser, text);
+      if (result.ok) {
+        return { ...result, attempts };
+      }
+
+      attempts.push({ parser: parser.name, reason: result.reason });
+      if (result.ambiguous) {
+        return { ok: false, reason: `${parser.name}: ambiguous signal, ${result.reason}`, ambiguous: true, attempts };
+      }
+    }
+
+    return {
+      ok: false,
+      reason: attempts.length > 0
+        ? attempts.map(attempt => `${attempt.parser}: ${attempt.reason}`).join('; ')
+        : 'no parser recognised the message format',
+      ambiguous: false,
+      attempts
+    };
+  }
+
+  /**
+   * Один парсер: parse → схема → поріг confidence
+   */
+  _runParser(parser, text) {
+    let result;
+    try {
+      result = parser.parse(text);
+    } catch (error) {
+      return { ok: false, reason: `parser error: ${error.message}` };
+    }
+
+    if (result.error) {
+      return { ok: false, reason: result.error, ambiguous: Boolean(result.ambiguous) };
+    }
+
+    const schemaError = validateSchema(result.fields, parser.schema);
+    if (schemaError) {
+      return { ok: false, reason: `schema: ${schemaError}` };
+    }
+
+    if (!(result.confidence >= this.minConfidence)) {
+      return { ok: false, reason: `confidence ${result.confidence} below ${this.minConfidence}` };
+    }
+
+    return { ok: true, parser: parser.name, confidence: result.confidence, fields: result.fields };
+  }
+
+  /**
+   * Прогін фікстур усіх зареєстрованих парсерів (кожна — тільки своїм парсером)
+   * @returns {{ parser, fixture, passed, detail }[]}
+   */
+  runFixtures() {
+    const results = [];
+
+    for (const parser of this.parsers) {
+      for (const fixture of parser.fixtures || []) {
+        const result = this._runParser(parser, fixture.text);
+        const { rejected, ...expected } = fixture.expect;
+
+        let passed;
+        let detail;
+        if (rejected) {
+          passed = !result.ok && result.reason.includes(rejected);
+          detail = result.ok ? `accepted ${JSON.stringify(result.fields)}` : result.reason;
+        } else {
+          const actual = result.ok ? { ...result.fields, confidence: result.confidence } : null;
+          passed = Boolean(actual) && JSON.stringify(sortKeys(actual)) === JSON.stringify(sortKeys(expected));
+          detail = actual ? JSON.stringify(actual) : result.reason;
+        }
+
+        results.push({ parser: parser.name, fixture: fixture.name, passed, detail });
+      }
+    }
+
+    return results;
+  }
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export default SignalParserRegistry;
@@ -0,0 +1,597 @@
+import { config } from '../config/settings.js';
+import { ExchangeAdapter } from './exchange-adapter.js';
+import { parseMarket } from './market-registry.service.js';
+import { CANDLE_INTERVALS_MS } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+
+/**
+ * SimulatedExchange
+ *
+ * In-memory біржа з тим самим контрактом, що й ExtendedService.
+ * Ціни — random walk з кроком config.exchange.simulated.tickMs.
+ *
+ * Модель ордерів (спрощено під те, що використовує бот):
+ *   - entry LIMIT: fill одразу, якщо перетинає book, інакше висить до перетину
+ *   - TP / SL: умовні reduce-only ордери; після trigger стають LIMIT і
+ *     заповнюються, коли book перетинає limit ціну
+ *   - fee = 0 (maker), одна net позиція на market
+ */
+export class SimulatedExchange extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('simulated');
+
+    const sim = { ...config.exchange.simulated, ...options };
+
+    this.balance = sim.startBalance;
+    this.prices = new Map(Object.entries(sim.prices));
+    this.spreadPercent = sim.spreadPercent;
+    this.volatilityPercent = sim.volatilityPercent;
+    this.tickMs = sim.tickMs;
+    this.bookLevelNotional = sim.bookLevelNotional;
+    this.fundingRate = sim.fundingRate;
+    this.fundingIntervalMs = sim.fundingIntervalMs;
+    this.nextFundingTime = Date.now() + this.fundingIntervalMs;
+
+    this.positions = new Map();  // symbol → { symbol, side, direction, size, entryPrice, leverage }
+    this.orders = new Map();     // id → order
+    this.trades = [];
+    this.fundingPayments = [];
+    this.leverage = new Map();   // symbol → leverage
+    this.nextId = 1;
+    this.tickTimer = null;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // CONNECTION
+  // ═══════════════════════════════════════════════════════════
+
+  async connect() {
+    if (!this.tickTimer) {
+      this.tickTimer = setInterval(() => this._tick(), this.tickMs);
+      this.tickTimer.unref();
+    }
+
+    logger.info(`[SIM] ✅ Simulated exchange ready: ${Array.from(this.prices.keys()).join(', ')}`);
+    return true;
+  }
+
+  stopStream() {
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // ACCOUNT / MARKET DATA
+  // ═══════════════════════════════════════════════════════════
+
+  async getBalance() {
+    // Доступно = кеш мінус маржа відкритих позицій
+    let usedMargin = 0;
+    for (const pos of this.positions.values()) {
+      usedMargin += (pos.size * pos.entryPrice) / pos.leverage;
+    }
+    return this.balance - usedMargin;
+  }
+
+  /**
+   * Cross margin спрощено: margin ratio = використана маржа / equity,
+   * ліквідація позиції — коли збиток = її маржа (як ізольована)
+   */
+  async getAccountHealth() {
+    const positions = this.getCachedPositions();
+    const usedMargin = positions.reduce((sum, pos) => sum + (pos.size * pos.entryPrice) / pos.leverage, 0);
+    const unrealisedPnl = positions.reduce((sum, pos) => sum + pos.unrealisedPnl, 0);
+    const equity = this.balance + unrealisedPnl;
+
+    return {
+      equity,
+      balance: this.balance,
+      availableForTrade: equity - usedMargin,
+      usedMargin,
+      unrealisedPnl,
+      marginRatioPercent: equity > 0 ? (usedMargin / equity) * 100 : 100,
+      positions: positions.map(position => this._positionRisk(position))
+    };
+  }
+
+  async getCurrentPrice(symbol) {
+    return this._bookTop(this._requireMarket(symbol));
+  }
+
+  getCachedBookTop(symbol) {
+    return this.prices.has(symbol) ? this._bookTop(symbol) : null;
+  }
+
+  async getOrderBook(symbol, depth = config.liquidity.depthLevels) {
+    const { bestBid, bestAsk, lastPrice } = this._bookTop(this._requireMarket(symbol));
+    const step = lastPrice * (this.spreadPercent / 100);
+    const qty = this.bookLevelNotional / lastPrice;
+
+    const levels = (best, direction) => Array.from({ length: depth }, (_, i) => ({
+      price: best + direction * step * i,
+      qty
+    }));
+
+    return { symbol, bids: levels(bestBid, -1), asks: levels(bestAsk, 1), ts: Date.now() };
+  }
+
+  /**
+   * Синтетична історія: random walk назад від поточної ціни.
+   * Волатильність свічки = volatilityPercent за тік × √(тіків у свічці).
+   */
+  async getCandles(symbol, interval = config.volatility.candleInterval, limit = config.volatility.candleLimit) {
+    this._requireMarket(symbol);
+
+    const intervalMs = CANDLE_INTERVALS_MS[interval];
+    if (!intervalMs) throw new Error(`Unsupported candle interval ${interval}`);
+
+    const subSteps = 12;
+    const stepVol = (this.volatilityPercent / 100) * Math.sqrt(intervalMs / this.tickMs / subSteps);
+    const currentOpenTime = Math.floor(Date.now() / intervalMs) * intervalMs;
+
+    const candles = [];
+    let close = this.prices.get(symbol);
+
+    for (let i = 0; i < limit; i++) {
+      // Йдемо від close до open, збираючи high / low по дорозі
+      let price = close;
+      let high = close;
+      let low = close;
+      for (let step = 0; step < subSteps; step++) {
+        price *= 1 + (Math.random() * 2 - 1) * stepVol;
+        high = Math.max(high, price);
+        low = Math.min(low, price);
+      }
+
+      candles.unshift({ openTime: currentOpenTime - i * intervalMs, open: price, high, low, close, volume: 0 });
+      close = price;
+    }
+
+    return candles;
+  }
+
+  async getFundingRate(symbol) {
+    this._requireMarket(symbol);
+    return {
+      symbol,
+      currentRate: this.fundingRate,
+      predictedRate: this.fundingRate,
+      nextFundingTime: this.nextFundingTime
+    };
+  }
+
+  async getMarketInfo(symbol) {
+    this._requireMarket(symbol);
+
+    // Кроки ціни / qty підбираємо під порядок ціни
+    const price = this.prices.get(symbol);
+    const magnitude = Math.pow(10, Math.floor(Math.log10(price)));
+
+    return parseMarket({
+      name: symbol,
+      status: 'ACTIVE',
+      tradingConfig: {
+        minOrderSize: String(Math.max(0.0001, 10 / magnitude)),
+        minOrderSizeChange: String(Math.max(0.0001, 1 / magnitude)),
+        minPriceChange: String(Math.max(0.0001, magnitude / 10000)),
+        maxLeverage: '50'
+      }
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // TRADING
+  // ═══════════════════════════════════════════════════════════
+
+  async getLeverage() {
+    return Object.fromEntries(
+      Array.from(this.prices.keys(), symbol => [symbol, this.leverage.get(symbol) || config.risk.leverage])
+    );
+  }
+
+  async setLeverage(symbol, leverage) {
+    this._requireMarket(symbol);
+    this.leverage.set(symbol, leverage);
+    logger.info(`[SIM] Leverage ${leverage}x set for ${symbol}`);
+    return true;
+  }
+
+  async createOrderWithTPSL({ symbol, side, quantity, entryPrice, priceData, tp, sl, entryBuffer }) {
+    this._requireMarket(symbol);
+
+    const buffer = entryBuffer ?? config.extendedConst.entryLimitBuffer;
+    const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
+    const qty = parseFloat(quantity);
+
+    const entryLimitPrice = side === 'BUY'
+      ? (priceData?.bestAsk || entryPrice) * (1 + buffer)
+      : (priceData?.bestBid || entryPrice) * (1 - buffer);
+
+    const externalId = `sim-${Date.now().toString(36)}-${this.nextId}`;
+    const entry = this._addOrder({ externalId, market: symbol, side, type: 'LIMIT', price: entryLimitPrice, qty });
+
+    // TP: LONG → спрацьовує при рості (UP), SHORT → при падінні (DOWN). SL — навпаки.
+    // Дочірні TP/SL — як у Extended: без externalId, зв'язок з entry через parentId
+    const tpDirection = side === 'BUY' ? 'UP' : 'DOWN';
+    const slDirection = side === 'BUY' ? 'DOWN' : 'UP';
+
+    this._addOrder({
+      externalId: null, parentId: entry.id, market: symbol, side: closeSide, type: 'TPSL', tpSlType: 'ORDER',
+      price: tp.limitPrice, triggerPrice: tp.triggerPrice, triggerDirection: tpDirection, qty,
+      reduceOnly: true, status: 'UNTRIGGERED'
+    });
+    this._addOrder({
+      externalId: null, parentId: entry.id, market: symbol, side: closeSide, type: 'TPSL', tpSlType: 'ORDER',
+      price: sl.limitPrice, triggerPrice: sl.triggerPrice, triggerDirection: slDirection, qty,
+      reduceOnly: true, status: 'UNTRIGGERED'
+    });
+
+    logger.info(`[SIM] Order ${entry.id}: ${side} ${qty} ${symbol} @ ${entryLimitPrice.toFixed(4)} (TP ${tp.triggerPrice}, SL ${sl.triggerPrice})`);
+
+    this._matchOrder(entry);
+
+    return {
+      orderId: entry.id,
+      externalId,
+      symbol,
+      side,
+      quantity,
+      entryLimitPrice,
+      tp,
+      sl
+    };
+  }
+
+  async cancelOrder(orderId, symbol) {
+    const order = this.orders.get(String(orderId));
+
+    if (!order || (symbol && order.market !== symbol)) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+
+    if (['NEW', 'PARTIALLY_FILLED', 'UNTRIGGERED', 'TRIGGERED'].includes(order.status)) {
+      this._setStatus(order, 'CANCELLED');
+      logger.info(`[SIM] Order ${orderId} cancelled`);
+    }
+
+    return true;
+  }
+
+  async cancelAllOrders(symbol = null) {
+    for (const order of await this.getOpenOrders(symbol)) {
+      this._setStatus(this.orders.get(order.id), 'CANCELLED');
+    }
+    logger.info(`[SIM] All orders cancelled${symbol ? ` on ${symbol}` : ''}`);
+    return true;
+  }
+
+  async closePosition(symbol, qty = null) {
+    const position = this.positions.get(symbol);
+    if (!position) return null;
+
+    const closeQty = qty === null ? position.size : qty;
+    if (closeQty <= 0 || closeQty > position.size) {
+      throw new Error(`Invalid close qty ${closeQty} for ${symbol} position of ${position.size}`);
+    }
+
+    const side = position.side === 'BUY' ? 'SELL' : 'BUY';
+    const { bestBid, bestAsk } = this._bookTop(symbol);
+    const slippage = config.extendedConst.closeSlippage;
+    const price = side === 'SELL' ? bestBid * (1 - slippage) : bestAsk * (1 + slippage);
+
+    const externalId = `sim-${Date.now().toString(36)}-${this.nextId}`;
+    const order = this._addOrder({
+      externalId, market: symbol, side, type: 'MARKET', price, qty: closeQty, reduceOnly: true
+    });
+
+    this._matchOrder(order);
+
+    // IOC: незаповнений залишок не лишається в книзі
+    if (order.status === 'NEW' || order.status === 'PARTIALLY_FILLED') {
+      this._setStatus(order, 'CANCELLED');
+    }
+
+    logger.info(`[SIM] Close ${symbol}: ${side} ${order.filledQty} reduce-only (order ${order.id}, ${order.status})`);
+
+    return { orderId: order.id, externalId, symbol, side, quantity: order.filledQty, price };
+  }
+
+  async amendTakeProfit(symbol, tp, options = {}) {
+    return this._amendPositionLeg(symbol, 'takeProfit', tp, options);
+  }
+
+  async amendStopLoss(symbol, sl, options = {}) {
+    return this._amendPositionLeg(symbol, 'stopLoss', sl, options);
+  }
+
+  // Старий leg — за triggerDirection (тип leg), trigger — відносно поточної ціни
+  async _amendPositionLeg(symbol, kind, leg) {
+    const position = this.positions.get(symbol);
+    if (!position) throw new Error(`No open position on ${symbol}`);
+
+    const isLong = position.side === 'BUY';
+    const closeSide = isLong ? 'SELL' : 'BUY';
+    const up = isLong === (kind === 'takeProfit');
+    const triggerPrice = parseFloat(leg.triggerPrice);
+
+    const marketPrice = this.prices.get(symbol);
+    if ((triggerPrice > marketPrice) !== up) {
+      throw new Error(`${kind} trigger ${triggerPrice} is on the wrong side of market ${marketPrice}`);
+    }
+
+    const previous = Array.from(this.orders.values()).filter(order =>
+      order.market === symbol && order.type === 'TPSL' && order.status === 'UNTRIGGERED' &&
+      order.side === closeSide && order.triggerDirection === (up ? 'UP' : 'DOWN')
+    );
+
+    const externalId = `sim-${Date.now().toString(36)}-${this.nextId}`;
+    const order = this._addOrder({
+      externalId, market: symbol, side: closeSide, type: 'TPSL',
+      price: parseFloat(leg.limitPrice), triggerPrice, triggerDirection: up ? 'UP' : 'DOWN',
+      qty: position.size, reduceOnly: true, status: 'UNTRIGGERED'
+    });
+
+    previous.forEach(old => this._setStatus(old, 'CANCELLED'));
+    logger.info(`[SIM] ${kind} on ${symbol} → ${triggerPrice} (order ${order.id}, replaced ${previous.map(o => o.id).join(', ') || 'none'})`);
+
+    return { orderId: order.id, externalId, symbol, kind, replacedOrderIds: previous.map(o => o.id) };
+  }
+
+  async getOrderByExternalId(externalId) {
+    for (const order of this.orders.values()) {
+      if (order.externalId === externalId) return { ...order };
+    }
+    return null;
+  }
+
+  async getOpenOrders(symbol = null) {
+    return Array.from(this.orders.values())
+      .filter(order => !symbol || order.market === symbol)
+      .filter(order => ['NEW', 'PARTIALLY_FILLED', 'UNTRIGGERED', 'TRIGGERED'].includes(order.status))
+      .map(order => ({ ...order }));
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // POSITIONS / FILLS
+  // ═══════════════════════════════════════════════════════════
+
+  async getPositions(symbol = null) {
+    return this.getCachedPositions(symbol);
+  }
+
+  getCachedPositions(symbol = null) {
+    return Array.from(this.positions.values())
+      .filter(pos => !symbol || pos.symbol === symbol)
+      .map(pos => this._positionView(pos));
+  }
+
+  async getTradeHistory(symbol = null, limit = 50) {
+    return this.trades
+      .filter(t => !symbol || t.market === symbol)
+      .slice(-limit)
+      .reverse();
+  }
+
+  async getTradesSince(symbol, sinceMs) {
+    return this.trades.filter(t => (!symbol || t.market === symbol) && t.createdTime >= sinceMs);
+  }
+
+  async getFundingPayments(symbol, sinceMs) {
+    return this.fundingPayments.filter(p => (!symbol || p.symbol === symbol) && p.paidTime >= sinceMs);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // ENGINE
+  // ═══════════════════════════════════════════════════════════
+
+  _requireMarket(symbol) {
+    if (!this.prices.has(symbol)) {
+      throw new Error(`Market ${symbol} not found`);
+    }
+    return symbol;
+  }
+
+  _bookTop(symbol) {
+    const lastPrice = this.prices.get(symbol);
+    const halfSpread = lastPrice * (this.spreadPercent / 100) / 2;
+    return { lastPrice, bestBid: lastPrice - halfSpread, bestAsk: lastPrice + halfSpread };
+  }
+
+  _addOrder(fields) {
+    const order = {
+      id: String(this.nextId++),
+      status: 'NEW',
+      filledQty: 0,
+      averagePrice: null,
+      reduceOnly: false,
+      createdTime: Date.now(),
+      ...fields
+    };
+    this.orders.set(order.id, order);
+    this.emit('order', { ...order });
+    return order;
+  }
+
+  _setStatus(order, status) {
+    order.status = status;
+    order.updatedTime = Date.now();
+    this.emit('order', { ...order });
+  }
+
+  _tick() {
+    for (const [symbol, price] of this.prices.entries()) {
+      // Random walk: ±volatility% за тік
+      const change = (Math.random() * 2 - 1) * (this.volatilityPercent / 100);
+      this.prices.set(symbol, price * (1 + change));
+      this.emit('bookTop', symbol, this._bookTop(symbol));
+    }
+
+    if (Date.now() >= this.nextFundingTime) {
+      this._applyFunding();
+    }
+
+    for (const order of Array.from(this.orders.values())) {
+      if (order.status === 'UNTRIGGERED') {
+        this._checkTrigger(order);
+      }
+      if (order.status === 'NEW' || order.status === 'TRIGGERED') {
+        this._matchOrder(order);
+      }
+    }
+  }
+
+  _applyFunding() {
+    const paidTime = Date.now();
+    this.nextFundingTime = paidTime + this.fundingIntervalMs;
+
+    for (const pos of this.positions.values()) {
+      // rate > 0: LONG платить, SHORT отримує
+      const value = pos.size * this.prices.get(pos.symbol);
+      const amount = (pos.side === 'BUY' ? -1 : 1) * value * this.fundingRate;
+
+      this.balance += amount;
+      this.fundingPayments.push({ symbol: pos.symbol, amount, rate: this.fundingRate, paidTime });
+      logger.info(`[SIM] Funding ${pos.symbol}: ${amount.toFixed(4)} (rate ${this.fundingRate})`);
+    }
+  }
+
+  _checkTrigger(order) {
+    // Дочірні TP/SL активуються тільки після fill entry
+    const parent = order.parentId ? this.orders.get(order.parentId) : null;
+    if (parent && parent.status !== 'FILLED') {
+      if (parent.status === 'CANCELLED' || parent.status === 'EXPIRED') {
+        this._setStatus(order, 'CANCELLED');
+      }
+      return;
+    }
+
+    const price = this.prices.get(order.market);
+    const triggered = order.triggerDirection === 'UP'
+      ? price >= order.triggerPrice
+      : price <= order.triggerPrice;
+
+    if (triggered) {
+      logger.info(`[SIM] ${order.market} trigger ${order.triggerPrice} hit (price ${price.toFixed(4)}), order ${order.id}`);
+      this._setStatus(order, 'TRIGGERED');
+    }
+  }
+
+  _matchOrder(order) {
+    const { bestBid, bestAsk } = this._bookTop(order.market);
+
+    let fillPrice = null;
+    if (order.side === 'BUY' && bestAsk <= order.price) fillPrice = bestAsk;
+    if (order.side === 'SELL' && bestBid >= order.price) fillPrice = bestBid;
+    if (fillPrice === null) return;
+
+    let qty = order.qty - order.filledQty;
+
+    if (order.reduceOnly) {
+      const position = this.positions.get(order.market);
+      const closesPosition = position && position.side !== order.side;
+      if (!closesPosition) {
+        this._setStatus(order, 'CANCELLED');
+        return;
+      }
+      qty = Math.min(qty, position.size);
+    }
+
+    this._fill(order, qty, fillPrice);
+  }
+
+  _fill(order, qty, price) {
+    const trade = {
+      id: String(this.nextId++),
+      market: order.market,
+      orderId: order.id,
+      side: order.side,
+      price: String(price),
+      qty: String(qty),
+      fee: '0',
+      createdTime: Date.now()
+    };
+    this.trades.push(trade);
+
+    const prevCost = (order.averagePrice || 0) * order.filledQty;
+    order.filledQty += qty;
+    order.averagePrice = (prevCost + qty * price) / order.filledQty;
+    this._setStatus(order, order.filledQty >= order.qty ? 'FILLED' : 'PARTIALLY_FILLED');
+
+    this.emit('fill', {
+      id: trade.id,
+      symbol: trade.market,
+      orderId: trade.orderId,
+      side: trade.side,
+      price,
+      qty,
+      fee: 0,
+      createdTime: trade.createdTime
+    });
+
+    this._applyToPosition(order.market, order.side, qty, price);
+  }
+
+  _applyToPosition(symbol, side, qty, price) {
+    const position = this.positions.get(symbol);
+
+    // Відкриття / збільшення
+    if (!position || position.side === side) {
+      const size = (position?.size || 0) + qty;
+      const entryPrice = position
+        ? (position.entryPrice * position.size + price * qty) / size
+        : price;
+
+      const updated = {
+        symbol,
+        side,
+        direction: side === 'BUY' ? 'LONG' : 'SHORT',
+        size,
+        entryPrice,
+        leverage: this.leverage.get(symbol) || config.risk.leverage
+      };
+      this.positions.set(symbol, updated);
+      this.emit('position', this._positionView(updated));
+      return;
+    }
+
+    // Зменшення / закриття
+    const closedQty = Math.min(qty, position.size);
+    const pnl = position.side === 'BUY'
+      ? (price - position.entryPrice) * closedQty
+      : (position.entryPrice - price) * closedQty;
+
+    this.balance += pnl;
+    position.size -= closedQty;
+
+    if (position.size <= 1e-12) {
+      this.positions.delete(symbol);
+      logger.info(`[SIM] ${symbol} position closed @ ${price.toFixed(4)}, P&L ${pnl.toFixed(2)}`);
+      this.emit('positionClosed', { ...this._positionView(position), size: 0 });
+    } else {
+      this.emit('position', this._positionView(position));
+    }
+  }
+
+  _positionView(pos) {
+    const markPrice = this.prices.get(pos.symbol);
+    const unrealisedPnl = pos.side === 'BUY'
+      ? (markPrice - pos.entryPrice) * pos.size
+      : (pos.entryPrice - markPrice) * pos.size;
+
+    return {
+      symbol: pos.symbol,
+      side: pos.side,
+      direction: pos.direction,
+      size: pos.size,
+      entryPrice: pos.entryPrice,
+      markPrice,
+      unrealisedPnl,
+      leverage: pos.leverage,
+      liquidationPrice: pos.side === 'BUY'
+        ? pos.entryPrice * (1 - 1 / pos.leverage)
+        : pos.entryPrice * (1 + 1 / pos.leverage)
+    };
+  }
+}
+
+export default SimulatedExchange;
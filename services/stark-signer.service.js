@@ -1,5 +1,9 @@
+import net from 'net';
 import * as starknet from '@scure/starknet';
 import { config } from '../config/settings.js';
+import { buildOrderStruct, hashOrderMessage } from '../utils/stark-order-hash.js';
+import { unlockKeystore } from '../utils/keystore.js';
+import nonceManager from './nonce.service.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -7,33 +11,91 @@ import logger from '../utils/logger.js';
  * 
  * Відповідь за:
  * - Генерацію Stark EC підписів для ордерів
- * - Створення hash-а з параметрів ордера (pedersen chain)
- * - Генерацію nonce та external order ID
+ * - Створення hash-а з параметрів ордера (SNIP-12 Poseidon, utils/stark-order-hash.js)
+ * - Видачу nonce (nonce.service — персистентний лічильник) та external order ID
  * 
  * Використовує @scure/starknet:
- *   starknet.pedersen(a, b) → hex string
  *   starknet.sign(msgHash, privateKey) → { r: bigint, s: bigint }
  * 
  * Кожен ордер (entry, TP, SL) потребує окремого підпису.
+ * Hash залежить від l2Config market (asset ids, resolutions) — його передає caller.
+ *
+ * Джерело ключа (config.signer.mode):
+ *   local  — ключ у процесі: зашифрований keystore (passphrase при старті) або env
+ *   remote — ключа в процесі немає; підпис робить scripts/signer-daemon.js
+ *            через Unix socket і сам перевіряє policy (markets, notional, rate)
+ *
+ * Підпис асинхронний: init() розблоковує keystore / питає daemon про ключ один раз.
  */
 class StarkSigner {
   constructor() {
-    this.privateKey = config.extended.starkPrivateKey;
+    this.mode = config.signer.mode;
+    this.privateKey = null;
     this.publicKey = config.extended.starkPublicKey;
     this.vaultId = config.extended.vaultId;
+    this.ready = null; // Promise init()
+  }
+
+  /**
+   * Готує ключ. Безпечно викликати багато разів — робота виконується один раз.
+   * Викликається з connect(), тож keystore розблоковується при старті, а не на першому ордері.
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this._init().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async _init() {
+    if (this.mode === 'remote') {
+      const info = await this._remoteRequest('info');
+      // Daemon з іншим EXTENDED_NETWORK підписував би іншим SNIP-12 domain
+      if (info.chainId !== config.extended.signingDomain.chainId) {
+        throw new Error(`Signer signs for chain ${info.chainId}, but ${config.network.label} expects ${config.extended.signingDomain.chainId}`);
+      }
+      if (this.vaultId && String(info.vaultId) !== String(this.vaultId)) {
+        throw new Error(`Signer vault ${info.vaultId} does not match EXTENDED_VAULT_ID ${this.vaultId}`);
+      }
+      this.publicKey = info.publicKey;
+      this.vaultId = info.vaultId;
+      logger.info(`[STARK] Remote signer at ${config.signer.socketPath} (chain ${info.chainId})`);
+    } else if (config.signer.keystoreFile) {
+      const { privateKey } = await unlockKeystore(config.signer.keystoreFile, config.signer.keystorePassphrase);
+      this.privateKey = privateKey;
+      this._checkPublicKey();
+      logger.info(`[STARK] Keystore unlocked: ${config.signer.keystoreFile}`);
+    } else {
+      this.privateKey = config.extended.starkPrivateKey;
+      this._checkPublicKey();
+      logger.warn('[STARK] Using plaintext EXTENDED_STARK_PRIVATE_KEY (consider EXTENDED_KEYSTORE_FILE)');
+    }
 
-    logger.info('[STARK] StarkSigner initialized');
     logger.info(`[STARK] Public Key: ${this.publicKey ? this.publicKey.slice(0, 12) + '...' : '⚠️ UNDEFINED'}`);
     logger.info(`[STARK] Vault ID: ${this.vaultId || '⚠️ UNDEFINED'}`);
   }
 
   /**
-   * Генерує nonce: random integer [1, 2^31 - 1]
-   * Extended вимога: nonce ≥ 1 і ≤ 2^31
+   * Public key з приватного ключа (keystore або env); EXTENDED_STARK_PUBLIC_KEY, якщо заданий,
+   * має збігатись — інакше перевірка акаунта пройде по public key, а всі підписи будуть невалідні
    */
-  generateNonce() {
-    const max = Math.pow(2, 31) - 1;
-    return Math.floor(Math.random() * max) + 1;
+  _checkPublicKey() {
+    const derived = starknet.getStarkKey(this.privateKey);
+    if (this.publicKey && BigInt(this.publicKey) !== BigInt(derived)) {
+      throw new Error(`Stark private key (public ${derived.slice(0, 12)}...) does not match EXTENDED_STARK_PUBLIC_KEY`);
+    }
+    this.publicKey = derived;
+  }
+
+  /**
+   * Наступний nonce акаунта (унікальний, переживає рестарт)
+   * @param {{ externalId, market, side, role }} [meta] — для ledger nonce → ордер
+   */
+  generateNonce(meta = {}) {
+    return nonceManager.next(meta);
   }
 
   /**
@@ -47,65 +109,32 @@ class StarkSigner {
   }
 
   /**
-   * Створює order hash з параметрів (Pedersen chain).
-   * 
-   * Extended хеш-структура порядку полів:
-   *   market, side, type, qty, price, timeInForce, expiryEpochMillis, fee, nonce, vaultId
-   * 
-   * Кожне поле конвертується в felt (hex string) і хешується
-   * через послідовні вызови pedersen.
-   * 
-   * NOTE: Точний порядок полів та форматування може потребувати
-   * коригування під конкретну версію Extended API.
-   * Сверніть увагу на Python SDK reference для валідації.
+   * Order hash за схемою Extended (SNIP-12 rev1, domain з config.extended.signingDomain).
+   *
+   * З тіла ордера в hash ідуть side, qty, price, fee, expiryEpochMillis;
+   * market визначається asset ids з l2Config, position id = vault.
+   *
+   * @param {Object} orderParams — { side, qty, price, fee, expiryEpochMillis } (qty / price — точні рядки)
+   * @param {number} nonce
+   * @param {Object} l2Config — marketInfo.l2Config
+   * @returns {string} hex
    */
-  getOrderHash(orderParams, nonce) {
-    const {
-      market,
-      side,
-      type = 'LIMIT',
-      qty,
-      price,
-      timeInForce = 'GTT',
-      expiryEpochMillis,
-      fee
-    } = orderParams;
-
-    // Конвертуємо кожен елемент в hex felt string
-    // Строкові поля → кодуємо через хеш їх ASCII
-    const marketFelt = this.stringToFelt(market);
-    const sideFelt = this.stringToFelt(side);       // 'BUY' / 'SELL'
-    const typeFelt = this.stringToFelt(type);       // 'LIMIT' / 'MARKET' / 'TPSL'
-    const tifFelt = this.stringToFelt(timeInForce); // 'GTT' / 'IOC'
-
-    // Числові поля → hex (felt = BigInt → hex string)
-    const qtyFelt = this.decimalToFelt(qty);
-    const priceFelt = this.decimalToFelt(price);
-    const expiryFelt = '0x' + BigInt(expiryEpochMillis).toString(16);
-    const feeFelt = this.decimalToFelt(fee);
-    const nonceFelt = '0x' + BigInt(nonce).toString(16);
-    const vaultFelt = '0x' + BigInt(this.vaultId).toString(16);
-
-    // Pedersen chain: h = pedersen(pedersen(...pedersen(0, field1), field2), ...)
-    let hash = '0x0';
-    const fields = [
-      marketFelt,
-      sideFelt,
-      typeFelt,
-      qtyFelt,
-      priceFelt,
-      tifFelt,
-      expiryFelt,
-      feeFelt,
-      nonceFelt,
-      vaultFelt
-    ];
-
-    for (const field of fields) {
-      hash = starknet.pedersen(hash, field);
-    }
+  getOrderHash(orderParams, nonce, l2Config) {
+    const order = buildOrderStruct(orderParams, l2Config, { nonce, vaultId: this.vaultId });
+    return hashOrderMessage(order, this.publicKey, config.extended.signingDomain);
+  }
 
-    return hash;
+  /**
+   * Stark amounts ордера у форматі debuggingAmounts тіла запиту —
+   * біржа порівнює їх зі своїм перерахунком і повертає зрозумілу помилку
+   */
+  getDebuggingAmounts(orderParams, l2Config) {
+    const order = buildOrderStruct(orderParams, l2Config, { nonce: 0, vaultId: this.vaultId });
+    return {
+      collateralAmount: order.quoteAmount.toString(),
+      feeAmount: order.feeAmount.toString(),
+      syntheticAmount: order.baseAmount.toString()
+    };
   }
 
   /**
@@ -113,17 +142,25 @@ class StarkSigner {
    * 
    * @param {Object} orderParams — параметри ордера (market, side, qty, price, ...)
    * @param {number} nonce — unique nonce для цього ордера
-   * @returns {{ r: string, s: string }} Stark signature
+   * @param {Object} l2Config — marketInfo.l2Config
+   * @returns {Promise<{ r: string, s: string }>} Stark signature
    */
-  signOrder(orderParams, nonce) {
+  async signOrder(orderParams, nonce, l2Config) {
     try {
-      const msgHash = this.getOrderHash(orderParams, nonce);
+      await this.init();
 
-      // starknet.sign(msgHash, privateKey) → { r: bigint, s: bigint }
-      const signature = starknet.sign(msgHash, this.privateKey);
+      let r, s;
+      if (this.mode === 'remote') {
+        // Hash рахує daemon сам — підписує тільки те, що перевірив policy
+        ({ r, s } = await this._remoteRequest('sign', { orderParams, nonce, l2Config }));
+      } else {
+        const msgHash = this.getOrderHash(orderParams, nonce, l2Config);
 
-      const r = '0x' + signature.r.toString(16);
-      const s = '0x' + signature.s.toString(16);
+        // starknet.sign(msgHash, privateKey) → { r: bigint, s: bigint }
+        const signature = starknet.sign(msgHash, this.privateKey);
+        r = '0x' + signature.r.toString(16);
+        s = '0x' + signature.s.toString(16);
+      }
 
       logger.info(`[STARK] Order signed. Nonce: ${nonce}, r: ${r.slice(0, 14)}...`);
 
@@ -148,59 +185,78 @@ class StarkSigner {
   /**
    * Підписує і формує settlement для entry + TP + SL за один раз.
    * 
-   * @returns {Object} { entry, tp, sl } — кожен містить { nonce, settlement }
+   * @param {Object} l2Config — marketInfo.l2Config
+   * @param {string} externalId — id ордера в ledger nonce
+   * @returns {Promise<Object>} { entry, tp, sl } — кожен містить { nonce, settlement, debuggingAmounts }
    */
-  signFullOrder(entryParams, tpParams, slParams) {
-    const entryNonce = this.generateNonce();
-    const tpNonce = this.generateNonce();
-    const slNonce = this.generateNonce();
+  async signFullOrder(entryParams, tpParams, slParams, l2Config, externalId = null) {
+    const legs = [['ENTRY', entryParams], ['TP', tpParams], ['SL', slParams]];
+    const nonces = nonceManager.reserve(legs.length, legs.map(([role, params]) => ({
+      externalId,
+      market: params.market,
+      side: params.side,
+      role
+    })));
 
-    const entrySig = this.signOrder(entryParams, entryNonce);
-    const tpSig = this.signOrder(tpParams, tpNonce);
-    const slSig = this.signOrder(slParams, slNonce);
+    const sign = async (params, nonce) => ({
+      nonce,
+      settlement: this.buildSettlement(await this.signOrder(params, nonce, l2Config)),
+      debuggingAmounts: this.getDebuggingAmounts(params, l2Config)
+    });
 
-    return {
-      entry: {
-        nonce: entryNonce,
-        settlement: this.buildSettlement(entrySig)
-      },
-      tp: {
-        nonce: tpNonce,
-        settlement: this.buildSettlement(tpSig)
-      },
-      sl: {
-        nonce: slNonce,
-        settlement: this.buildSettlement(slSig)
-      }
-    };
+    const [entry, tp, sl] = await Promise.all([
+      sign(entryParams, nonces[0]),
+      sign(tpParams, nonces[1]),
+      sign(slParams, nonces[2])
+    ]);
+    return { entry, tp, sl };
   }
 
-  // ─── Utility: string → felt (简单 keccak / pedersen hash) ───────────
+  // ─── Remote signer: один JSON-рядок запиту → один JSON-рядок відповіді ───
 
   /**
-   * Конвертує short ASCII string в felt.
-   * Для полів типу 'BTC-USD', 'BUY', 'SELL', 'LIMIT', 'GTT' / 'IOC'
-   * — прості ASCII strings помещаются в felt напрямую через hex encoding.
+   * @param {string} method — info | sign
+   * @param {Object} [params]
+   * @returns {Promise<Object>} result; відмова policy / помилка daemon → throw
    */
-  stringToFelt(str) {
-    if (!str) return '0x0';
-    let hex = '';
-    for (let i = 0; i < str.length; i++) {
-      hex += str.charCodeAt(i).toString(16).padStart(2, '0');
-    }
-    return '0x' + hex;
-  }
+  _remoteRequest(method, params = {}) {
+    const { socketPath, timeoutMs } = config.signer;
 
-  /**
-   * Конвертує decimal string (ціна / qty / fee) в felt.
-   * Наприклад: "42000.50" → BigInt representation
-   * Extended використовує fixed-point: умножаємо на 10^8 і берёмо целую часть.
-   */
-  decimalToFelt(value) {
-    const PRECISION = 8;
-    const factor = BigInt(10 ** PRECISION);
-    const bigVal = BigInt(Math.round(parseFloat(value) * Number(factor)));
-    return '0x' + bigVal.toString(16);
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(socketPath);
+      socket.setEncoding('utf8');
+      let buffer = '';
+
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(timeoutMs, () => fail(new Error(`Signer timeout after ${timeoutMs}ms (${method})`)));
+      socket.on('error', (error) => fail(new Error(`Signer unavailable at ${socketPath}: ${error.message}`)));
+
+      socket.on('connect', () => {
+        socket.write(JSON.stringify({ method, params }) + '\n');
+      });
+
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        const newline = buffer.indexOf('\n');
+        if (newline === -1) return;
+
+        socket.end();
+        try {
+          const response = JSON.parse(buffer.slice(0, newline));
+          if (response.error) {
+            reject(new Error(`Signer refused ${method}: ${response.error}`));
+          } else {
+            resolve(response.result);
+          }
+        } catch (error) {
+          reject(new Error(`Bad signer response: ${error.message}`));
+        }
+      });
+    });
   }
 }
 
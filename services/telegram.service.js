@@ -1,117 +1,53 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
-
-/**
- * Нормалізує напрямок угоди.
- * 
- * ВАЖЛИВО: Довіряємо direction з сигналу. Type використовується тільки як fallback.
- */
-function normalizeDirection(rawDirection, rawSignalType) {
-  const direction = (rawDirection || '').toUpperCase();
-  
-  // Якщо direction вже валідний — використовуємо його
-  if (direction === 'LONG' || direction === 'SHORT') {
-    return direction;
-  }
-
-  // Fallback на signalType (рідко використовується)
-  const signalType = (rawSignalType || '').toUpperCase().replace(/\s+/g, '_');
-  
-  if (signalType === 'LONG_FLUSH') {
-    return 'LONG';
-  }
-
-  if (signalType === 'SHORT_SQUEEZE') {
-    return 'SHORT';
-  }
-
-  return 'LONG';  // default fallback
-}
-
-/**
- * Парсить JSON з тексту
- */
-function parseJsonSignal(text) {
-  if (!text) return {};
-
-  const startIdx = text.indexOf('{');
-  if (startIdx === -1) return {};
-
-  let depth = 0;
-  let endIdx = -1;
-
-  for (let i = startIdx; i < text.length; i++) {
-    if (text[i] === '{') depth++;
-    else if (text[i] === '}') {
-      depth--;
-      if (depth === 0) {
-        endIdx = i;
-        break;
-      }
-    }
-  }
-
-  if (endIdx === -1) return {};
-
-  try {
-    return JSON.parse(text.substring(startIdx, endIdx + 1));
-  } catch (e) {
-    logger.warn(`[TELEGRAM] JSON parse failed: ${e.message}`);
-    return {};
-  }
-}
-
-/**
- * Конвертує символ Bybit → Extended
- * 
- * Extended.exchange використовує формат: BTC-USD, ETH-USD, ADA-USD
- * (з ДЕФІСОМ -, як у config ALLOWED_SYMBOLS)
- * 
- * Конвертація:
- *   ADAUSDT  → ADA-USD  ✅
- *   BTCUSDT  → BTC-USD
- *   ETHUSDT  → ETH-USD
- */
-function normalizeSymbol(rawSymbol) {
-  if (!rawSymbol) return null;
-
-  const sym = rawSymbol.toUpperCase().trim();
-
-  // Якщо вже містить дефіс - не чіпаємо
-  if (sym.includes('-')) {
-    return sym;
-  }
-
-  // Видаляємо USDT/USDC/USD суфікси
-  let base = sym;
-  for (const suffix of ['USDT', 'USDC', 'USD']) {
-    if (base.endsWith(suffix)) {
-      base = base.slice(0, -suffix.length);
-      break;
-    }
-  }
-
-  // ✅ Extended формат: BASE-USD (з ДЕФІСОМ!)
-  return `${base}-USD`;
-}
+import { SignalParserRegistry } from './signal-parsers/registry.js';
+import { formatLatency } from '../utils/helpers.js';
 
 class TelegramService {
   constructor() {
     this.bot = new TelegramBot(config.telegram.botToken, { polling: true });
     this.channelId = config.telegram.channelId;
     this.signalCallbacks = [];
+    this.adminCallbacks = [];
+    this.parsers = new SignalParserRegistry({ minConfidence: config.signals.minConfidence });
+
+    // chat id → профіль каналу сигналів
+    this.signalChannels = new Map(config.signals.channels.map(channel => [channel.chatId, channel]));
+    for (const channel of config.signals.channels) {
+      const unknown = channel.parsers.filter(name => !this.parsers.get(name));
+      if (unknown.length > 0) {
+        throw new Error(`Signal channel ${channel.id}: unknown parser(s) ${unknown.join(', ')} (available: ${this.parsers.names().join(', ')})`);
+      }
+    }
     
     this.setupMessageHandler();
   }
 
   setupMessageHandler() {
-    this.bot.on('channel_post', (msg) => {
-      if (msg.chat.id.toString() === this.channelId.toString()) {
-        this.handleChannelMessage(msg);
+    const onChannelPost = (msg) => {
+      const channel = this.signalChannels.get(msg.chat.id.toString());
+      if (!channel) return;
+
+      if (!channel.enabled) {
+        logger.debug(`[TELEGRAM] Channel ${channel.id} is disabled, post ignored`);
+        return;
       }
-    });
+      this.handleChannelMessage(msg, channel);
+    };
+
+    // Відредагований пост — той самий message_id: дедуплікація в handleSignal
+    // повідомить про нього з результатом оригіналу, а не відкриє другу угоду
+    this.bot.on('channel_post', onChannelPost);
+    this.bot.on('edited_channel_post', onChannelPost);
   
+    // Адмін-команди (/kill, /rearm, /status) — тільки в приваті і тільки від TELEGRAM_ADMIN_IDS
+    this.bot.on('message', (msg) => {
+      if (msg.chat.type === 'private' && msg.text?.startsWith('/')) {
+        this.handleAdminCommand(msg);
+      }
+    });
+
     this.bot.on('polling_error', (error) => {
       logger.error(`[TELEGRAM] Polling error: ${error.message}`);
     });
@@ -119,66 +55,65 @@ class TelegramService {
     logger.info('[TELEGRAM] ✅ Bot initialized and listening for channel posts');
   }
 
-  async handleChannelMessage(msg) {
+  /**
+   * @param {Object} msg — Telegram channel_post
+   * @param {Object} channel — профіль каналу сигналів (config.signals.channels)
+   */
+  async handleChannelMessage(msg, channel) {
+    // Отримання — перша точка timeline затримки сигналу
+    const receivedAt = Date.now();
+
     try {
       const text = msg.text || msg.caption || '';
       
-      logger.info(`[TELEGRAM] Received message: ${text.substring(0, 100)}...`);
-
-      const signalData = parseJsonSignal(text);
+      logger.info(`[TELEGRAM] Received ${msg.edit_date ? 'edited ' : ''}message ${msg.message_id} from ${channel.id}: ${text.substring(0, 100)}...`);
 
-      let symbol = signalData.symbol;
-      if (!symbol) {
-        const symbolMatch = text.match(/Symbol:\s*([A-Z0-9]+)/i);
-        if (symbolMatch) symbol = symbolMatch[1];
-      }
+      // Порожній список парсерів каналу — всі формати
+      const parsed = this.parsers.parse(text, { parsers: channel.parsers.length > 0 ? channel.parsers : null });
 
-      // ✅ КОНВЕРТУЄМО СИМВОЛ (Bybit → Extended з дефісом -)
-      if (symbol) {
-        symbol = normalizeSymbol(symbol);
-        logger.info(`[TELEGRAM] Normalized symbol: ${symbol}`);
+      // Нерозпізнаний / неоднозначний сигнал не торгуємо (жодного default напрямку)
+      if (!parsed.ok) {
+        logger.warn(`[TELEGRAM] ⚠️ Signal from ${channel.id} rejected: ${parsed.reason}`);
+        return;
       }
 
-      let direction = signalData.direction;
-      if (!direction) {
-        const directionMatch = text.match(/Direction:\s*(LONG|SHORT)/i);
-        if (directionMatch) direction = directionMatch[1];
-      }
+      const { fields } = parsed;
+
+      logger.info(`[TELEGRAM] Parsed signal from ${channel.id} (${parsed.parser}, confidence ${parsed.confidence}):`);
+      logger.info(`  Symbol: ${fields.symbol}`);
+      logger.info(`  Type: ${fields.signalType}`);
+      logger.info(`  Direction: ${fields.direction}`);
+
+      const signal = {
+        symbol: fields.symbol,
+        direction: fields.direction,
+        signalType: fields.signalType || 'UNKNOWN',
+        timestamp: fields.timestamp || Date.now(),
+        stats: fields.stats || {},
+        parser: parsed.parser,
+        confidence: parsed.confidence,
+        source: channel.id,
+        // Відбиток для дедуплікації
+        messageId: msg.message_id,
+        providerTimestamp: fields.timestamp || null,
+        edited: Boolean(msg.edit_date),
+        // Timeline затримки (utils/helpers SIGNAL_LATENCY_STAGES); далі доповнює index.js.
+        // Без часу провайдера origin — час поста (Telegram дає секунди)
+        latency: {
+          originAt: fields.timestamp || (msg.date ? msg.date * 1000 : null),
+          originSource: fields.timestamp ? 'provider' : 'telegram',
+          receivedAt
+        }
+      };
 
-      let signalType = signalData.signalType;
-      if (!signalType) {
-        const typeMatch = text.match(/Type:\s*([^\n\r]+)/i);
-        if (typeMatch) signalType = typeMatch[1]?.trim();
-      }
+      logger.info(`[TELEGRAM] ✅ Triggering callbacks for ${signal.symbol} ${signal.direction}`);
 
-      const finalDirection = normalizeDirection(direction, signalType);
-
-      logger.info(`[TELEGRAM] Parsed signal:`);
-      logger.info(`  Symbol: ${symbol}`);
-      logger.info(`  Type: ${signalType}`);
-      logger.info(`  Raw Direction: ${direction}`);
-      logger.info(`  Final Direction: ${finalDirection}`);
-
-      if (symbol) {
-        const signal = {
-          symbol: symbol,
-          direction: finalDirection,
-          signalType: signalType || 'UNKNOWN',
-          timestamp: signalData.timestamp || Date.now(),
-          stats: signalData.stats || {}
-        };
-
-        logger.info(`[TELEGRAM] ✅ Triggering callbacks for ${symbol} ${finalDirection}`);
-
-        for (const callback of this.signalCallbacks) {
-          try {
-            await callback(signal);
-          } catch (error) {
-            logger.error(`[TELEGRAM] Callback error: ${error.message}`);
-          }
+      for (const callback of this.signalCallbacks) {
+        try {
+          await callback(signal);
+        } catch (error) {
+          logger.error(`[TELEGRAM] Callback error: ${error.message}`);
         }
-      } else {
-        logger.warn(`[TELEGRAM] ⚠️ No symbol found in message`);
       }
 
     } catch (error) {
@@ -187,6 +122,41 @@ class TelegramService {
     }
   }
 
+  async handleAdminCommand(msg) {
+    const userId = String(msg.from?.id);
+
+    if (!config.telegram.adminIds.includes(userId)) {
+      logger.warn(`[TELEGRAM] Admin command from non-admin user ${userId} ignored: ${msg.text}`);
+      return;
+    }
+
+    // '/kill@MyBot too much slippage' → command 'kill', args 'too much slippage'
+    const [head, ...rest] = msg.text.trim().split(/\s+/);
+    const command = head.slice(1).split('@')[0].toLowerCase();
+    const args = rest.join(' ');
+
+    logger.warn(`[TELEGRAM] Admin command from ${userId}: /${command} ${args}`);
+
+    for (const callback of this.adminCallbacks) {
+      try {
+        const reply = await callback({ command, args, userId });
+        if (reply) {
+          await this.sendMessage(msg.chat.id, reply);
+        }
+      } catch (error) {
+        logger.error(`[TELEGRAM] Admin command error: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Callback({ command, args, userId }) → текст відповіді адміну або null
+   */
+  onAdminCommand(callback) {
+    this.adminCallbacks.push(callback);
+    logger.info('[TELEGRAM] Admin command callback registered');
+  }
+
   onSignal(callback) {
     this.signalCallbacks.push(callback);
     logger.info('[TELEGRAM] Signal callback registered');
@@ -237,7 +207,8 @@ class TelegramService {
     return `✅ <b>POSITION OPENED</b>
   
 <b>Symbol:</b> ${symbol}
-<b>Direction:</b> ${directionEmoji} ${direction}
+<b>Direction:</b> ${directionEmoji} ${direction}${positionData.source ? `
+<b>Source:</b> ${positionData.source}` : ''}
 <b>Entry Price:</b> $${entryPrice}
 <b>Quantity:</b> ${quantity.toLocaleString()} ${cleanSymbol}
 <b>Leverage:</b> ${leverage}x
@@ -245,29 +216,160 @@ class TelegramService {
 🎯 <b>Take Profit:</b> trigger $${takeProfit.triggerPrice} → limit $${takeProfit.limitPrice} (+${tpPercent}%)
 🛑 <b>Stop Loss:</b> trigger $${stopLoss.triggerPrice} → limit $${stopLoss.limitPrice} (-${slPercent}%)
 💰 <b>Risk:</b> $${riskAmount.toFixed(2)} (${balancePercent}% of balance)
-📝 <b>TP/SL Type:</b> LIMIT orders (maker fees)
+📝 <b>TP/SL Type:</b> LIMIT orders (maker fees)${this._formatLatencyLine(positionData.latency)}
   
 Signal from: ${new Date(positionData.timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} UTC`;
   }
 
+  /**
+   * ⏱ provider→receipt 1.2s · receipt→validation 40ms · ... (total 3.1s)
+   */
+  _formatLatencyLine(latency) {
+    if (!latency) return '';
+
+    const stages = Object.entries(latency.stages)
+      .map(([stage, ms]) => `${stage} ${formatLatency(ms)}`)
+      .join(' · ');
+    return `\n⏱ <b>Latency:</b> ${stages} (total ${formatLatency(latency.total)})`;
+  }
+
   formatPositionClosedMessage(positionData) {
-    const { symbol, direction, entryPrice, exitPrice, pnl, pnlPercent, duration } = positionData;
+    const { symbol, direction, source, entryPrice, exitPrice, exitEstimated, closingFills, pnl, pnlPercent, priceMovePercent, grossPnl, fees, duration, fundingPnl } = positionData;
     
     const isProfit = pnl >= 0;
     const emoji = isProfit ? '🟢' : '🔴';
     const resultText = isProfit ? 'PROFIT' : 'LOSS';
+    const signed = (value) => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+    const percent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+    const exitNote = exitEstimated ? ' (estimated, no fills found)' : closingFills > 1 ? ` (VWAP of ${closingFills} fills)` : '';
     
     return `${emoji} <b>POSITION CLOSED - ${resultText}</b>
 
 <b>Symbol:</b> ${symbol}
-<b>Direction:</b> ${direction}
+<b>Direction:</b> ${direction}${source ? `
+<b>Source:</b> ${source}` : ''}
 <b>Entry:</b> $${entryPrice}
-<b>Exit:</b> $${exitPrice}
-<b>Result:</b> ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}% (${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)})
+<b>Exit:</b> $${exitPrice}${exitNote}
+<b>Price move:</b> ${percent(priceMovePercent ?? 0)}
+<b>Gross:</b> ${signed(grossPnl ?? pnl)}
+<b>Fees:</b> -$${(fees || 0).toFixed(2)}${fundingPnl ? `
+<b>Funding:</b> ${signed(fundingPnl)}` : ''}
+<b>Net result:</b> ${percent(pnlPercent)} of notional (${signed(pnl)})
 
 <b>Duration:</b> ${duration}`;
   }
 
+  /**
+   * Крок entry policy: REPRICE | CROSS | ABANDON | PARTIAL
+   */
+  formatEntryChaseMessage({ symbol, direction, action, attempt, maxAttempts, price, signalPrice, driftPercent, reason }) {
+    const titles = {
+      REPRICE: '🔁 <b>ENTRY REPRICED</b>',
+      CROSS: '⚡️ <b>ENTRY CROSSING SPREAD</b>',
+      ABANDON: '🚫 <b>ENTRY ABANDONED</b>',
+      PARTIAL: '✂️ <b>ENTRY PARTIALLY FILLED</b>'
+    };
+
+    let message = `${titles[action] || action}
+
+<b>Symbol:</b> ${symbol}
+<b>Direction:</b> ${direction}`;
+
+    if (attempt !== undefined) {
+      message += `\n<b>Attempt:</b> ${attempt}/${maxAttempts}`;
+    }
+    if (price !== undefined) {
+      message += `\n<b>New price:</b> $${price}`;
+    }
+    if (signalPrice !== undefined) {
+      message += `\n<b>Signal price:</b> $${signalPrice}`;
+    }
+    if (driftPercent !== undefined) {
+      message += `\n<b>Drift:</b> ${driftPercent.toFixed(3)}%`;
+    }
+    if (reason) {
+      message += `\n<b>Reason:</b> ${reason}`;
+    }
+
+    return message;
+  }
+
+  formatKillSwitchMessage(state, { closed = [], errors = [] } = {}) {
+    let message = `🛑 <b>KILL SWITCH ENGAGED</b>
+
+<b>Reason:</b> ${state.reason}
+<b>Source:</b> ${state.source}
+<b>Time:</b> ${new Date(state.engagedAt).toISOString()}
+
+All orders cancelled.
+<b>Closed positions:</b> ${closed.length === 0 ? 'none' : ''}`;
+
+    for (const close of closed) {
+      message += `\n• ${close.symbol} ${close.side} ${close.quantity}`;
+    }
+    for (const error of errors) {
+      message += `\n❌ ${error.symbol}: ${error.message}`;
+    }
+
+    message += `\n\nNew signals are blocked until re-armed (/rearm).`;
+    return message;
+  }
+
+  /**
+   * Margin алерт: WARNING | CRITICAL | RECOVERED (+ результат de-risk, якщо був)
+   */
+  formatMarginAlertMessage(level, health, deRisk = null) {
+    const titles = {
+      WARNING: '⚠️ <b>MARGIN WARNING</b>',
+      CRITICAL: '🚨 <b>MARGIN CRITICAL</b>',
+      RECOVERED: '✅ <b>MARGIN BACK TO NORMAL</b>'
+    };
+
+    let message = `${titles[level] || level}
+
+<b>Margin ratio:</b> ${health.marginRatioPercent.toFixed(2)}%
+<b>Equity:</b> $${health.equity.toFixed(2)}
+<b>Used margin:</b> $${health.usedMargin.toFixed(2)}
+<b>Unrealised P&L:</b> ${health.unrealisedPnl >= 0 ? '+' : '-'}$${Math.abs(health.unrealisedPnl).toFixed(2)}`;
+
+    if (health.positions.length > 0) {
+      message += `
+
+<b>Liquidation prices:</b>`;
+      for (const pos of health.positions) {
+        const distance = pos.liquidationDistancePercent !== null ? ` (${pos.liquidationDistancePercent.toFixed(2)}% away)` : '';
+        message += `
+• ${pos.symbol} ${pos.direction} ${pos.size}: mark $${pos.markPrice}, liq ${pos.liquidationPrice ? `$${pos.liquidationPrice}` : 'n/a'}${distance}`;
+      }
+    }
+
+    if (deRisk) {
+      message += deRisk.error
+        ? `
+
+❌ <b>De-risk failed:</b> ${deRisk.symbol} — ${deRisk.error}`
+        : `
+
+✂️ <b>De-risk:</b> reduced ${deRisk.symbol} ${deRisk.direction} by ${deRisk.quantity}`;
+    }
+
+    return message;
+  }
+
+  formatUnknownOrdersMessage(symbol, orders) {
+    const lines = orders.map(order =>
+      `• ${order.type} ${order.side} ${order.qty} @ $${order.price} (${order.status}, id ${order.id})`
+    );
+
+    return `❓ <b>UNKNOWN ORDERS ON BOOK</b>
+
+<b>Symbol:</b> ${symbol}
+<b>Orders:</b>
+${lines.join('\n')}
+
+Not linked to any tracked position. Review and cancel manually if needed.`;
+  }
+
   formatSignalIgnoredMessage(symbol, direction, reason, additionalInfo = {}) {
     let message = `⏰ <b>SIGNAL IGNORED</b>
 
@@ -275,6 +377,10 @@ Signal from: ${new Date(positionData.timestamp).toLocaleString('en-US', { timeZo
 <b>Direction:</b> ${direction}
 <b>Reason:</b> ${reason}`;
 
+    if (additionalInfo.source) {
+      message += `\n<b>Source:</b> ${additionalInfo.source}`;
+    }
+
     if (additionalInfo.currentTime) {
       message += `\n\n<b>Current time:</b> ${additionalInfo.currentTime} UTC`;
     }
@@ -304,13 +410,47 @@ Signal from: ${new Date(positionData.timestamp).toLocaleString('en-US', { timeZo
 <b>Trading Hours:</b> ${report.tradingHours.start}:00-${report.tradingHours.end}:00 UTC
 <b>Total Signals:</b> ${report.totalSignals}
 <b>Signals Ignored (off-hours):</b> ${report.signalsIgnored}
+<b>Duplicate Signals:</b> ${report.signalsDuplicate || 0}
+<b>Stale Signals:</b> ${report.signalsStale || 0}
 <b>Total Trades:</b> ${report.totalTrades}
 ✅ <b>Wins:</b> ${report.winTrades} (${winRate}%)
 ❌ <b>Losses:</b> ${report.loseTrades} (${(100 - parseFloat(winRate)).toFixed(1)}%)
 ${pnlEmoji} <b>Total P&L:</b> ${report.totalPnl >= 0 ? '+' : ''}$${report.totalPnl.toFixed(2)}
+📒 <b>Trades:</b> gross ${report.tradesGrossPnl >= 0 ? '+' : ''}$${(report.tradesGrossPnl || 0).toFixed(2)} → net ${report.tradesNetPnl >= 0 ? '+' : ''}$${(report.tradesNetPnl || 0).toFixed(2)}
+🧾 <b>Fees:</b> -$${(report.totalFees || 0).toFixed(2)}
+💸 <b>Funding:</b> ${report.totalFunding >= 0 ? '+' : ''}$${(report.totalFunding || 0).toFixed(2)}
 ${roiEmoji} <b>ROI:</b> ${report.roi >= 0 ? '+' : ''}${report.roi.toFixed(2)}%
 
-<b>Balance:</b> $${report.startBalance.toFixed(2)} → $${report.currentBalance.toFixed(2)}`;
+<b>Balance:</b> $${report.startBalance.toFixed(2)} → $${report.currentBalance.toFixed(2)}${this._formatLatencySummary(report.latency)}${this._formatSourceBreakdown(report.bySource)}`;
+  }
+
+  /**
+   * Медіана / максимум кожного етапу затримки по угодах за день
+   */
+  _formatLatencySummary(summary) {
+    if (!summary?.total) return '';
+
+    const lines = Object.entries(summary)
+      .filter(([, stats]) => stats)
+      .map(([stage, stats]) => `• ${stage}: median ${formatLatency(stats.median)}, max ${formatLatency(stats.max)}`);
+
+    return `\n\n⏱ <b>Signal latency (${summary.total.count} fills):</b>\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Рядок на канал сигналів: сигнали / пропущені / угоди / win rate / net P&L
+   */
+  _formatSourceBreakdown(bySource = {}) {
+    const sources = Object.entries(bySource);
+    if (sources.length < 2) return '';
+
+    const lines = sources.map(([source, stats]) => {
+      const winRate = stats.totalTrades > 0 ? ((stats.winTrades / stats.totalTrades) * 100).toFixed(1) : '0.0';
+      return `• <b>${source}:</b> ${stats.signals} signals (${stats.ignored} ignored, ${stats.duplicates} dup), ` +
+        `${stats.totalTrades} trades, ${winRate}% wins, ${stats.totalPnl >= 0 ? '+' : '-'}$${Math.abs(stats.totalPnl).toFixed(2)}`;
+    });
+
+    return `\n\n📡 <b>By source:</b>\n${lines.join('\n')}`;
   }
 }
 
@@ -0,0 +1,107 @@
+import exchange from './exchange.service.js';
+import { config } from '../config/settings.js';
+import { CANDLE_INTERVALS_MS } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * True range свічки: max(high − low, |high − prevClose|, |low − prevClose|)
+ * @param {import('./exchange-adapter.js').Candle} candle
+ * @param {number|null} prevClose
+ */
+export function trueRange(candle, prevClose = null) {
+  if (prevClose === null) return candle.high - candle.low;
+
+  return Math.max(
+    candle.high - candle.low,
+    Math.abs(candle.high - prevClose),
+    Math.abs(candle.low - prevClose)
+  );
+}
+
+/**
+ * ATR зі згладжуванням Wilder: перше значення — середнє TR за period,
+ * далі ATR = (ATR_prev × (period − 1) + TR) / period.
+ *
+ * @param {import('./exchange-adapter.js').Candle[]} candles — від старих до нових
+ * @param {number} period
+ * @returns {number} ATR у ціні
+ */
+export function calculateATR(candles, period = config.volatility.atrPeriod) {
+  if (candles.length < period + 1) {
+    throw new Error(`Not enough candles for ATR(${period}): ${candles.length}`);
+  }
+
+  const ranges = candles.slice(1).map((candle, i) => trueRange(candle, candles[i].close));
+
+  let atr = ranges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+  for (const tr of ranges.slice(period)) {
+    atr = (atr * (period - 1) + tr) / period;
+  }
+
+  return atr;
+}
+
+/**
+ * Realized volatility: stdev лог-дохідностей close-to-close.
+ *
+ * @param {import('./exchange-adapter.js').Candle[]} candles
+ * @param {number} intervalMs — тривалість свічки (для annualized)
+ * @returns {{ perCandlePercent: number, annualizedPercent: number }}
+ */
+export function calculateRealizedVolatility(candles, intervalMs) {
+  if (candles.length < 3) {
+    throw new Error(`Not enough candles for realized volatility: ${candles.length}`);
+  }
+
+  const returns = candles.slice(1).map((candle, i) => Math.log(candle.close / candles[i].close));
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  const perCandle = Math.sqrt(variance);
+
+  return {
+    perCandlePercent: perCandle * 100,
+    annualizedPercent: perCandle * Math.sqrt(YEAR_MS / intervalMs) * 100
+  };
+}
+
+/**
+ * Свічки з біржі → ATR + realized vol для market.
+ *
+ * @param {string} symbol
+ * @returns {Promise<{ symbol, interval, candles, atr, atrPercent, lastClose, realizedVolPercent, annualizedVolPercent }>}
+ */
+export async function getVolatility(symbol) {
+  const { candleInterval, candleLimit, atrPeriod } = config.volatility;
+  const candles = await exchange.getCandles(symbol, candleInterval, candleLimit);
+
+  const atr = calculateATR(candles, atrPeriod);
+  const lastClose = candles[candles.length - 1].close;
+  const realized = calculateRealizedVolatility(candles, CANDLE_INTERVALS_MS[candleInterval]);
+
+  const result = {
+    symbol,
+    interval: candleInterval,
+    candles: candles.length,
+    atr,
+    atrPercent: (atr / lastClose) * 100,
+    lastClose,
+    realizedVolPercent: realized.perCandlePercent,
+    annualizedVolPercent: realized.annualizedPercent
+  };
+
+  logger.info(
+    `[VOL] ${symbol} ${candleInterval}×${candles.length}: ATR(${atrPeriod})=${atr} (${result.atrPercent.toFixed(3)}%), ` +
+    `realized ${result.realizedVolPercent.toFixed(3)}%/candle, ${result.annualizedVolPercent.toFixed(1)}% annualized`
+  );
+
+  return result;
+}
+
+export default {
+  trueRange,
+  calculateATR,
+  calculateRealizedVolatility,
+  getVolatility
+};
@@ -0,0 +1,292 @@
+/**
+ * Decimal — точне десяткове число на BigInt: value = units × 10^-scale.
+ *
+ * Ціни й qty ордерів проходять через Decimal від risk.service до тіла запиту
+ * і Stark hash, щоб на біржу не пішло '43251.123456789' чи qty не кратна кроку.
+ *
+ * Immutable. Interop з рештою коду (числа):
+ *   valueOf()  → number (арифметика `*`, порівняння `<`, Math.*)
+ *   toString() → точний рядок без зайвих нулів ('0.001', '43250.5')
+ *   toJSON()   → той самий рядок (тіла запитів)
+ */
+
+/**
+ * Напрямок округлення при snap до кроку / зменшенні scale
+ *   DOWN    — до нуля (qty: не більше розрахованої)
+ *   UP      — від нуля
+ *   FLOOR   — до −∞
+ *   CEIL    — до +∞
+ *   HALF_UP — до найближчого, .5 — від нуля
+ */
+export const Rounding = {
+  DOWN: 'DOWN',
+  UP: 'UP',
+  FLOOR: 'FLOOR',
+  CEIL: 'CEIL',
+  HALF_UP: 'HALF_UP'
+};
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+function pow10(exp) {
+  return 10n ** BigInt(exp);
+}
+
+/**
+ * Ділення BigInt з округленням (BigInt `/` завжди відкидає дробову частину до нуля)
+ */
+function divRound(numerator, denominator, rounding) {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const negative = numerator < 0n;
+  const awayFromZero = negative ? quotient - 1n : quotient + 1n;
+
+  switch (rounding) {
+    case Rounding.DOWN:
+      return quotient;
+    case Rounding.UP:
+      return awayFromZero;
+    case Rounding.FLOOR:
+      return negative ? awayFromZero : quotient;
+    case Rounding.CEIL:
+      return negative ? quotient : awayFromZero;
+    case Rounding.HALF_UP: {
+      const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+      return twice >= denominator ? awayFromZero : quotient;
+    }
+    default:
+      throw new Error(`Unknown rounding mode ${rounding}`);
+  }
+}
+
+export class Decimal {
+  /**
+   * @param {bigint} units
+   * @param {number} scale — кількість знаків після коми (≥ 0)
+   */
+  constructor(units, scale) {
+    this.units = units;
+    this.scale = scale;
+    Object.freeze(this);
+  }
+
+  /**
+   * Decimal | string | number | bigint → Decimal.
+   * number береться через String(n) — найкоротше подання, яке повертає те саме число
+   * (0.1 → '0.1', не 0.1000000000000000055...).
+   */
+  static from(value) {
+    if (value instanceof Decimal) return value;
+    if (typeof value === 'bigint') return new Decimal(value, 0);
+
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Decimal: not a finite number: ${value}`);
+    }
+
+    const str = String(value).trim();
+    const match = str.match(DECIMAL_PATTERN);
+    if (!match || (!match[2] && !match[3])) {
+      throw new Error(`Decimal: invalid value "${value}"`);
+    }
+
+    const [, sign, intPart = '', fracPart = '', expPart] = match;
+    const exp = expPart ? parseInt(expPart, 10) : 0;
+
+    let units = BigInt((intPart + fracPart) || '0');
+    let scale = fracPart.length - exp;
+    if (scale < 0) {
+      units *= pow10(-scale);
+      scale = 0;
+    }
+    if (sign === '-') units = -units;
+
+    return new Decimal(units, scale).normalize();
+  }
+
+  static isDecimal(value) {
+    return value instanceof Decimal;
+  }
+
+  static max(a, b) {
+    return Decimal.from(a).gte(b) ? Decimal.from(a) : Decimal.from(b);
+  }
+
+  static min(a, b) {
+    return Decimal.from(a).lte(b) ? Decimal.from(a) : Decimal.from(b);
+  }
+
+  // ─── Арифметика ───────────────────────────────────────────
+
+  add(other) {
+    const [a, b, scale] = this._align(other);
+    return new Decimal(a + b, scale).normalize();
+  }
+
+  sub(other) {
+    const [a, b, scale] = this._align(other);
+    return new Decimal(a - b, scale).normalize();
+  }
+
+  mul(other) {
+    const o = Decimal.from(other);
+    return new Decimal(this.units * o.units, this.scale + o.scale).normalize();
+  }
+
+  /**
+   * Ділення з результатом на `scale` знаків
+   */
+  div(other, scale = 18, rounding = Rounding.HALF_UP) {
+    const o = Decimal.from(other);
+    if (o.units === 0n) throw new Error('Decimal: division by zero');
+
+    // this / o = (a·10^-sa) / (b·10^-sb); результат у units з 10^-scale
+    const numerator = this.units * pow10(scale + o.scale);
+    const denominator = o.units * pow10(this.scale);
+    return new Decimal(divRound(numerator, denominator, rounding), scale).normalize();
+  }
+
+  neg() {
+    return new Decimal(-this.units, this.scale);
+  }
+
+  abs() {
+    return this.units < 0n ? this.neg() : this;
+  }
+
+  // ─── Округлення ───────────────────────────────────────────
+
+  /**
+   * Округлює до `scale` знаків після коми
+   */
+  round(scale, rounding = Rounding.HALF_UP) {
+    if (scale >= this.scale) return this;
+    return new Decimal(divRound(this.units, pow10(this.scale - scale), rounding), scale).normalize();
+  }
+
+  /**
+   * Snap до кратного step (minPriceChange, minOrderSizeChange).
+   * Працює з будь-яким кроком, не лише 10^-n (напр. 0.5, 25).
+   */
+  quantize(step, rounding = Rounding.HALF_UP) {
+    const s = Decimal.from(step);
+    if (s.units <= 0n) throw new Error(`Decimal: step must be > 0, got ${s}`);
+
+    const [a, b, scale] = this._align(s);
+    const multiples = divRound(a, b, rounding);
+    return new Decimal(multiples * b, scale).normalize();
+  }
+
+  /**
+   * Чи кратне число step
+   */
+  isMultipleOf(step) {
+    const [a, b] = this._align(step);
+    return b !== 0n && a % b === 0n;
+  }
+
+  // ─── Порівняння ───────────────────────────────────────────
+
+  cmp(other) {
+    const [a, b] = this._align(other);
+    return a === b ? 0 : (a < b ? -1 : 1);
+  }
+
+  eq(other) { return this.cmp(other) === 0; }
+  lt(other) { return this.cmp(other) < 0; }
+  lte(other) { return this.cmp(other) <= 0; }
+  gt(other) { return this.cmp(other) > 0; }
+  gte(other) { return this.cmp(other) >= 0; }
+
+  isZero() { return this.units === 0n; }
+  isNegative() { return this.units < 0n; }
+  isPositive() { return this.units > 0n; }
+
+  // ─── Серіалізація ─────────────────────────────────────────
+
+  /**
+   * Ціле число одиниць при `decimals` знаках (fixed-point для Stark / l2 amounts).
+   * Без rounding — кидає помилку, якщо значення не представляється точно.
+   */
+  toScaledBigInt(decimals, rounding = null) {
+    if (decimals >= this.scale) {
+      return this.units * pow10(decimals - this.scale);
+    }
+
+    if (rounding === null) {
+      const divisor = pow10(this.scale - decimals);
+      if (this.units % divisor !== 0n) {
+        throw new Error(`Decimal: ${this} is not exact at ${decimals} decimals`);
+      }
+      return this.units / divisor;
+    }
+
+    return divRound(this.units, pow10(this.scale - decimals), rounding);
+  }
+
+  toFixed(decimals) {
+    const rounded = this.round(decimals);
+    const units = rounded.units * pow10(decimals - rounded.scale);
+    return Decimal._format(units, decimals);
+  }
+
+  toString() {
+    return Decimal._format(this.units, this.scale);
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  valueOf() {
+    return this.toNumber();
+  }
+
+  // ─── Internal ─────────────────────────────────────────────
+
+  /**
+   * Прибирає хвостові нулі: 1.2300 → 1.23 (scale мінімальний)
+   */
+  normalize() {
+    let { units, scale } = this;
+    while (scale > 0 && units % 10n === 0n) {
+      units /= 10n;
+      scale--;
+    }
+    return scale === this.scale ? this : new Decimal(units, scale);
+  }
+
+  _align(other) {
+    const o = Decimal.from(other);
+    const scale = Math.max(this.scale, o.scale);
+    return [
+      this.units * pow10(scale - this.scale),
+      o.units * pow10(scale - o.scale),
+      scale
+    ];
+  }
+
+  static _format(units, scale) {
+    const negative = units < 0n;
+    const digits = (negative ? -units : units).toString();
+
+    if (scale === 0) return (negative ? '-' : '') + digits;
+
+    const padded = digits.padStart(scale + 1, '0');
+    const intPart = padded.slice(0, padded.length - scale);
+    const fracPart = padded.slice(padded.length - scale);
+    return `${negative ? '-' : ''}${intPart}.${fracPart}`;
+  }
+}
+
+export default Decimal;
@@ -1,3 +1,5 @@
+import { Decimal, Rounding } from './decimal.js';
+
 /**
  * Округлює число до певної кількості знаків після коми
  */
@@ -5,18 +7,16 @@ export function roundToDecimal(value, decimals) {
   if (isNaN(value) || value === null || value === undefined) {
     return 0;
   }
-  const factor = Math.pow(10, decimals);
-  return Math.round(value * factor) / factor;
+  return Decimal.from(value).round(decimals).toNumber();
 }
 
 /**
- * Округлює quantity згідно з вимогами біржі (tickSize)
+ * Округлює quantity вниз до кроку біржі (minOrderSizeChange) —
+ * qty ніколи не перевищує розраховану
  */
-export function roundQuantity(quantity, tickSize) {
-  if (!tickSize || tickSize <= 0) return quantity;
-  
-  const precision = Math.abs(Math.log10(tickSize));
-  return roundToDecimal(quantity, precision);
+export function roundQuantity(quantity, step) {
+  if (!step || step <= 0) return quantity;
+  return snapToStep(quantity, step, Rounding.DOWN);
 }
 
 /**
@@ -29,6 +29,14 @@ export function roundPrice(price, pricePrecision) {
   return roundToDecimal(price, pricePrecision);
 }
 
+/**
+ * Точний snap до кратного step (minPriceChange / minOrderSizeChange).
+ * Повертає number, String() якого — рівно кратне step ('43250.5', не '43250.500000001').
+ */
+export function snapToStep(value, step, rounding = Rounding.HALF_UP) {
+  return Decimal.from(value).quantize(step, rounding).toNumber();
+}
+
 /**
  * Перевіряє чи є значення валідним числом
  */
@@ -137,3 +145,79 @@ export function getCurrentUTCHour() {
 export function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
+
+/**
+ * Інтервали свічок Extended (ISO 8601 duration) → мілісекунди
+ */
+export const CANDLE_INTERVALS_MS = {
+  PT1M: 60 * 1000,
+  PT5M: 5 * 60 * 1000,
+  PT15M: 15 * 60 * 1000,
+  PT30M: 30 * 60 * 1000,
+  PT1H: 60 * 60 * 1000,
+  PT2H: 2 * 60 * 60 * 1000,
+  PT4H: 4 * 60 * 60 * 1000,
+  P1D: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Етапи шляху сигналу: [назва, початок, кінець] — поля timeline сигналу (signal.latency)
+ *   originAt    — час провайдера в сигналі, інакше час поста в Telegram
+ *   receivedAt  — бот отримав повідомлення
+ *   validatedAt — validateSignal пройдено
+ *   acceptedAt  — біржа прийняла entry ордер
+ *   filledAt    — entry заповнився
+ */
+export const SIGNAL_LATENCY_STAGES = [
+  ['provider→receipt', 'originAt', 'receivedAt'],
+  ['receipt→validation', 'receivedAt', 'validatedAt'],
+  ['validation→accepted', 'validatedAt', 'acceptedAt'],
+  ['accepted→fill', 'acceptedAt', 'filledAt']
+];
+
+/**
+ * Timeline сигналу → мс на кожен етап (null — етап ще не пройдено) + від origin до останньої точки
+ * @returns {{ stages: Object<string, number|null>, total: number|null }}
+ */
+export function signalLatencyBreakdown(timeline = {}) {
+  const stages = {};
+  for (const [name, from, to] of SIGNAL_LATENCY_STAGES) {
+    stages[name] = timeline[from] && timeline[to] ? timeline[to] - timeline[from] : null;
+  }
+
+  const last = timeline.filledAt || timeline.acceptedAt || timeline.validatedAt || timeline.receivedAt;
+  return { stages, total: timeline.originAt && last ? last - timeline.originAt : null };
+}
+
+/**
+ * Медіана і максимум кожного етапу по списку breakdown (daily report)
+ * @returns {Object<string, { median: number, max: number, count: number }|null>}
+ */
+export function summarizeSignalLatency(breakdowns) {
+  const summary = {};
+  for (const name of [...SIGNAL_LATENCY_STAGES.map(([stage]) => stage), 'total']) {
+    const values = breakdowns
+      .map(breakdown => name === 'total' ? breakdown.total : breakdown.stages[name])
+      .filter(value => value !== null)
+      .sort((a, b) => a - b);
+
+    summary[name] = values.length === 0 ? null : {
+      median: values[Math.floor((values.length - 1) / 2)],
+      max: values[values.length - 1],
+      count: values.length
+    };
+  }
+  return summary;
+}
+
+/**
+ * 850 → '850ms', 2400 → '2.4s', 95000 → '1m 35s'
+ */
+export function formatLatency(ms) {
+  if (ms === null || ms === undefined) return 'n/a';
+  const sign = ms < 0 ? '-' : '';
+  const abs = Math.abs(ms);
+  if (abs < 1000) return `${sign}${Math.round(abs)}ms`;
+  if (abs < 60 * 1000) return `${sign}${(abs / 1000).toFixed(1)}s`;
+  return `${sign}${Math.floor(abs / 60000)}m ${String(Math.floor((abs % 60000) / 1000)).padStart(2, '0')}s`;
+}
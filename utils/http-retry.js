@@ -0,0 +1,136 @@
+import { sleep } from './helpers.js';
+import logger from './logger.js';
+
+/**
+ * Класи помилок HTTP запитів до біржі
+ *   NETWORK    — таймаут / обрив з'єднання, відповіді немає (результат невідомий)
+ *   RATE_LIMIT — 429, запит відхилено до обробки → безпечно повторювати
+ *   SERVER     — 5xx, біржа могла обробити запит (результат невідомий)
+ *   BUSINESS   — інші 4xx (валідація, недостатньо маржі...) → повтор не допоможе
+ */
+export const ErrorKind = {
+  NETWORK: 'NETWORK',
+  RATE_LIMIT: 'RATE_LIMIT',
+  SERVER: 'SERVER',
+  BUSINESS: 'BUSINESS'
+};
+
+/**
+ * Класифікує axios помилку
+ */
+export function classifyError(error) {
+  const status = error.response?.status;
+
+  if (!status) return ErrorKind.NETWORK;
+  if (status === 429) return ErrorKind.RATE_LIMIT;
+  if (status >= 500) return ErrorKind.SERVER;
+  return ErrorKind.BUSINESS;
+}
+
+/**
+ * Exponential backoff з "full jitter": random(0, min(max, base * 2^attempt))
+ */
+export function computeBackoff(attempt, baseMs, maxMs) {
+  const cap = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * cap);
+}
+
+/**
+ * Token bucket limiter.
+ * capacity — максимальний burst, refillPerSec — середня швидкість запитів.
+ */
+export class TokenBucket {
+  constructor(capacity, refillPerSec) {
+    this.capacity = capacity;
+    this.refillPerSec = refillPerSec;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  _refill() {
+    const now = Date.now();
+    const elapsedSec = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSec * this.refillPerSec);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Чекає поки з'явиться токен і забирає його
+   */
+  async take() {
+    for (;;) {
+      this._refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      const waitMs = Math.ceil(((1 - this.tokens) / this.refillPerSec) * 1000);
+      await sleep(waitMs);
+    }
+  }
+}
+
+/**
+ * Чи безпечно повторювати запит після невідомого результату (NETWORK / SERVER).
+ * POST за замовчуванням — ні; можна перевизначити через config.idempotent.
+ */
+function isIdempotent(requestConfig) {
+  if (typeof requestConfig.idempotent === 'boolean') return requestConfig.idempotent;
+  return (requestConfig.method || 'get').toLowerCase() !== 'post';
+}
+
+/**
+ * Retry-After header (секунди) → мілісекунди
+ */
+function getRetryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  const seconds = parseFloat(header);
+  return isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Вішає на axios instance спільний pipeline:
+ *   - token bucket перед кожним запитом (включно з повторами)
+ *   - класифікація помилки → error.kind
+ *   - повтор з backoff для RATE_LIMIT завжди, для NETWORK / SERVER — тільки idempotent запитів
+ *
+ * @param {import('axios').AxiosInstance} http
+ * @param {Object} options
+ * @param {number} options.maxRetries
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {TokenBucket} options.limiter
+ * @param {string} [options.tag] — префікс для логів
+ */
+export function attachRequestPipeline(http, { maxRetries, baseDelayMs, maxDelayMs, limiter, tag = '[HTTP]' }) {
+  http.interceptors.request.use(async (requestConfig) => {
+    await limiter.take();
+    return requestConfig;
+  });
+
+  http.interceptors.response.use(null, async (error) => {
+    error.kind = classifyError(error);
+
+    const requestConfig = error.config;
+    if (!requestConfig) throw error;
+
+    const retryable =
+      error.kind === ErrorKind.RATE_LIMIT ||
+      ((error.kind === ErrorKind.NETWORK || error.kind === ErrorKind.SERVER) && isIdempotent(requestConfig));
+
+    const attempt = requestConfig.retryAttempt || 0;
+    if (!retryable || attempt >= maxRetries) throw error;
+
+    const delay = (error.kind === ErrorKind.RATE_LIMIT && getRetryAfterMs(error)) ||
+      computeBackoff(attempt, baseDelayMs, maxDelayMs);
+
+    logger.warn(
+      `${tag} ${requestConfig.method?.toUpperCase()} ${requestConfig.url} failed (${error.kind}: ${error.message}), ` +
+      `retry ${attempt + 1}/${maxRetries} in ${delay}ms`
+    );
+
+    await sleep(delay);
+    requestConfig.retryAttempt = attempt + 1;
+    return http.request(requestConfig);
+  });
+}
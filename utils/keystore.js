@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+/**
+ * Зашифрований keystore Stark private key: scrypt (KDF) + AES-256-GCM.
+ *
+ * Файл (JSON):
+ *   { version: 1, publicKey,
+ *     kdf: 'scrypt', kdfParams: { N, r, p, dkLen, salt },
+ *     cipher: 'aes-256-gcm', iv, tag, ciphertext }   — бінарні поля в hex
+ *
+ * publicKey зберігається відкрито: бот показує / перевіряє його без passphrase.
+ * GCM tag автентифікує ciphertext — невірна passphrase або підмінений файл → помилка,
+ * а не "інший" ключ.
+ */
+
+export const KEYSTORE_VERSION = 1;
+
+// N = 2^17: ~128 MB пам'яті і ~0.5 с на розблокування — один раз при старті
+const DEFAULT_KDF_PARAMS = { N: 131072, r: 8, p: 1, dkLen: 32 };
+
+function deriveKey(passphrase, { N, r, p, dkLen, salt }) {
+  return crypto.scryptSync(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), dkLen, {
+    N, r, p,
+    maxmem: 256 * N * r
+  });
+}
+
+/**
+ * @param {string} privateKey — hex
+ * @param {string} passphrase
+ * @param {{ publicKey?: string, kdfParams?: Object }} [options]
+ * @returns {Object} keystore
+ */
+export function encryptKeystore(privateKey, passphrase, { publicKey = null, kdfParams = {} } = {}) {
+  if (!passphrase) throw new Error('Keystore passphrase must not be empty');
+
+  const params = { ...DEFAULT_KDF_PARAMS, ...kdfParams, salt: crypto.randomBytes(32).toString('hex') };
+  const key = deriveKey(passphrase, params);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey,
+    kdf: 'scrypt',
+    kdfParams: params,
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex')
+  };
+}
+
+/**
+ * @returns {string} private key
+ */
+export function decryptKeystore(keystore, passphrase) {
+  if (keystore.version !== KEYSTORE_VERSION || keystore.kdf !== 'scrypt' || keystore.cipher !== 'aes-256-gcm') {
+    throw new Error(`Unsupported keystore format (version ${keystore.version}, ${keystore.kdf}/${keystore.cipher})`);
+  }
+
+  const key = deriveKey(passphrase, keystore.kdfParams);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch {
+    throw new Error('Cannot unlock keystore: wrong passphrase or corrupted file');
+  }
+}
+
+export function readKeystoreFile(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+export function writeKeystoreFile(file, keystore) {
+  const target = path.resolve(file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Запит passphrase з терміналу без відображення вводу
+ */
+export function promptPassphrase(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error('No TTY to ask for keystore passphrase (set it in the environment)'));
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    // Приглушуємо echo: readline пише введені символи через _writeToOutput
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(question)) process.stdout.write(question);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Keystore файл → private key. Passphrase: аргумент або TTY prompt.
+ */
+export async function unlockKeystore(file, passphrase = null) {
+  const keystore = readKeystoreFile(file);
+  const secret = passphrase || await promptPassphrase(`🔐 Passphrase for ${path.basename(file)}: `);
+  return { privateKey: decryptKeystore(keystore, secret), publicKey: keystore.publicKey };
+}
+
+export default {
+  encryptKeystore,
+  decryptKeystore,
+  readKeystoreFile,
+  writeKeystoreFile,
+  promptPassphrase,
+  unlockKeystore
+};
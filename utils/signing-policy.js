@@ -0,0 +1,78 @@
+import { Decimal } from './decimal.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Поля l2Config, що впливають на hash ордера
+function l2Fingerprint(l2Config) {
+  return JSON.stringify({
+    syntheticId: l2Config?.syntheticId,
+    syntheticResolution: l2Config?.syntheticResolution,
+    collateralId: l2Config?.collateralId,
+    collateralResolution: l2Config?.collateralResolution
+  });
+}
+
+/**
+ * Policy процесу-підписувача (scripts/signer-daemon.js).
+ *
+ * Підписується тільки ордер, що проходить усі правила:
+ *   - market у allowedMarkets
+ *   - notional qty × price ≤ maxOrderNotional
+ *   - не більше maxOrdersPerMinute підписів за ковзну хвилину
+ *   - l2Config market (asset ids, resolutions) той самий, що при першому ордері —
+ *     інакше бот міг би підписати "BTC-USD" з asset id іншого market
+ *
+ * @param {{ allowedMarkets: string[], maxOrderNotional: number, maxOrdersPerMinute: number }} policy
+ */
+export class SigningPolicy {
+  constructor({ allowedMarkets, maxOrderNotional, maxOrdersPerMinute }) {
+    this.allowedMarkets = new Set(allowedMarkets);
+    this.maxOrderNotional = maxOrderNotional;
+    this.maxOrdersPerMinute = maxOrdersPerMinute;
+    this.signedAt = [];          // timestamps підписів за останню хвилину
+    this.pinnedL2 = new Map();   // market → JSON l2Config
+  }
+
+  /**
+   * @param {Object} orderParams — { market, side, qty, price, ... }
+   * @param {Object} l2Config
+   * @returns {string|null} причина відмови або null
+   */
+  check(orderParams, l2Config, now = Date.now()) {
+    const { market, qty, price } = orderParams;
+
+    if (!this.allowedMarkets.has(market)) {
+      return `Market ${market} is not allowed`;
+    }
+
+    const notional = Decimal.from(qty).mul(price);
+    if (notional.gt(this.maxOrderNotional)) {
+      return `Order notional ${notional.toFixed(2)} exceeds max ${this.maxOrderNotional}`;
+    }
+
+    this.signedAt = this.signedAt.filter(ts => now - ts < MINUTE_MS);
+    if (this.signedAt.length >= this.maxOrdersPerMinute) {
+      return `Rate limit: ${this.maxOrdersPerMinute} orders per minute`;
+    }
+
+    const l2 = l2Fingerprint(l2Config);
+    const pinned = this.pinnedL2.get(market);
+    if (pinned && pinned !== l2) {
+      return `l2Config for ${market} differs from the first signed order`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Підпис виконано — рахуємо в rate limit і фіксуємо l2Config market
+   */
+  record(orderParams, l2Config, now = Date.now()) {
+    this.signedAt.push(now);
+    if (!this.pinnedL2.has(orderParams.market)) {
+      this.pinnedL2.set(orderParams.market, l2Fingerprint(l2Config));
+    }
+  }
+}
+
+export default SigningPolicy;
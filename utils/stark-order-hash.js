@@ -0,0 +1,191 @@
+import * as starknet from '@scure/starknet';
+import { Decimal, Rounding } from './decimal.js';
+
+/**
+ * Hash ордера Extended (Starknet perpetuals, SNIP-12 revision 1, Poseidon).
+ *
+ *   messageHash = poseidon('StarkNet Message', domainHash, publicKey, orderHash)
+ *   domainHash  = poseidon(DOMAIN_TYPE_HASH, name, version, chainId, revision)
+ *   orderHash   = poseidon(ORDER_TYPE_HASH, position_id, base_asset_id, base_amount,
+ *                          quote_asset_id, quote_amount, fee_asset_id, fee_amount,
+ *                          expiration, salt)
+ *
+ * Суми — цілі в resolution активу з l2Config market (/info/markets):
+ *   base  = synthetic qty × syntheticResolution   (+ BUY, − SELL)
+ *   quote = qty × price × collateralResolution    (− BUY, + SELL)
+ *   fee   = fee rate × qty × price × collateralResolution, завжди вгору
+ *
+ * Модуль без config/env — golden vectors (scripts/check-stark-vectors.js) ганяються офлайн.
+ */
+
+// starknetKeccak від рядків типів SNIP-12 — еталонні константи з Cairo-контракту perpetuals
+export const ORDER_TYPE =
+  '"Order"("position_id":"felt","base_asset_id":"AssetId","base_amount":"i64",' +
+  '"quote_asset_id":"AssetId","quote_amount":"i64","fee_asset_id":"AssetId",' +
+  '"fee_amount":"u64","expiration":"Timestamp","salt":"felt")' +
+  '"PositionId"("value":"u32")"AssetId"("value":"felt")"Timestamp"("seconds":"u64")';
+export const ORDER_TYPE_HASH = 0x36da8d51815527cabfaa9c982f564c80fa7429616739306036f1f9b608dd112n;
+
+export const DOMAIN_TYPE =
+  '"StarknetDomain"("name":"shortstring","version":"shortstring","chainId":"shortstring","revision":"shortstring")';
+export const DOMAIN_TYPE_HASH = 0x1ff2f602e42168014d405a94f75e8a93d640751d71d16311266e140d8b0a210n;
+
+// Біржа приймає settlement, що живе довше за сам ордер: expiration у hash = expiry + 14 днів
+export const SETTLEMENT_EXPIRATION_BUFFER_MS = 14 * 24 * 60 * 60 * 1000;
+
+const MESSAGE_PREFIX = 'StarkNet Message';
+
+/**
+ * SNIP-12 domain Starknet perpetuals Extended
+ * @param {string} chainId — SN_MAIN | SN_SEPOLIA
+ */
+export function getSigningDomain(chainId) {
+  return { name: 'Perpetuals', version: 'v0', chainId, revision: 1 };
+}
+
+/**
+ * ASCII short string (≤ 31 символ) → felt
+ */
+export function shortStringToFelt(str) {
+  if (str.length > 31) throw new Error(`Short string too long: ${str}`);
+  return str ? BigInt('0x' + Buffer.from(str, 'ascii').toString('hex')) : 0n;
+}
+
+/**
+ * starknetKeccak(typeString) — для перевірки *_TYPE_HASH констант
+ */
+export function typeHash(typeString) {
+  return starknet.keccak(new TextEncoder().encode(typeString));
+}
+
+/**
+ * Знакове ціле (i64 amounts) → felt: від'ємні — як P − |x|
+ */
+export function toFelt(value) {
+  const x = BigInt(value);
+  return x < 0n ? starknet.Fp251.ORDER + x : x;
+}
+
+/**
+ * @param {{ name: string, version: string, chainId: string, revision: number|string }} domain
+ */
+export function hashDomain(domain) {
+  return starknet.poseidonHashMany([
+    DOMAIN_TYPE_HASH,
+    shortStringToFelt(domain.name),
+    shortStringToFelt(domain.version),
+    shortStringToFelt(domain.chainId),
+    BigInt(domain.revision)
+  ]);
+}
+
+/**
+ * Struct hash Order. Поля — вже цілі (amounts у resolution, expiration у секундах).
+ */
+export function hashOrderStruct(order) {
+  return starknet.poseidonHashMany([
+    ORDER_TYPE_HASH,
+    toFelt(order.positionId),
+    toFelt(order.baseAssetId),
+    toFelt(order.baseAmount),
+    toFelt(order.quoteAssetId),
+    toFelt(order.quoteAmount),
+    toFelt(order.feeAssetId),
+    toFelt(order.feeAmount),
+    toFelt(order.expiration),
+    toFelt(order.salt)
+  ]);
+}
+
+/**
+ * Повний SNIP-12 message hash, який підписується ключем акаунта
+ * @returns {string} hex
+ */
+export function hashOrderMessage(order, publicKey, domain) {
+  const hash = starknet.poseidonHashMany([
+    shortStringToFelt(MESSAGE_PREFIX),
+    hashDomain(domain),
+    BigInt(publicKey),
+    hashOrderStruct(order)
+  ]);
+  return '0x' + hash.toString(16);
+}
+
+/**
+ * Людські qty / price / fee rate → цілі amounts у resolution з l2Config.
+ *
+ * Округлення не на користь трейдера (як у SDK Extended): BUY платить collateral
+ * вгору, SELL отримує вниз; fee — завжди вгору. qty на кроці market (minOrderSizeChange)
+ * зазвичай дає точний synthetic amount.
+ *
+ * @param {{ side: 'BUY'|'SELL', qty, price, fee }} params — рядки / числа / Decimal
+ * @param {{ collateralResolution, syntheticResolution }} l2Config
+ * @returns {{ syntheticAmount: bigint, collateralAmount: bigint, feeAmount: bigint }} зі знаком
+ */
+export function getOrderAmounts({ side, qty, price, fee }, l2Config) {
+  const isBuy = side === 'BUY';
+  const rounding = isBuy ? Rounding.UP : Rounding.DOWN;
+
+  const synthetic = Decimal.from(qty).mul(l2Config.syntheticResolution).toScaledBigInt(0, rounding);
+  const notional = Decimal.from(qty).mul(price);
+  const collateral = notional.mul(l2Config.collateralResolution).toScaledBigInt(0, rounding);
+  const feeAmount = notional.mul(fee).mul(l2Config.collateralResolution).toScaledBigInt(0, Rounding.UP);
+
+  return {
+    syntheticAmount: isBuy ? synthetic : -synthetic,
+    collateralAmount: isBuy ? -collateral : collateral,
+    feeAmount
+  };
+}
+
+/**
+ * expiryEpochMillis ордера → Timestamp.seconds у hash (з буфером settlement, вгору)
+ */
+export function getSettlementExpiration(expiryEpochMillis) {
+  return Math.ceil((Number(expiryEpochMillis) + SETTLEMENT_EXPIRATION_BUFFER_MS) / 1000);
+}
+
+/**
+ * Параметри ордера з тіла запиту → поля Order для hash.
+ *
+ * @param {Object} orderParams — { side, qty, price, fee, expiryEpochMillis }
+ * @param {Object} l2Config — market.l2Config { collateralId, collateralResolution, syntheticId, syntheticResolution }
+ * @param {{ nonce: number, vaultId: number|string }} account
+ */
+export function buildOrderStruct(orderParams, l2Config, { nonce, vaultId }) {
+  if (!l2Config?.syntheticId || !l2Config?.collateralId) {
+    throw new Error('Market l2Config (syntheticId / collateralId) is required to hash an order');
+  }
+
+  const amounts = getOrderAmounts(orderParams, l2Config);
+
+  return {
+    positionId: BigInt(vaultId),
+    baseAssetId: BigInt(l2Config.syntheticId),
+    baseAmount: amounts.syntheticAmount,
+    quoteAssetId: BigInt(l2Config.collateralId),
+    quoteAmount: amounts.collateralAmount,
+    feeAssetId: BigInt(l2Config.collateralId),
+    feeAmount: amounts.feeAmount,
+    expiration: BigInt(getSettlementExpiration(orderParams.expiryEpochMillis)),
+    salt: BigInt(nonce)
+  };
+}
+
+export default {
+  ORDER_TYPE,
+  ORDER_TYPE_HASH,
+  DOMAIN_TYPE,
+  DOMAIN_TYPE_HASH,
+  SETTLEMENT_EXPIRATION_BUFFER_MS,
+  getSigningDomain,
+  shortStringToFelt,
+  typeHash,
+  toFelt,
+  hashDomain,
+  hashOrderStruct,
+  hashOrderMessage,
+  getOrderAmounts,
+  getSettlementExpiration,
+  buildOrderStruct
+};